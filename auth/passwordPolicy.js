@@ -0,0 +1,54 @@
+// 🔑 The password rules shared by register, invite accept, reset and
+// change-password. Length over complexity, as NIST SP 800-63B suggests:
+// long enough, not a well-known password, and not the user's own email.
+
+export const PASSWORD_MIN_LENGTH = 8
+// bcrypt ignores everything past 72 bytes
+export const PASSWORD_MAX_BYTES = 72
+
+// A few of the most common passwords, plus ones people pick for this app
+const COMMON_PASSWORDS = new Set([
+  '12345678', '123456789', '1234567890', '11111111', '87654321', '00000000',
+  'password', 'password1', 'password123', 'passw0rd', 'p@ssw0rd', 'qwertyuiop',
+  'qwerty123', 'iloveyou', 'letmein1', 'welcome1', 'welcome123', 'sunshine',
+  'abc12345', 'abcd1234', 'trustno1', 'football', 'baseball', 'superman',
+  'changeme', 'molarstock', 'dentist1', 'dental123',
+])
+
+export class PasswordPolicyError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'PasswordPolicyError'
+    this.statusCode = 400
+  }
+}
+
+/**
+ * Throw unless a new password meets the policy
+ * @param {string} password
+ * @param {Object} [context]
+ * @param {string} [context.email] - The account's address, which the password mustn't be
+ * @throws {PasswordPolicyError} 400 naming the first rule it breaks
+ */
+export function assertPasswordPolicy(password, { email } = {}) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    throw new PasswordPolicyError(`Password must be at least ${PASSWORD_MIN_LENGTH} characters`)
+  }
+  if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+    throw new PasswordPolicyError(`Password must be at most ${PASSWORD_MAX_BYTES} bytes`)
+  }
+  if (new Set(password).size < 3) {
+    throw new PasswordPolicyError('Password is too repetitive')
+  }
+
+  const lowered = password.toLowerCase()
+  if (COMMON_PASSWORDS.has(lowered)) {
+    throw new PasswordPolicyError('That password is too common. Choose another.')
+  }
+  if (email) {
+    const address = email.toLowerCase()
+    if (lowered === address || lowered === address.split('@')[0]) {
+      throw new PasswordPolicyError('Password must not be your email address')
+    }
+  }
+}
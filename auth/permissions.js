@@ -0,0 +1,60 @@
+// 🔑 What each practice role may do. verifyToken resolves req.practice
+// (with the caller's role); requirePermission runs after it and turns away
+// roles that lack the permission a route needs.
+
+export const PERMISSIONS = {
+  INVENTORY_READ: 'inventory:read',
+  // Scan, receive, transfer, consume and dispose of stock
+  INVENTORY_USE: 'inventory:use',
+  // Create, edit and delete items, costs, units and thresholds
+  INVENTORY_MANAGE: 'inventory:manage',
+  SUPPLIERS_MANAGE: 'suppliers:manage',
+  CATEGORIES_MANAGE: 'categories:manage',
+  LOCATIONS_MANAGE: 'locations:manage',
+  BILLING_MANAGE: 'billing:manage',
+  // Rename the practice
+  PRACTICE_MANAGE: 'practice:manage',
+  MEMBERS_MANAGE: 'members:manage',
+}
+
+const MANAGER_PERMISSIONS = [
+  PERMISSIONS.INVENTORY_READ,
+  PERMISSIONS.INVENTORY_USE,
+  PERMISSIONS.INVENTORY_MANAGE,
+  PERMISSIONS.SUPPLIERS_MANAGE,
+  PERMISSIONS.CATEGORIES_MANAGE,
+  PERMISSIONS.LOCATIONS_MANAGE,
+]
+
+export const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  manager: MANAGER_PERMISSIONS,
+  staff: [PERMISSIONS.INVENTORY_READ, PERMISSIONS.INVENTORY_USE],
+  read_only: [PERMISSIONS.INVENTORY_READ],
+}
+
+export const PRACTICE_ROLES = Object.keys(ROLE_PERMISSIONS)
+
+/**
+ * Whether a role grants a permission
+ * @param {string} role
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export function hasPermission(role, permission) {
+  return ROLE_PERMISSIONS[role]?.includes(permission) ?? false
+}
+
+/**
+ * Middleware: 403 unless the caller's role in their active practice grants
+ * `permission`. Mount after verifyToken.
+ * @param {string} permission - One of PERMISSIONS
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.practice || !hasPermission(req.practice.role, permission)) {
+      return res.status(403).json({ error: 'Your role in this practice does not allow this action' })
+    }
+    next()
+  }
+}
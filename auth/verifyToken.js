@@ -1,7 +1,13 @@
 import jwt from 'jsonwebtoken'
+import pool from '../db/index.js'
+import { resolveActivePractice } from '../services/practices.js'
+import { touchSession } from '../services/sessions.js'
 
 
-export function verifyToken(req, res, next) {
+export async function verifyToken(req, res, next) {
+  // Routers that apply verifyToken twice only resolve the practice once
+  if (req.user && req.practice) return next()
+
     // 🍪 Log incoming cookies for debugging
   console.log('🍪 Incoming cookies:', req.cookies)
   // Try to get token from httpOnly cookie first, fallback to Authorization header for backward compatibility
@@ -21,12 +27,34 @@ export function verifyToken(req, res, next) {
     return res.status(401).json({ error: 'Access denied. No token provided.' })
   }
 
+  let decoded
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
-    req.user = decoded
-    next()
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
   } catch (err) {
+    // ⏱️ Access tokens are short-lived; the client trades its refresh token for a new one
+    if (err.name === 'TokenExpiredError') {
+      return res.status(401).json({ error: 'Access token expired', code: 'TOKEN_EXPIRED' })
+    }
     return res.status(403).json({ error: 'Invalid token' })
   }
-}
 
+  // 🔐 The token's session must still be live (revoked on logout, password change…)
+  // 🏥 Data is scoped by the user's active practice, not the user
+  let practice
+  try {
+    if (!decoded.sid || !(await touchSession(pool, decoded.id, decoded.sid))) {
+      return res.status(401).json({ error: 'Session has ended. Please log in again.', code: 'SESSION_REVOKED' })
+    }
+    practice = await resolveActivePractice(pool, decoded.id)
+  } catch (err) {
+    console.error('Error resolving session:', err)
+    return res.status(500).json({ error: 'Could not resolve session' })
+  }
+  if (!practice) {
+    return res.status(403).json({ error: 'You are not a member of any practice' })
+  }
+
+  req.user = decoded
+  req.practice = practice
+  next()
+}
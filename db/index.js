@@ -7,7 +7,8 @@ const { Pool } = pg
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL, // Heroku uses this
-  ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false, // Always use SSL for remote databases
+  // Always use SSL for remote databases; DB_SSL=false for a local server (tests)
+  ssl: process.env.DATABASE_URL && process.env.DB_SSL !== 'false' ? { rejectUnauthorized: false } : false,
   max: parseInt(process.env.DB_POOL_MAX) || (process.env.NODE_ENV === 'production' ? 20 : 10),
   min: parseInt(process.env.DB_POOL_MIN) || 1,
   idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT) || 60000, // 60 seconds
@@ -76,6 +77,6 @@ setInterval(async () => {
   } catch (err) {
     console.error('Database health check failed:', err)
   }
-}, 60000) // Check every minute
+}, 60000).unref() // Check every minute; unref so scripts and tests can exit
 
 export default pool
@@ -0,0 +1,14 @@
+-- 🧱 Baseline (rollback) — drops every pre-migration table and its data
+
+DROP TABLE IF EXISTS supply_logs;
+DROP TABLE IF EXISTS procedure_supplies;
+DROP TABLE IF EXISTS op_supplies;
+DROP TABLE IF EXISTS supplies;
+DROP TABLE IF EXISTS ops;
+DROP TABLE IF EXISTS procedures;
+DROP TABLE IF EXISTS location_inventory;
+DROP TABLE IF EXISTS inventory;
+DROP TABLE IF EXISTS locations;
+DROP TABLE IF EXISTS suppliers;
+DROP TABLE IF EXISTS inventory_categories;
+DROP TABLE IF EXISTS users;
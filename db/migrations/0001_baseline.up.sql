@@ -0,0 +1,133 @@
+-- 🧱 Baseline: the tables that existed before versioned migrations
+--
+-- Every statement is IF NOT EXISTS so this can be applied to a database
+-- that already has them (it is then simply recorded as applied).
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  password_hash VARCHAR(255) NOT NULL,
+  practice_name VARCHAR(255),
+  is_paid BOOLEAN NOT NULL DEFAULT false,
+  dark_mode BOOLEAN NOT NULL DEFAULT false,
+  stripe_customer_id VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS users_stripe_customer_idx ON users (stripe_customer_id);
+
+CREATE TABLE IF NOT EXISTS inventory_categories (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS suppliers (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  poc VARCHAR(255),
+  email VARCHAR(255),
+  phone VARCHAR(50),
+  web_link TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Every account gets a protected "Common Area" location at registration
+CREATE TABLE IF NOT EXISTS locations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  protected BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS inventory (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  barcode VARCHAR(255),
+  unit VARCHAR(50),
+  cost_per_unit NUMERIC(10, 2),
+  category_id INTEGER REFERENCES inventory_categories(id),
+  supplier_id INTEGER REFERENCES suppliers(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT inventory_user_barcode_unique UNIQUE (user_id, barcode)
+);
+
+-- Stock of an item at a location; deleting a location with stock is refused
+-- (location_inventory_location_id_fkey) so stock is never dropped silently
+CREATE TABLE IF NOT EXISTS location_inventory (
+  id SERIAL PRIMARY KEY,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(id),
+  quantity INTEGER NOT NULL DEFAULT 0,
+  low_stock_threshold INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT location_inventory_item_location_unique UNIQUE (inventory_id, location_id)
+);
+
+CREATE INDEX IF NOT EXISTS location_inventory_location_idx ON location_inventory (location_id);
+
+CREATE TABLE IF NOT EXISTS procedures (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL
+);
+
+-- Legacy operatory / supplies model (routes/ops.js, routes/supplies.js,
+-- routes/logs.js); scripts/migrate-legacy.js moves it onto the tables above
+
+CREATE TABLE IF NOT EXISTS ops (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS supplies (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  category_id INTEGER REFERENCES inventory_categories(id),
+  supplier_id INTEGER REFERENCES suppliers(id),
+  quantity INTEGER NOT NULL DEFAULT 0,
+  cost_per_unit NUMERIC(10, 2),
+  unit VARCHAR(50),
+  low_stock_threshold INTEGER DEFAULT 0,
+  barcode VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS op_supplies (
+  id SERIAL PRIMARY KEY,
+  op_id INTEGER NOT NULL REFERENCES ops(id),
+  supply_id INTEGER NOT NULL REFERENCES supplies(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL DEFAULT 0,
+  low_stock_threshold INTEGER DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS procedure_supplies (
+  id SERIAL PRIMARY KEY,
+  procedure_id INTEGER NOT NULL REFERENCES procedures(id) ON DELETE CASCADE,
+  supply_id INTEGER REFERENCES supplies(id) ON DELETE CASCADE,
+  quantity NUMERIC(10, 2) NOT NULL DEFAULT 1
+);
+
+CREATE TABLE IF NOT EXISTS supply_logs (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  op_id INTEGER REFERENCES ops(id),
+  supply_id INTEGER REFERENCES supplies(id) ON DELETE SET NULL,
+  quantity INTEGER NOT NULL,
+  -- use | restock
+  action VARCHAR(20) NOT NULL,
+  unit_cost NUMERIC(10, 2),
+  total_cost NUMERIC(12, 2),
+  procedure_id INTEGER REFERENCES procedures(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS supply_logs_user_idx ON supply_logs (user_id, created_at);
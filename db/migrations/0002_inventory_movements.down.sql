@@ -0,0 +1,5 @@
+-- 📒 Append-only ledger of every change to location_inventory.quantity (rollback)
+
+DROP TRIGGER IF EXISTS inventory_movements_no_update ON inventory_movements;
+DROP FUNCTION IF EXISTS inventory_movements_append_only();
+DROP TABLE IF EXISTS inventory_movements;
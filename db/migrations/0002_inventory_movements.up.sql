@@ -0,0 +1,34 @@
+-- 📒 Append-only ledger of every change to location_inventory.quantity
+
+CREATE TABLE IF NOT EXISTS inventory_movements (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  inventory_id INTEGER NOT NULL,
+  location_id INTEGER NOT NULL,
+  movement_type VARCHAR(20) NOT NULL
+    CHECK (movement_type IN ('receive', 'transfer_out', 'transfer_in', 'consume', 'adjust', 'delete')),
+  quantity_change INTEGER NOT NULL,
+  quantity_after INTEGER NOT NULL,
+  reason TEXT,
+  created_by INTEGER,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- inventory_id / location_id are intentionally not foreign keys: the ledger
+-- must outlive the items and locations it describes.
+CREATE INDEX IF NOT EXISTS inventory_movements_item_idx
+  ON inventory_movements (inventory_id, location_id, created_at);
+CREATE INDEX IF NOT EXISTS inventory_movements_user_idx
+  ON inventory_movements (user_id, created_at);
+
+-- Refuse UPDATE / DELETE so history can only ever be appended to
+CREATE OR REPLACE FUNCTION inventory_movements_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'inventory_movements is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS inventory_movements_no_update ON inventory_movements;
+CREATE TRIGGER inventory_movements_no_update
+  BEFORE UPDATE OR DELETE ON inventory_movements
+  FOR EACH ROW EXECUTE FUNCTION inventory_movements_append_only();
@@ -0,0 +1,4 @@
+-- 🏷️ Lot number / expiry breakdown of location_inventory.quantity (rollback)
+
+ALTER TABLE inventory_movements DROP COLUMN IF EXISTS lots;
+DROP TABLE IF EXISTS inventory_lots;
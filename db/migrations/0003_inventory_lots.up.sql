@@ -0,0 +1,24 @@
+-- 🏷️ Lot number / expiry breakdown of location_inventory.quantity
+--
+-- location_inventory.quantity stays the on-hand total. Any part of it not
+-- covered by a lot row is "unlotted" stock (received before lot tracking or
+-- without lot data) and is drawn last.
+
+CREATE TABLE IF NOT EXISTS inventory_lots (
+  id SERIAL PRIMARY KEY,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  lot_number VARCHAR(100),
+  expiration_date DATE,
+  quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS inventory_lots_identity_idx
+  ON inventory_lots (inventory_id, location_id, COALESCE(lot_number, ''), COALESCE(expiration_date, 'infinity'::date));
+CREATE INDEX IF NOT EXISTS inventory_lots_expiry_idx
+  ON inventory_lots (expiration_date) WHERE quantity > 0;
+
+-- Which lots a movement touched
+ALTER TABLE inventory_movements ADD COLUMN IF NOT EXISTS lots JSONB;
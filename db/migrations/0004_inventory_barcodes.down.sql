@@ -0,0 +1,3 @@
+-- 🔗 Additional barcodes per inventory item (case / box / revision codes) (rollback)
+
+DROP TABLE IF EXISTS inventory_barcodes;
@@ -0,0 +1,18 @@
+-- 🔗 Additional barcodes per inventory item (case / box / revision codes)
+--
+-- inventory.barcode stays the item's primary code (pack_quantity 1); rows
+-- here are extra aliases. pack_quantity is how many units one scan of the
+-- alias represents, e.g. a case barcode = 10 boxes.
+
+CREATE TABLE IF NOT EXISTS inventory_barcodes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  barcode VARCHAR(255) NOT NULL,
+  pack_quantity INTEGER NOT NULL DEFAULT 1 CHECK (pack_quantity > 0),
+  label VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT inventory_barcodes_user_barcode_unique UNIQUE (user_id, barcode)
+);
+
+CREATE INDEX IF NOT EXISTS inventory_barcodes_inventory_idx ON inventory_barcodes (inventory_id);
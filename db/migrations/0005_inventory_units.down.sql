@@ -0,0 +1,3 @@
+-- 📏 Unit-of-measure conversions per inventory item (rollback)
+
+DROP TABLE IF EXISTS inventory_units;
@@ -0,0 +1,17 @@
+-- 📏 Unit-of-measure conversions per inventory item
+--
+-- inventory.unit is the item's base unit; every quantity in
+-- location_inventory, inventory_lots and inventory_movements is stored in it.
+-- Each row here says how many base units one `unit_name` holds,
+-- e.g. piece (base) ← box = 100 ← case = 1000.
+
+CREATE TABLE IF NOT EXISTS inventory_units (
+  id SERIAL PRIMARY KEY,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  unit_name VARCHAR(50) NOT NULL,
+  factor INTEGER NOT NULL CHECK (factor > 0),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS inventory_units_name_idx
+  ON inventory_units (inventory_id, LOWER(unit_name));
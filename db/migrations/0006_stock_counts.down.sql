@@ -0,0 +1,5 @@
+-- 📋 Stocktake / cycle count sessions (rollback)
+
+DROP TABLE IF EXISTS count_entries;
+DROP TABLE IF EXISTS count_session_locations;
+DROP TABLE IF EXISTS count_sessions;
@@ -0,0 +1,36 @@
+-- 📋 Stocktake / cycle count sessions
+
+CREATE TABLE IF NOT EXISTS count_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(255),
+  status VARCHAR(20) NOT NULL DEFAULT 'open'
+    CHECK (status IN ('open', 'posted', 'cancelled')),
+  notes TEXT,
+  reason_code VARCHAR(30),
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  posted_by INTEGER REFERENCES users(id),
+  posted_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS count_sessions_user_idx ON count_sessions (user_id, status);
+
+CREATE TABLE IF NOT EXISTS count_session_locations (
+  session_id INTEGER NOT NULL REFERENCES count_sessions(id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  PRIMARY KEY (session_id, location_id)
+);
+
+CREATE TABLE IF NOT EXISTS count_entries (
+  id SERIAL PRIMARY KEY,
+  session_id INTEGER NOT NULL REFERENCES count_sessions(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  location_id INTEGER NOT NULL REFERENCES locations(id) ON DELETE CASCADE,
+  counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+  counted_by INTEGER REFERENCES users(id),
+  counted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Filled in when the session is posted
+  expected_quantity INTEGER,
+  CONSTRAINT count_entries_item_unique UNIQUE (session_id, inventory_id, location_id)
+);
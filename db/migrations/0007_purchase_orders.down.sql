@@ -0,0 +1,4 @@
+-- 🧾 Purchase orders per supplier (rollback)
+
+DROP TABLE IF EXISTS purchase_order_lines;
+DROP TABLE IF EXISTS purchase_orders;
@@ -0,0 +1,33 @@
+-- 🧾 Purchase orders per supplier
+
+CREATE TABLE IF NOT EXISTS purchase_orders (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'draft'
+    CHECK (status IN ('draft', 'sent', 'partially_received', 'received', 'cancelled')),
+  notes TEXT,
+  expected_date DATE,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  sent_at TIMESTAMPTZ,
+  received_at TIMESTAMPTZ,
+  cancelled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS purchase_orders_user_idx ON purchase_orders (user_id, status);
+CREATE INDEX IF NOT EXISTS purchase_orders_supplier_idx ON purchase_orders (supplier_id);
+
+CREATE TABLE IF NOT EXISTS purchase_order_lines (
+  id SERIAL PRIMARY KEY,
+  purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+  -- Lines outlive deleted items; item_name keeps what was ordered readable
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  item_name VARCHAR(255) NOT NULL,
+  quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+  quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0),
+  unit_price NUMERIC(10, 2),
+  notes TEXT,
+  CONSTRAINT purchase_order_lines_item_unique UNIQUE (purchase_order_id, inventory_id)
+);
@@ -0,0 +1,4 @@
+-- 📦 Delivery receiving documents (rollback)
+
+DROP TABLE IF EXISTS receipt_lines;
+DROP TABLE IF EXISTS receipts;
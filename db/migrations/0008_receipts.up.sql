@@ -0,0 +1,40 @@
+-- 📦 Delivery receiving documents
+
+CREATE TABLE IF NOT EXISTS receipts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+  purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL,
+  location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+  packing_slip_number VARCHAR(100),
+  received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notes TEXT,
+  created_by INTEGER REFERENCES users(id),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS receipts_user_supplier_idx ON receipts (user_id, supplier_id, received_at);
+
+CREATE TABLE IF NOT EXISTS receipt_lines (
+  id SERIAL PRIMARY KEY,
+  receipt_id INTEGER NOT NULL REFERENCES receipts(id) ON DELETE CASCADE,
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  item_name VARCHAR(255) NOT NULL,
+  purchase_order_line_id INTEGER REFERENCES purchase_order_lines(id) ON DELETE SET NULL,
+  quantity_accepted INTEGER NOT NULL DEFAULT 0 CHECK (quantity_accepted >= 0),
+  quantity_damaged INTEGER NOT NULL DEFAULT 0 CHECK (quantity_damaged >= 0),
+  quantity_backordered INTEGER NOT NULL DEFAULT 0 CHECK (quantity_backordered >= 0),
+  -- How much of this line's backorder later deliveries have filled
+  backorder_fulfilled INTEGER NOT NULL DEFAULT 0 CHECK (backorder_fulfilled >= 0),
+  backorder_cancelled_at TIMESTAMPTZ,
+  -- Set on a later line that delivers (part of) an earlier backorder
+  fulfills_backorder_line_id INTEGER REFERENCES receipt_lines(id) ON DELETE SET NULL,
+  unit_price NUMERIC(10, 2),
+  lot_number VARCHAR(100),
+  expiration_date DATE,
+  notes TEXT
+);
+
+CREATE INDEX IF NOT EXISTS receipt_lines_receipt_idx ON receipt_lines (receipt_id);
+CREATE INDEX IF NOT EXISTS receipt_lines_backorder_idx
+  ON receipt_lines (receipt_id) WHERE quantity_backordered > 0;
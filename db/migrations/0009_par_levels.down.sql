@@ -0,0 +1,5 @@
+-- 📊 Min/max (par) levels per item per location (rollback)
+
+ALTER TABLE location_inventory DROP CONSTRAINT IF EXISTS location_inventory_par_range;
+ALTER TABLE location_inventory DROP COLUMN IF EXISTS par_max;
+ALTER TABLE location_inventory DROP COLUMN IF EXISTS par_min;
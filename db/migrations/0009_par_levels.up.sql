@@ -0,0 +1,12 @@
+-- 📊 Min/max (par) levels per item per location
+--
+-- par_min is the reorder trigger, par_max the level an order refills to.
+-- When par_min is unset the existing low_stock_threshold is used instead,
+-- and an unset par_max defaults to twice par_min.
+
+ALTER TABLE location_inventory ADD COLUMN IF NOT EXISTS par_min INTEGER CHECK (par_min >= 0);
+ALTER TABLE location_inventory ADD COLUMN IF NOT EXISTS par_max INTEGER CHECK (par_max >= 0);
+
+ALTER TABLE location_inventory DROP CONSTRAINT IF EXISTS location_inventory_par_range;
+ALTER TABLE location_inventory ADD CONSTRAINT location_inventory_par_range
+  CHECK (par_min IS NULL OR par_max IS NULL OR par_max >= par_min);
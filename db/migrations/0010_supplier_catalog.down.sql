@@ -0,0 +1,4 @@
+-- 🏷️ Supplier catalog: what each supplier sells an item as, and at what price (rollback)
+
+DROP TABLE IF EXISTS supplier_catalog_prices;
+DROP TABLE IF EXISTS supplier_catalog_items;
@@ -0,0 +1,36 @@
+-- 🏷️ Supplier catalog: what each supplier sells an item as, and at what price
+--
+-- price is per pack; pack_size is how many base units (inventory.unit) a
+-- pack holds, so price / pack_size compares suppliers like for like.
+-- supplier_catalog_prices keeps every price the item has had.
+
+CREATE TABLE IF NOT EXISTS supplier_catalog_items (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  inventory_id INTEGER NOT NULL REFERENCES inventory(id) ON DELETE CASCADE,
+  sku VARCHAR(100),
+  pack_size INTEGER NOT NULL DEFAULT 1 CHECK (pack_size > 0),
+  price NUMERIC(10, 2) CHECK (price >= 0),
+  notes TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT supplier_catalog_items_unique UNIQUE (supplier_id, inventory_id)
+);
+
+CREATE INDEX IF NOT EXISTS supplier_catalog_items_inventory_idx ON supplier_catalog_items (inventory_id);
+
+CREATE TABLE IF NOT EXISTS supplier_catalog_prices (
+  id SERIAL PRIMARY KEY,
+  catalog_item_id INTEGER NOT NULL REFERENCES supplier_catalog_items(id) ON DELETE CASCADE,
+  price NUMERIC(10, 2) NOT NULL CHECK (price >= 0),
+  pack_size INTEGER NOT NULL CHECK (pack_size > 0),
+  -- manual | receipt
+  source VARCHAR(20) NOT NULL DEFAULT 'manual',
+  receipt_id INTEGER REFERENCES receipts(id) ON DELETE SET NULL,
+  recorded_by INTEGER REFERENCES users(id),
+  recorded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS supplier_catalog_prices_item_idx
+  ON supplier_catalog_prices (catalog_item_id, recorded_at);
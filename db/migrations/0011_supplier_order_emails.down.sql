@@ -0,0 +1,3 @@
+-- ✉️ History of order request emails sent to suppliers (rollback)
+
+DROP TABLE IF EXISTS supplier_order_emails;
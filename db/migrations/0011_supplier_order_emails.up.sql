@@ -0,0 +1,20 @@
+-- ✉️ History of order request emails sent to suppliers
+
+CREATE TABLE IF NOT EXISTS supplier_order_emails (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+  sent_to VARCHAR(255) NOT NULL,
+  subject VARCHAR(255) NOT NULL,
+  -- [{ inventory_id, sku, name, quantity, unit }] as sent
+  lines JSONB NOT NULL,
+  notes TEXT,
+  status VARCHAR(10) NOT NULL CHECK (status IN ('sent', 'failed')),
+  provider_message_id VARCHAR(255),
+  error TEXT,
+  sent_by INTEGER REFERENCES users(id),
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS supplier_order_emails_supplier_idx
+  ON supplier_order_emails (supplier_id, sent_at);
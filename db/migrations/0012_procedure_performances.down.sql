@@ -0,0 +1,6 @@
+-- 🦷 Procedure bills of materials on inventory, and a record of each time (rollback)
+
+DROP TABLE IF EXISTS procedure_performance_items;
+DROP TABLE IF EXISTS procedure_performances;
+-- supply_id stays nullable: inventory-only rows may exist by now
+ALTER TABLE procedure_supplies DROP COLUMN IF EXISTS inventory_id;
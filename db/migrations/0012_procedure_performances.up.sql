@@ -0,0 +1,40 @@
+-- 🦷 Procedure bills of materials on inventory, and a record of each time
+-- a procedure is performed
+--
+-- procedure_supplies rows now point at an inventory item; supply_id is kept
+-- for rows that still reference the legacy supplies table.
+
+ALTER TABLE procedure_supplies ADD COLUMN IF NOT EXISTS inventory_id INTEGER REFERENCES inventory(id) ON DELETE CASCADE;
+ALTER TABLE procedure_supplies ALTER COLUMN supply_id DROP NOT NULL;
+
+CREATE TABLE IF NOT EXISTS procedure_performances (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  procedure_id INTEGER REFERENCES procedures(id) ON DELETE SET NULL,
+  procedure_name VARCHAR(255) NOT NULL,
+  location_id INTEGER REFERENCES locations(id) ON DELETE SET NULL,
+  count INTEGER NOT NULL CHECK (count > 0),
+  total_cost NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  performed_by INTEGER REFERENCES users(id),
+  performed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS procedure_performances_user_idx
+  ON procedure_performances (user_id, procedure_id, performed_at);
+
+-- What was actually consumed, next to what the bill of materials called for
+CREATE TABLE IF NOT EXISTS procedure_performance_items (
+  id SERIAL PRIMARY KEY,
+  performance_id INTEGER NOT NULL REFERENCES procedure_performances(id) ON DELETE CASCADE,
+  inventory_id INTEGER REFERENCES inventory(id) ON DELETE SET NULL,
+  item_name VARCHAR(255) NOT NULL,
+  bom_quantity INTEGER NOT NULL DEFAULT 0,
+  quantity INTEGER NOT NULL CHECK (quantity >= 0),
+  unit_cost NUMERIC(10, 4),
+  total_cost NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  lots JSONB
+);
+
+CREATE INDEX IF NOT EXISTS procedure_performance_items_performance_idx
+  ON procedure_performance_items (performance_id);
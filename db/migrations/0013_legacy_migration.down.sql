@@ -0,0 +1,3 @@
+-- 🔁 Bookkeeping for the legacy ops/supplies → locations/inventory migration (rollback)
+
+DROP TABLE IF EXISTS legacy_migration_map;
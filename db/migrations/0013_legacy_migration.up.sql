@@ -0,0 +1,14 @@
+-- 🔁 Bookkeeping for the legacy ops/supplies → locations/inventory migration
+--
+-- One row per legacy record already carried over, so the migration can be
+-- re-run safely: ops → locations, supplies → inventory,
+-- op_supplies → location_inventory, supply_logs → inventory_movements.
+
+CREATE TABLE IF NOT EXISTS legacy_migration_map (
+  legacy_table VARCHAR(30) NOT NULL,
+  legacy_id INTEGER NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  new_id INTEGER NOT NULL,
+  migrated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (legacy_table, legacy_id)
+);
@@ -0,0 +1,47 @@
+-- 🏥 Practices (rollback)
+--
+-- Rows go back to being owned by the user who created them; rows without a
+-- creator go to the practice's first owner. If a row still has no user after
+-- that, the rollback stops rather than dropping it — the ledger is
+-- append-only and nothing here may delete from it.
+
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_practice_barcode_unique;
+ALTER TABLE inventory_barcodes DROP CONSTRAINT IF EXISTS inventory_barcodes_practice_barcode_unique;
+
+ALTER TABLE inventory_movements DISABLE TRIGGER inventory_movements_no_update;
+
+DO $$
+DECLARE
+  t TEXT;
+  orphans BIGINT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'inventory_categories', 'suppliers', 'locations', 'inventory', 'procedures',
+    'ops', 'supplies', 'supply_logs', 'inventory_movements', 'inventory_barcodes',
+    'count_sessions', 'purchase_orders', 'receipts', 'supplier_catalog_items',
+    'supplier_order_emails', 'procedure_performances', 'legacy_migration_map'
+  ] LOOP
+    EXECUTE format(
+      'UPDATE %I x SET user_id = (
+         SELECT pm.user_id FROM practice_members pm
+         WHERE pm.practice_id = x.practice_id AND pm.role = ''owner''
+         ORDER BY pm.id LIMIT 1)
+       WHERE x.user_id IS NULL', t);
+    EXECUTE format('SELECT count(*) FROM %I WHERE user_id IS NULL', t) INTO orphans;
+    IF orphans > 0 THEN
+      RAISE EXCEPTION '% row(s) in % belong to a practice with no owner; assign an owner before rolling back', orphans, t;
+    END IF;
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN user_id SET NOT NULL', t);
+    EXECUTE format('DROP INDEX IF EXISTS %I', t || '_practice_idx');
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS practice_id', t);
+  END LOOP;
+END $$;
+
+ALTER TABLE inventory_movements ENABLE TRIGGER inventory_movements_no_update;
+
+ALTER TABLE inventory ADD CONSTRAINT inventory_user_barcode_unique UNIQUE (user_id, barcode);
+ALTER TABLE inventory_barcodes ADD CONSTRAINT inventory_barcodes_user_barcode_unique UNIQUE (user_id, barcode);
+
+ALTER TABLE users DROP COLUMN IF EXISTS active_practice_id;
+DROP TABLE IF EXISTS practice_members;
+DROP TABLE IF EXISTS practices;
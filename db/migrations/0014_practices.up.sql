@@ -0,0 +1,80 @@
+-- 🏥 Practices: the account that owns locations, inventory, suppliers,
+-- procedures and everything hanging off them, shared by its members
+--
+-- Every existing user becomes the owner of a practice of their own and all of
+-- their rows move into it. From here on `practice_id` scopes the data and the
+-- old `user_id` columns only record who created a row.
+
+CREATE TABLE IF NOT EXISTS practices (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- owner: manages the practice and its members; member: everyone else
+CREATE TABLE IF NOT EXISTS practice_members (
+  id SERIAL PRIMARY KEY,
+  practice_id INTEGER NOT NULL REFERENCES practices(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(20) NOT NULL DEFAULT 'member' CHECK (role IN ('owner', 'member')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CONSTRAINT practice_members_unique UNIQUE (practice_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS practice_members_user_idx ON practice_members (user_id);
+
+-- The practice a user's requests act on; falls back to their first membership
+ALTER TABLE users ADD COLUMN IF NOT EXISTS active_practice_id INTEGER
+  REFERENCES practices(id) ON DELETE SET NULL;
+
+-- One practice per existing account
+ALTER TABLE practices ADD COLUMN seed_user_id INTEGER;
+INSERT INTO practices (name, seed_user_id, created_at)
+SELECT COALESCE(NULLIF(TRIM(practice_name), ''), email), id, created_at
+FROM users
+WHERE NOT EXISTS (SELECT 1 FROM practice_members pm WHERE pm.user_id = users.id)
+ORDER BY id;
+INSERT INTO practice_members (practice_id, user_id, role)
+SELECT id, seed_user_id, 'owner' FROM practices WHERE seed_user_id IS NOT NULL;
+UPDATE users u SET active_practice_id = p.id FROM practices p WHERE p.seed_user_id = u.id;
+ALTER TABLE practices DROP COLUMN seed_user_id;
+
+-- Move every user-owned table onto the practice of its owner.
+-- The ledger has no foreign keys (it outlives what it describes) and its
+-- append-only trigger is paused for the backfill.
+ALTER TABLE inventory_movements DISABLE TRIGGER inventory_movements_no_update;
+
+DO $$
+DECLARE
+  t TEXT;
+BEGIN
+  FOREACH t IN ARRAY ARRAY[
+    'inventory_categories', 'suppliers', 'locations', 'inventory', 'procedures',
+    'ops', 'supplies', 'supply_logs', 'inventory_movements', 'inventory_barcodes',
+    'count_sessions', 'purchase_orders', 'receipts', 'supplier_catalog_items',
+    'supplier_order_emails', 'procedure_performances', 'legacy_migration_map'
+  ] LOOP
+    IF t = 'inventory_movements' THEN
+      EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS practice_id INTEGER', t);
+    ELSE
+      EXECUTE format(
+        'ALTER TABLE %I ADD COLUMN IF NOT EXISTS practice_id INTEGER REFERENCES practices(id) ON DELETE CASCADE', t);
+    END IF;
+    EXECUTE format(
+      'UPDATE %I x SET practice_id = u.active_practice_id FROM users u WHERE u.id = x.user_id AND x.practice_id IS NULL', t);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN practice_id SET NOT NULL', t);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN user_id DROP NOT NULL', t);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I (practice_id)', t || '_practice_idx', t);
+  END LOOP;
+END $$;
+
+ALTER TABLE inventory_movements ENABLE TRIGGER inventory_movements_no_update;
+
+-- Barcodes are unique within a practice rather than per user
+ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_user_barcode_unique;
+ALTER TABLE inventory ADD CONSTRAINT inventory_practice_barcode_unique UNIQUE (practice_id, barcode);
+ALTER TABLE inventory_barcodes DROP CONSTRAINT IF EXISTS inventory_barcodes_user_barcode_unique;
+ALTER TABLE inventory_barcodes ADD CONSTRAINT inventory_barcodes_practice_barcode_unique UNIQUE (practice_id, barcode);
+
+CREATE INDEX IF NOT EXISTS inventory_movements_practice_created_idx ON inventory_movements (practice_id, created_at);
@@ -0,0 +1,9 @@
+-- 🔑 Practice roles (rollback) — everyone who isn't an owner is a member again
+
+ALTER TABLE practice_members DROP CONSTRAINT IF EXISTS practice_members_role_check;
+
+UPDATE practice_members SET role = 'member' WHERE role <> 'owner';
+
+ALTER TABLE practice_members ALTER COLUMN role SET DEFAULT 'member';
+ALTER TABLE practice_members ADD CONSTRAINT practice_members_role_check
+  CHECK (role IN ('owner', 'member'));
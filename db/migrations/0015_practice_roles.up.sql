@@ -0,0 +1,17 @@
+-- 🔑 Practice roles: owner, manager, staff and read_only replace owner/member
+--
+-- owner: everything, including billing and members
+-- manager: runs inventory, suppliers, categories and locations
+-- staff: scans, receives, transfers and consumes stock
+-- read_only: looks but doesn't touch
+--
+-- Existing members keep the access they had (everything but member
+-- management), so they become managers.
+
+ALTER TABLE practice_members DROP CONSTRAINT IF EXISTS practice_members_role_check;
+
+UPDATE practice_members SET role = 'manager' WHERE role = 'member';
+
+ALTER TABLE practice_members ALTER COLUMN role SET DEFAULT 'staff';
+ALTER TABLE practice_members ADD CONSTRAINT practice_members_role_check
+  CHECK (role IN ('owner', 'manager', 'staff', 'read_only'));
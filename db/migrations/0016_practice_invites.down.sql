@@ -0,0 +1,3 @@
+-- 📨 Email invitations to join a practice (rollback)
+
+DROP TABLE IF EXISTS practice_invites;
@@ -0,0 +1,27 @@
+-- 📨 Email invitations to join a practice
+--
+-- The link in the email carries a signed token naming the invite and its
+-- current nonce. Resending rotates the nonce (old links stop working) and
+-- pushes out the expiry; revoking or accepting closes the invite.
+
+CREATE TABLE IF NOT EXISTS practice_invites (
+  id SERIAL PRIMARY KEY,
+  practice_id INTEGER NOT NULL REFERENCES practices(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  role VARCHAR(20) NOT NULL DEFAULT 'staff'
+    CHECK (role IN ('owner', 'manager', 'staff', 'read_only')),
+  token_nonce VARCHAR(64) NOT NULL,
+  invited_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  send_count INTEGER NOT NULL DEFAULT 1,
+  accepted_at TIMESTAMPTZ,
+  accepted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- One open invite per address per practice
+CREATE UNIQUE INDEX IF NOT EXISTS practice_invites_open_unique
+  ON practice_invites (practice_id, LOWER(email))
+  WHERE accepted_at IS NULL AND revoked_at IS NULL;
@@ -0,0 +1,3 @@
+-- 🔐 Server-side login sessions (rollback)
+
+DROP TABLE IF EXISTS user_sessions;
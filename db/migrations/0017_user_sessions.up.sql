@@ -0,0 +1,24 @@
+-- 🔐 Server-side login sessions
+--
+-- Each login opens a session. The refresh token handed to the client is
+-- `<session id>.<secret>`; only a hash of the secret is kept and it rotates
+-- on every refresh. Presenting the previous secret again means the token
+-- was copied, so the whole session is revoked. Access tokens are short-lived
+-- JWTs naming their session and stop working as soon as it's revoked.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash CHAR(64) NOT NULL,
+  previous_token_hash CHAR(64),
+  user_agent VARCHAR(512),
+  ip VARCHAR(64),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  -- logout, logout_all, user, password_change, token_reuse
+  revoked_reason VARCHAR(30)
+);
+
+CREATE INDEX IF NOT EXISTS user_sessions_user_idx ON user_sessions (user_id) WHERE revoked_at IS NULL;
@@ -0,0 +1,3 @@
+-- ✉️ Email verification (rollback)
+
+ALTER TABLE users DROP COLUMN IF EXISTS email_verified_at;
@@ -0,0 +1,9 @@
+-- ✉️ Email verification
+--
+-- A new account's address is unverified until the link mailed at
+-- registration is opened. Accounts that existed before this migration have
+-- been receiving mail all along, so they start out verified.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMPTZ;
+
+UPDATE users SET email_verified_at = created_at WHERE email_verified_at IS NULL;
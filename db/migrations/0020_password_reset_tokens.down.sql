@@ -0,0 +1,3 @@
+-- 🔑 Single-use password reset tokens (rollback)
+
+DROP TABLE IF EXISTS password_reset_tokens;
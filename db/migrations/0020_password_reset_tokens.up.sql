@@ -0,0 +1,16 @@
+-- 🔑 Single-use password reset tokens
+--
+-- The emailed link carries a random token; only its SHA-256 hash is kept.
+-- A token works once, until it expires, and only while it is the latest one
+-- issued: a newer request or any password change removes the rest.
+
+CREATE TABLE IF NOT EXISTS password_reset_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS password_reset_tokens_user_idx ON password_reset_tokens (user_id);
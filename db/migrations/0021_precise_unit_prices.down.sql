@@ -0,0 +1,6 @@
+-- 🏷️ Keep prices at full precision (rollback; rounds to cents again)
+
+ALTER TABLE supplier_catalog_prices ALTER COLUMN price TYPE NUMERIC(10, 2);
+ALTER TABLE supplier_catalog_items ALTER COLUMN price TYPE NUMERIC(10, 2);
+ALTER TABLE receipt_lines ALTER COLUMN unit_price TYPE NUMERIC(10, 2);
+ALTER TABLE purchase_order_lines ALTER COLUMN unit_price TYPE NUMERIC(10, 2);
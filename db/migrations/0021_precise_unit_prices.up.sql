@@ -0,0 +1,11 @@
+-- 🏷️ Keep prices at full precision
+--
+-- Per-base-unit prices are often fractions of a cent (a $5.00 box of 1000
+-- gloves is $0.005 a glove), and pack prices derived from them on receipt
+-- can be too. Stored at two decimals they were rounded on every write, so
+-- they are kept at six now and only rounded for display and line totals.
+
+ALTER TABLE purchase_order_lines ALTER COLUMN unit_price TYPE NUMERIC(14, 6);
+ALTER TABLE receipt_lines ALTER COLUMN unit_price TYPE NUMERIC(14, 6);
+ALTER TABLE supplier_catalog_items ALTER COLUMN price TYPE NUMERIC(14, 6);
+ALTER TABLE supplier_catalog_prices ALTER COLUMN price TYPE NUMERIC(14, 6);
@@ -0,0 +1,158 @@
+// ✅ /server/db/migrator.js
+// Versioned schema migrations. Each migration is a pair of files in
+// db/migrations: NNNN_name.up.sql and NNNN_name.down.sql. Applied versions
+// are recorded in schema_migrations; every migration runs in its own
+// transaction together with its bookkeeping row.
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath } from 'url'
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations')
+
+const FILE_PATTERN = /^(\d{4})_([\w-]+)\.(up|down)\.sql$/
+
+const ensureMigrationsTable = (db) =>
+  db.query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+       version VARCHAR(20) PRIMARY KEY,
+       name VARCHAR(255) NOT NULL,
+       applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+     )`
+  )
+
+/**
+ * Migrations on disk, oldest first
+ * @param {string} [dir]
+ * @returns {Promise<Array<{ version: string, name: string, up: string, down: string|null }>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map()
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const match = FILE_PATTERN.exec(file)
+    if (!match) continue
+
+    const [, version, name, direction] = match
+    const migration = byVersion.get(version) ?? { version, name, up: null, down: null }
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has files with different names (${migration.name}, ${name})`)
+    }
+    migration[direction] = path.join(dir, file)
+    byVersion.set(version, migration)
+  }
+
+  const migrations = [...byVersion.values()]
+  for (const migration of migrations) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} has no .up.sql file`)
+    }
+  }
+  return migrations
+}
+
+/**
+ * Every migration on disk with whether and when it was applied
+ * @param {import('pg').Pool} pool
+ * @param {string} [dir]
+ * @returns {Promise<Array<{ version: string, name: string, applied_at: Date|null }>>}
+ */
+export async function migrationStatus(pool, dir = MIGRATIONS_DIR) {
+  await ensureMigrationsTable(pool)
+  const { rows } = await pool.query('SELECT version, applied_at FROM schema_migrations')
+  const applied = new Map(rows.map((row) => [row.version, row.applied_at]))
+
+  const status = (await loadMigrations(dir)).map(({ version, name }) => ({
+    version,
+    name,
+    applied_at: applied.get(version) ?? null,
+  }))
+
+  // Applied versions whose files are gone still show up so they aren't missed
+  for (const [version, applied_at] of applied) {
+    if (!status.some((m) => m.version === version)) {
+      status.push({ version, name: '(missing file)', applied_at })
+    }
+  }
+  return status.sort((a, b) => a.version.localeCompare(b.version))
+}
+
+const runInTransaction = async (pool, fn) => {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await fn(client)
+    await client.query('COMMIT')
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+/**
+ * Apply pending migrations in order
+ * @param {import('pg').Pool} pool
+ * @param {Object} [options]
+ * @param {string} [options.to] - Stop after this version
+ * @param {string} [options.dir]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<string[]>} Versions applied
+ */
+export async function migrateUp(pool, { to = null, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  await ensureMigrationsTable(pool)
+  const { rows } = await pool.query('SELECT version FROM schema_migrations')
+  const applied = new Set(rows.map((row) => row.version))
+
+  const done = []
+  for (const migration of await loadMigrations(dir)) {
+    if (to && migration.version > to) break
+    if (applied.has(migration.version)) continue
+
+    const sql = await fs.readFile(migration.up, 'utf8')
+    await runInTransaction(pool, async (client) => {
+      await client.query(sql)
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      )
+    })
+    log(`⬆️  ${migration.version}_${migration.name}`)
+    done.push(migration.version)
+  }
+  return done
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {import('pg').Pool} pool
+ * @param {Object} [options]
+ * @param {number} [options.steps=1]
+ * @param {string} [options.dir]
+ * @param {(message: string) => void} [options.log]
+ * @returns {Promise<string[]>} Versions rolled back
+ */
+export async function migrateDown(pool, { steps = 1, dir = MIGRATIONS_DIR, log = () => {} } = {}) {
+  await ensureMigrationsTable(pool)
+  const { rows } = await pool.query(
+    'SELECT version FROM schema_migrations ORDER BY version DESC LIMIT $1',
+    [steps]
+  )
+  const migrations = new Map((await loadMigrations(dir)).map((m) => [m.version, m]))
+
+  const done = []
+  for (const { version } of rows) {
+    const migration = migrations.get(version)
+    if (!migration?.down) {
+      throw new Error(`Migration ${version} has no .down.sql file; cannot roll back`)
+    }
+
+    const sql = await fs.readFile(migration.down, 'utf8')
+    await runInTransaction(pool, async (client) => {
+      await client.query(sql)
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [version])
+    })
+    log(`⬇️  ${migration.version}_${migration.name}`)
+    done.push(version)
+  }
+  return done
+}
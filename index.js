@@ -3,6 +3,7 @@ import express from 'express'
 import cors from 'cors'
 import cookieParser from 'cookie-parser'
 import dotenv from 'dotenv'
+import { pathToFileURL } from 'url'
 
 dotenv.config()
 
@@ -35,6 +36,13 @@ import stripeWebhookRouter from './routes/stripeWebhook.js'
 import barcodeRoutes from './scanning/routes/barcode.js'
 import inventoryRoutes from './routes/inventory.js' // USED instead of op_supplies
 import locationsRoutes from './routes/locations.js'
+import stockCountRoutes from './routes/stockCounts.js'
+import purchaseOrderRoutes from './routes/purchaseOrders.js'
+import receiptRoutes from './routes/receipts.js'
+import supplierCatalogRoutes from './routes/supplierCatalog.js'
+import practiceRoutes from './routes/practices.js'
+import inviteRoutes from './routes/invites.js'
+import twoFactorRoutes from './routes/twoFactor.js'
 
 // Import error handling middleware
 import { errorHandler, dbHealthCheck } from './middleware/errorHandler.js'
@@ -84,6 +92,7 @@ app.get('/api/test-cookie', (req, res) => {
 // ROUTES
 app.use('/api', authRoutes)
 app.use('/api/auth', userRoutes)
+app.use('/api/users/2fa', twoFactorRoutes)
 app.use('/api/users', userRoutes)
 app.use('/api/ops', opsRoutes)
 app.use('/api/supplies', suppliesRoutes)
@@ -100,17 +109,28 @@ app.use('/api/barcode', barcodeRoutes)
 app.use('/api/inventory', inventoryRoutes)
 
 app.use('/api/locations', locationsRoutes)
+app.use('/api/stock-counts', stockCountRoutes)
+app.use('/api/purchase-orders', purchaseOrderRoutes)
+app.use('/api/receipts', receiptRoutes)
+app.use('/api/supplier-catalog', supplierCatalogRoutes)
+app.use('/api/practices', practiceRoutes)
+app.use('/api/invites', inviteRoutes)
 
 // Database health check removed for now to avoid blocking requests
 
 // Global error handler (must be last)
 app.use(errorHandler)
 
-app.listen(port, () => {
-  console.log(`Server running on port ${port}`)
+// Only listen when started directly (node index.js); tests import the app
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(port, () => {
+    console.log(`Server running on port ${port}`)
 
-  // Test database connection on startup
-  import('./db/utils.js').then(({ testConnection }) => {
-    testConnection()
+    // Test database connection on startup
+    import('./db/utils.js').then(({ testConnection }) => {
+      testConnection()
+    })
   })
-})
+}
+
+export default app
@@ -8,7 +8,9 @@ const router = express.Router()
 // ✅ GET current user from cookie (for session persistence)
 router.get('/me', verifyToken, asyncHandler(async (req, res) => {
   const result = await query(
-    'SELECT id, email, practice_name, is_paid, dark_mode FROM users WHERE id = $1',
+    `SELECT id, email, practice_name, is_paid, dark_mode,
+            email_verified_at IS NOT NULL AS email_verified
+     FROM users WHERE id = $1`,
     [req.user.id]
   )
 
@@ -17,7 +19,7 @@ router.get('/me', verifyToken, asyncHandler(async (req, res) => {
   }
 
   const user = result.rows[0]
-  res.json({ user })
+  res.json({ user, practice: req.practice })
 }))
 
 export default router
@@ -1,27 +1,28 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 router.use(verifyToken)
 
 // ✅ Create a new category
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), async (req, res) => {
   const { name } = req.body
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const existing = await pool.query(
-      'SELECT 1 FROM inventory_categories WHERE user_id = $1 AND LOWER(name) = LOWER($2)',
-      [user_id, name]
+      'SELECT 1 FROM inventory_categories WHERE practice_id = $1 AND LOWER(name) = LOWER($2)',
+      [practiceId, name]
     )
     if (existing.rows.length > 0) {
       return res.status(400).json({ error: 'Category name already exists' })
     }
 
     const result = await pool.query(
-      'INSERT INTO inventory_categories (user_id, name) VALUES ($1, $2) RETURNING *',
-      [user_id, name]
+      'INSERT INTO inventory_categories (practice_id, user_id, name) VALUES ($1, $2, $3) RETURNING *',
+      [practiceId, req.user.id, name]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -30,14 +31,14 @@ router.post('/', async (req, res) => {
   }
 })
 
-// ✅ Get all categories for the logged-in user
+// ✅ Get all categories for the current practice
 router.get('/', async (req, res) => {
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const result = await pool.query(
-      'SELECT * FROM inventory_categories WHERE user_id = $1 ORDER BY id',
-      [user_id]
+      'SELECT * FROM inventory_categories WHERE practice_id = $1 ORDER BY id',
+      [practiceId]
     )
     res.json(result.rows)
   } catch (err) {
@@ -47,23 +48,23 @@ router.get('/', async (req, res) => {
 })
 
 // ✅ Update category by ID
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), async (req, res) => {
   const { id } = req.params
   const { name } = req.body
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const existing = await pool.query(
-      'SELECT 1 FROM inventory_categories WHERE user_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
-      [user_id, name, id]
+      'SELECT 1 FROM inventory_categories WHERE practice_id = $1 AND LOWER(name) = LOWER($2) AND id <> $3',
+      [practiceId, name, id]
     )
     if (existing.rows.length > 0) {
       return res.status(400).json({ error: 'Another category with this name already exists' })
     }
 
     const result = await pool.query(
-      'UPDATE inventory_categories SET name = $1 WHERE id = $2 AND user_id = $3 RETURNING *',
-      [name, id, user_id]
+      'UPDATE inventory_categories SET name = $1 WHERE id = $2 AND practice_id = $3 RETURNING *',
+      [name, id, practiceId]
     )
 
     if (result.rows.length === 0) {
@@ -78,17 +79,17 @@ router.put('/:id', async (req, res) => {
 })
 
 // ✅ Delete category if not in use
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.CATEGORIES_MANAGE), async (req, res) => {
   const { id } = req.params
-  const user_id = req.user.id
+  const practiceId = req.practice.id
   const client = await pool.connect()
 
   try {
     await client.query('BEGIN')
 
     const inUse = await client.query(
-      'SELECT 1 FROM inventory WHERE category_id = $1 AND user_id = $2 LIMIT 1',
-      [id, user_id]
+      'SELECT 1 FROM inventory WHERE category_id = $1 AND practice_id = $2 LIMIT 1',
+      [id, practiceId]
     )
 
     if (inUse.rows.length > 0) {
@@ -99,8 +100,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     const result = await client.query(
-      'DELETE FROM inventory_categories WHERE id = $1 AND user_id = $2 RETURNING *',
-      [id, user_id]
+      'DELETE FROM inventory_categories WHERE id = $1 AND practice_id = $2 RETURNING *',
+      [id, practiceId]
     )
 
     await client.query('COMMIT')
@@ -2,12 +2,30 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission, hasPermission } from '../auth/permissions.js'
+import { recordMovement, MOVEMENT_TYPES } from '../services/inventoryLedger.js'
+import {
+  drawFromLots,
+  depositPortions,
+  trimLotsToOnHand,
+  clearLots,
+  InsufficientStockError,
+} from '../services/inventoryLots.js'
+import { receiveStock } from '../services/stockReceiving.js'
+import { consumeStock, StockNotFoundError } from '../services/stockConsumption.js'
+import { findBarcodeConflict } from '../scanning/barcodeResolver.js'
+import {
+  getUnits,
+  toBaseQuantity,
+  fromBaseQuantity,
+  resolveUnitDefinitions,
+} from '../services/unitConversion.js'
 
 const router = express.Router()
 
-// ✅ backend/routes/inventory.js fetching inventory options (user-specific)
+// ✅ backend/routes/inventory.js fetching inventory options (practice-specific)
 router.get('/options', verifyToken, async (req, res) => {
-  const userId = req.user?.id
+  const practiceId = req.practice.id
   try {
     const result = await pool.query(`
       SELECT 
@@ -17,11 +35,16 @@ router.get('/options', verifyToken, async (req, res) => {
         unit,
         cost_per_unit,
         category_id,
-        supplier_id
+        supplier_id,
+        (
+          SELECT COALESCE(json_agg(json_build_object('unit', u.unit_name, 'factor', u.factor) ORDER BY u.factor), '[]'::json)
+          FROM inventory_units u
+          WHERE u.inventory_id = inventory.id
+        ) AS units
       FROM inventory
-      WHERE user_id = $1
+      WHERE practice_id = $1
       ORDER BY name ASC
-    `, [userId])
+    `, [practiceId])
     
     res.json(result.rows)
   } catch (err) {
@@ -33,8 +56,8 @@ router.get('/options', verifyToken, async (req, res) => {
 
 // ✅ Get all inventory data, including optional filters
 router.get('/', verifyToken, async (req, res) => {
-  const userId = req.user?.id
-  const { search = '', category = '', locations = '' } = req.query
+  const practiceId = req.practice.id
+  const { search = '', category = '', locations = '', display_unit = '' } = req.query
 
   try {
     // Optimized query with better join order and explicit WHERE clauses
@@ -53,23 +76,39 @@ router.get('/', verifyToken, async (req, res) => {
         l.name AS location_name,
         li.quantity,
         li.low_stock_threshold AS location_low_stock_threshold,
-        li.updated_at AS location_updated_at
+        li.updated_at AS location_updated_at,
+        (
+          SELECT COALESCE(json_agg(json_build_object(
+            'lot_id', lot.id,
+            'lot_number', lot.lot_number,
+            'expiration_date', lot.expiration_date,
+            'quantity', lot.quantity
+          ) ORDER BY lot.expiration_date ASC NULLS LAST, lot.id ASC), '[]'::json)
+          FROM inventory_lots lot
+          WHERE lot.inventory_id = inv.id AND lot.location_id = li.location_id AND lot.quantity > 0
+        ) AS lots,
+        (
+          SELECT COALESCE(json_agg(json_build_object('unit', u.unit_name, 'factor', u.factor) ORDER BY u.factor), '[]'::json)
+          FROM inventory_units u
+          WHERE u.inventory_id = inv.id
+        ) AS units
       FROM inventory inv
       LEFT JOIN location_inventory li ON inv.id = li.inventory_id
-      LEFT JOIN locations l ON li.location_id = l.id AND l.user_id = $1
-      LEFT JOIN inventory_categories c ON inv.category_id = c.id AND c.user_id = $1
-      LEFT JOIN suppliers s ON inv.supplier_id = s.id AND s.user_id = $1
-      WHERE inv.user_id = $1
+      LEFT JOIN locations l ON li.location_id = l.id AND l.practice_id = $1
+      LEFT JOIN inventory_categories c ON inv.category_id = c.id AND c.practice_id = $1
+      LEFT JOIN suppliers s ON inv.supplier_id = s.id AND s.practice_id = $1
+      WHERE inv.practice_id = $1
     `
 
     const conditions = []
-    const values = [userId]
+    const values = [practiceId]
 
-    // 🔍 Search by name or barcode
+    // 🔍 Search by name, barcode or barcode alias
     if (search) {
       values.push(`%${search}%`)
       values.push(`%${search}%`)
-      conditions.push(`(inv.name ILIKE $${values.length - 1} OR inv.barcode ILIKE $${values.length})`)
+      conditions.push(`(inv.name ILIKE $${values.length - 1} OR inv.barcode ILIKE $${values.length}
+        OR EXISTS (SELECT 1 FROM inventory_barcodes ib WHERE ib.inventory_id = inv.id AND ib.barcode ILIKE $${values.length}))`)
     }
 
     // 📦 Filter by category
@@ -94,7 +133,28 @@ router.get('/', verifyToken, async (req, res) => {
 
     const result = await pool.query(baseQuery, values)
 
-    res.json(result.rows)
+    // 🏷️ Whatever the lots don't cover is unlotted stock
+    const rows = result.rows.map((row) => {
+      const mapped = {
+        ...row,
+        unlotted_quantity: row.quantity == null
+          ? null
+          : row.quantity - row.lots.reduce((sum, lot) => sum + lot.quantity, 0),
+      }
+
+      // 📏 Optionally express quantity in another configured unit (items without it stay in base units)
+      if (display_unit) {
+        const match = row.units.find((u) => u.unit.toLowerCase() === display_unit.toLowerCase())
+        mapped.display_unit = match ? match.unit : row.unit
+        mapped.display_quantity = row.quantity == null
+          ? null
+          : fromBaseQuantity(row.quantity, match ? match.factor : 1)
+      }
+
+      return mapped
+    })
+
+    res.json(rows)
   } catch (err) {
     console.error('Failed to fetch inventory with filters:', err)
     res.status(500).json({ error: 'Internal server error' })
@@ -103,45 +163,137 @@ router.get('/', verifyToken, async (req, res) => {
 
 
 
-// ✅ Add new inventory entries with user scoping
-router.post('/add', verifyToken, async (req, res) => {
+// ✅ GET /api/inventory/expiring?days=N — lots expiring within N days (default 30),
+// including anything already expired, grouped by location and valued at cost_per_unit
+router.get('/expiring', verifyToken, async (req, res) => {
+  const practiceId = req.practice.id
+  const days = req.query.days === undefined ? 30 : Number(req.query.days)
+
+  if (!Number.isInteger(days) || days < 0) {
+    return res.status(400).json({ error: 'days must be a non-negative whole number' })
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT 
+         lot.id AS lot_id,
+         lot.lot_number,
+         lot.expiration_date::text AS expiration_date,
+         (lot.expiration_date - CURRENT_DATE) AS days_until_expiry,
+         (lot.expiration_date < CURRENT_DATE) AS expired,
+         lot.quantity,
+         inv.id AS inventory_id,
+         inv.name,
+         inv.unit,
+         inv.cost_per_unit,
+         l.id AS location_id,
+         l.name AS location_name
+       FROM inventory_lots lot
+       JOIN inventory inv ON lot.inventory_id = inv.id
+       JOIN locations l ON lot.location_id = l.id
+       WHERE inv.practice_id = $1
+         AND lot.quantity > 0
+         AND lot.expiration_date <= CURRENT_DATE + $2::int
+       ORDER BY l.name ASC, lot.expiration_date ASC, inv.name ASC`,
+      [practiceId, days]
+    )
+
+    const byLocation = new Map()
+    for (const row of result.rows) {
+      if (!byLocation.has(row.location_id)) {
+        byLocation.set(row.location_id, {
+          location_id: row.location_id,
+          location_name: row.location_name,
+          total_value: 0,
+          items: [],
+        })
+      }
+      const group = byLocation.get(row.location_id)
+      const value = row.quantity * parseFloat(row.cost_per_unit || 0)
+      group.items.push({
+        inventory_id: row.inventory_id,
+        name: row.name,
+        unit: row.unit,
+        lot_id: row.lot_id,
+        lot_number: row.lot_number,
+        expiration_date: row.expiration_date,
+        days_until_expiry: row.days_until_expiry,
+        expired: row.expired,
+        quantity: row.quantity,
+        cost_per_unit: row.cost_per_unit,
+        value: Math.round(value * 100) / 100,
+      })
+      group.total_value = Math.round((group.total_value + value) * 100) / 100
+    }
+
+    const locations = [...byLocation.values()]
+    res.json({
+      days,
+      total_value: Math.round(locations.reduce((sum, loc) => sum + loc.total_value, 0) * 100) / 100,
+      locations,
+    })
+  } catch (err) {
+    console.error('Failed to fetch expiring inventory:', err)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
+
+// ✅ Add new inventory entries with practice scoping
+router.post('/add', verifyToken, requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
   const client = await pool.connect()
   try {
     const { destination, location, supplies } = req.body
-    const userId = req.user?.id
+    const practiceId = req.practice.id
 
     console.log('📥 Incoming /api/inventory/add request:')
-console.log('👤 User ID:', userId)
+console.log('👤 User ID:', req.user.id)
 console.log('📦 Supplies:', supplies)
 console.log('📍 Destination:', destination)
 console.log('➡️ Location ID:', location)
 
-
+    // 🔑 Staff can receive stock into existing items; new items need a manager
+    if (supplies.some((item) => item.isNew) && !hasPermission(req.practice.role, PERMISSIONS.INVENTORY_MANAGE)) {
+      return res.status(403).json({ error: 'Your role in this practice cannot create new items' })
+    }
 
     await client.query('BEGIN')
 
     const { rows } = await client.query(
-      'SELECT id FROM locations WHERE name = $1 AND user_id = $2',
-      ['Common Area', userId]
+      'SELECT id FROM locations WHERE name = $1 AND practice_id = $2',
+      ['Common Area', practiceId]
     )
     const commonAreaId = rows[0]?.id
     if (!commonAreaId) {
       await client.query('ROLLBACK')
-      return res.status(400).json({ error: 'Common Area not found for this user.' })
+      return res.status(400).json({ error: 'Common Area not found for this practice.' })
+    }
+
+    // 🔐 Any other destination must be one of this practice's locations
+    if (destination !== 'common_area') {
+      const { rowCount } = await client.query(
+        'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+        [location, practiceId]
+      )
+      if (rowCount === 0) {
+        await client.query('ROLLBACK')
+        return res.status(403).json({ error: 'Unauthorized: Location does not belong to this practice.' })
+      }
     }
 
     for (const item of supplies) {
       let inventoryId
       let targetLocationId = destination === 'common_area' ? commonAreaId : location
+      let transferredPortions = null
 
       if (item.isNew) {
         const { name, quantity, barcode, category_id, supplier_id, unit, cost_per_unit } = item
         if (!name || quantity <= 0) continue
 
-        // 🔐 Match only inventory owned by this user
+        // 🔐 Match only inventory owned by this practice
         const { rows: invRows } = await client.query(
-          'SELECT id FROM inventory WHERE name ILIKE $1 AND user_id = $2',
-          [name, userId]
+          'SELECT id FROM inventory WHERE name ILIKE $1 AND practice_id = $2',
+          [name, practiceId]
         )
 
         if (invRows.length > 0) {
@@ -149,15 +301,12 @@ console.log('➡️ Location ID:', location)
         } else {
           // Check if barcode already exists
           if (barcode) {
-            const { rows: existingBarcode } = await client.query(
-              'SELECT id, name FROM inventory WHERE barcode = $1 AND user_id = $2',
-              [barcode, userId]
-            )
+            const existingBarcode = await findBarcodeConflict(client, practiceId, barcode)
             
-            if (existingBarcode.length > 0) {
+            if (existingBarcode) {
               await client.query('ROLLBACK')
               return res.status(400).json({ 
-                error: `Barcode "${barcode}" is already used by item "${existingBarcode[0].name}"` 
+                error: `Barcode "${barcode}" is already used by item "${existingBarcode.name}"` 
               })
             }
           }
@@ -165,8 +314,8 @@ console.log('➡️ Location ID:', location)
           console.log(`📝 Writing inventory_id=${inventoryId} to location_id=${targetLocationId} (qty=${item.quantity})`)
 
           const insert = await client.query(
-            'INSERT INTO inventory (name, barcode, unit, cost_per_unit, category_id, supplier_id, user_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW(), NOW()) RETURNING id',
-            [name, barcode || null, unit || null, cost_per_unit || null, category_id || null, supplier_id || null, userId]
+            'INSERT INTO inventory (name, barcode, unit, cost_per_unit, category_id, supplier_id, practice_id, user_id, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW()) RETURNING id',
+            [name, barcode || null, unit || null, cost_per_unit || null, category_id || null, supplier_id || null, practiceId, req.user.id]
           )
           inventoryId = insert.rows[0].id
         }
@@ -174,31 +323,51 @@ console.log('➡️ Location ID:', location)
         inventoryId = item.inventory_id
         if (!inventoryId || item.quantity <= 0) continue
 
-        // 🔐 Optional safety: confirm this inventory belongs to user
+        // 🔐 Optional safety: confirm this inventory belongs to this practice
         const { rowCount } = await client.query(
-          'SELECT 1 FROM inventory WHERE id = $1 AND user_id = $2',
-          [inventoryId, userId]
+          'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+          [inventoryId, practiceId]
         )
         if (rowCount === 0) {
           await client.query('ROLLBACK')
-          return res.status(403).json({ error: 'Inventory does not belong to current user.' })
+          return res.status(403).json({ error: 'Inventory does not belong to current practice.' })
         }
       }
 
+      // 📏 Quantities may be entered in any configured unit; stock is kept in base units
+      const baseQuantity = await toBaseQuantity(client, inventoryId, item.quantity, item.quantity_unit)
+
       if (destination === 'transfer') {
         const { rows: fromRows } = await client.query(
           'SELECT id, quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2',
           [inventoryId, commonAreaId]
         )
-        if (!fromRows.length || fromRows[0].quantity < item.quantity) {
+        if (!fromRows.length || fromRows[0].quantity < baseQuantity) {
           await client.query('ROLLBACK')
           return res.status(400).json({ error: `Not enough "${item.name || inventoryId}" in Common Area to transfer.` })
         }
 
+        // 🏷️ Move whole lots out of Common Area, first-expiring first unless one was picked
+        transferredPortions = await drawFromLots(client, {
+          inventoryId,
+          locationId: commonAreaId,
+          quantity: baseQuantity,
+          lotId: item.lot_id,
+        })
+
         await client.query(
           'UPDATE location_inventory SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2',
-          [item.quantity, fromRows[0].id]
+          [baseQuantity, fromRows[0].id]
         )
+        await recordMovement(client, {
+          practiceId,
+          inventoryId,
+          locationId: commonAreaId,
+          type: MOVEMENT_TYPES.TRANSFER_OUT,
+          quantityChange: -baseQuantity,
+          lots: transferredPortions,
+          createdBy: req.user.id,
+        })
         targetLocationId = location
       }
 
@@ -207,6 +376,20 @@ console.log('➡️ Location ID:', location)
         return res.status(400).json({ error: `No valid location selected for "${item.name || inventoryId}".` })
       }
 
+      // 📥 Straight deliveries go through the shared receiving path
+      if (!transferredPortions) {
+        await receiveStock(client, {
+          practiceId,
+          inventoryId,
+          locationId: targetLocationId,
+          quantity: baseQuantity,
+          lotNumber: item.lot_number,
+          expirationDate: item.expiration_date,
+          createdBy: req.user.id,
+        })
+        continue
+      }
+
       const { rows: locRows } = await client.query(
         'SELECT id FROM location_inventory WHERE inventory_id = $1 AND location_id = $2',
         [inventoryId, targetLocationId]
@@ -215,15 +398,30 @@ console.log('➡️ Location ID:', location)
       if (locRows.length > 0) {
         await client.query(
           'UPDATE location_inventory SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
-          [item.quantity, locRows[0].id]
+          [baseQuantity, locRows[0].id]
         )
       } else {
         await client.query(
           'INSERT INTO location_inventory (inventory_id, location_id, quantity, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW())',
-          [inventoryId, targetLocationId, item.quantity]
+          [inventoryId, targetLocationId, baseQuantity]
         )
       }
 
+      const lots = await depositPortions(client, {
+        inventoryId,
+        locationId: targetLocationId,
+        portions: transferredPortions,
+      })
+
+      await recordMovement(client, {
+        practiceId,
+        inventoryId,
+        locationId: targetLocationId,
+        type: MOVEMENT_TYPES.TRANSFER_IN,
+        quantityChange: baseQuantity,
+        lots,
+        createdBy: req.user.id,
+      })
     }
 
     await client.query('COMMIT')
@@ -231,9 +429,13 @@ console.log('➡️ Location ID:', location)
   } catch (err) {
     await client.query('ROLLBACK')
     console.error('Error adding inventory:', err)
+
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
     
     // Handle unique constraint violation
-    if (err.code === '23505' && (err.constraint === 'inventory_barcode_key' || err.constraint === 'inventory_user_barcode_unique')) {
+    if (err.code === '23505' && (err.constraint === 'inventory_barcode_key' || err.constraint === 'inventory_practice_barcode_unique')) {
       return res.status(400).json({ 
         error: `This barcode is already used by another item in your inventory.` 
       })
@@ -247,8 +449,8 @@ console.log('➡️ Location ID:', location)
 
 
 
-// ✅ Update inventory and location-specific data scoped to user
-router.put('/:id', verifyToken, async (req, res) => {
+// ✅ Update inventory and location-specific data scoped to practice
+router.put('/:id', verifyToken, requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   const {
     name,
@@ -262,16 +464,16 @@ router.put('/:id', verifyToken, async (req, res) => {
     low_stock_threshold,
   } = req.body
 
-  const userId = req.user?.id
+  const practiceId = req.practice.id
   const client = await pool.connect()
 
   try {
     await client.query('BEGIN')
 
-    // 🔐 Ensure inventory item belongs to current user
+    // 🔐 Ensure inventory item belongs to current practice
     const { rowCount: inventoryExists } = await client.query(
-      'SELECT 1 FROM inventory WHERE id = $1 AND user_id = $2',
-      [id, userId]
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [id, practiceId]
     )
 
     if (!inventoryExists) {
@@ -281,15 +483,12 @@ router.put('/:id', verifyToken, async (req, res) => {
 
     // Check if barcode already exists for another item (but allow same barcode for current item)
     if (barcode) {
-      const { rows: existingBarcode } = await client.query(
-        'SELECT id, name FROM inventory WHERE barcode = $1 AND id != $2 AND user_id = $3',
-        [barcode, id, userId]
-      )
+      const existingBarcode = await findBarcodeConflict(client, practiceId, barcode, id)
       
-      if (existingBarcode.length > 0) {
+      if (existingBarcode) {
         await client.query('ROLLBACK')
         return res.status(400).json({ 
-          error: `Barcode "${barcode}" is already used by item "${existingBarcode[0].name}"` 
+          error: `Barcode "${barcode}" is already used by item "${existingBarcode.name}"` 
         })
       }
     }
@@ -300,9 +499,10 @@ router.put('/:id', verifyToken, async (req, res) => {
     )
 
     const { rows } = await client.query(
-      'SELECT id FROM location_inventory WHERE inventory_id = $1 AND location_id = $2',
+      'SELECT id, quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
       [id, location_id]
     )
+    const previousQty = rows[0]?.quantity ?? 0
 
     if (rows.length > 0) {
       await client.query(
@@ -316,6 +516,21 @@ router.put('/:id', verifyToken, async (req, res) => {
       )
     }
 
+    // 📒 Manual quantity edits are recorded as adjustments
+    if (Number(quantity) !== previousQty) {
+      const trimmed = await trimLotsToOnHand(client, { inventoryId: id, locationId: location_id })
+      await recordMovement(client, {
+        practiceId,
+        inventoryId: id,
+        locationId: location_id,
+        type: MOVEMENT_TYPES.ADJUST,
+        quantityChange: Number(quantity) - previousQty,
+        reason: req.body.reason || 'Manual edit',
+        lots: trimmed,
+        createdBy: req.user.id,
+      })
+    }
+
     await client.query('COMMIT')
     res.json({ message: 'Inventory updated successfully' })
   } catch (err) {
@@ -329,7 +544,7 @@ router.put('/:id', verifyToken, async (req, res) => {
     })
     
     // Handle unique constraint violation
-    if (err.code === '23505' && (err.constraint === 'inventory_barcode_key' || err.constraint === 'inventory_user_barcode_unique')) {
+    if (err.code === '23505' && (err.constraint === 'inventory_barcode_key' || err.constraint === 'inventory_practice_barcode_unique')) {
       return res.status(400).json({ 
         error: `This barcode is already used by another item in your inventory.` 
       })
@@ -342,19 +557,19 @@ router.put('/:id', verifyToken, async (req, res) => {
 })
 
 
-// ✅ Delete inventory from specific location (location_inventory) — scoped to user
-router.delete('/:inventoryId/location/:locationId', verifyToken, async (req, res) => {
+// ✅ Delete inventory from specific location (location_inventory) — scoped to practice
+router.delete('/:inventoryId/location/:locationId', verifyToken, requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { inventoryId, locationId } = req.params
-  const userId = req.user?.id
+  const practiceId = req.practice.id
 
   const client = await pool.connect()
   try {
     await client.query('BEGIN')
 
-    // 🔐 Ensure inventory belongs to the user
+    // 🔐 Ensure inventory belongs to the practice
     const { rowCount: invValid } = await client.query(
-      'SELECT 1 FROM inventory WHERE id = $1 AND user_id = $2',
-      [inventoryId, userId]
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventoryId, practiceId]
     )
     if (!invValid) {
       await client.query('ROLLBACK')
@@ -372,6 +587,17 @@ router.delete('/:inventoryId/location/:locationId', verifyToken, async (req, res
       return res.status(404).json({ error: 'Inventory item at that location not found' })
     }
 
+    const clearedLots = await clearLots(client, { inventoryId, locationId })
+    await recordMovement(client, {
+      practiceId,
+      inventoryId,
+      locationId,
+      type: MOVEMENT_TYPES.DELETE,
+      quantityChange: -result.rows[0].quantity,
+      lots: clearedLots,
+      createdBy: req.user.id,
+    })
+
     // Check if this inventory has any other locations left
     const { rowCount } = await client.query(
       'SELECT 1 FROM location_inventory WHERE inventory_id = $1 LIMIT 1',
@@ -397,15 +623,17 @@ router.delete('/:inventoryId/location/:locationId', verifyToken, async (req, res
 
 
 // ✅ POST /api/inventory/transfer — secure transfer
-router.post('/transfer', verifyToken, async (req, res) => {
+router.post('/transfer', verifyToken, requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
   const {
     inventory_id,
     source_location_id,
     destination_location_id,
     quantity,
+    quantity_unit,
+    lot_id,
   } = req.body
 
-  const userId = req.user?.id
+  const practiceId = req.practice.id
 
   if (!inventory_id || !source_location_id || !destination_location_id || !quantity) {
     return res.status(400).json({ error: 'Missing required fields' })
@@ -415,16 +643,31 @@ router.post('/transfer', verifyToken, async (req, res) => {
   try {
     await client.query('BEGIN')
 
-    // 🔐 1. Ensure this inventory belongs to the logged-in user
+    // 🔐 1. Ensure this inventory belongs to the current practice
     const { rowCount: validInv } = await client.query(
-      'SELECT 1 FROM inventory WHERE id = $1 AND user_id = $2',
-      [inventory_id, userId]
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventory_id, practiceId]
     )
     if (!validInv) {
       await client.query('ROLLBACK')
       return res.status(403).json({ error: 'Unauthorized access to inventory' })
     }
 
+    // 🔐 Both ends of the transfer must be this practice's locations
+    for (const locationId of [source_location_id, destination_location_id]) {
+      const { rowCount: validLoc } = await client.query(
+        'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+        [locationId, practiceId]
+      )
+      if (!validLoc) {
+        await client.query('ROLLBACK')
+        return res.status(403).json({ error: 'Unauthorized access to location' })
+      }
+    }
+
+    // 📏 Convert to base units if the quantity was entered in another unit
+    const baseQuantity = await toBaseQuantity(client, inventory_id, quantity, quantity_unit)
+
     // 2. Check source quantity (FOR UPDATE locks the row)
     const sourceResult = await client.query(
       `SELECT quantity FROM location_inventory 
@@ -433,20 +676,26 @@ router.post('/transfer', verifyToken, async (req, res) => {
     )
 
     if (sourceResult.rows.length === 0) {
-      throw new Error('Source inventory not found')
+      throw new StockNotFoundError('Source inventory not found')
     }
 
     const sourceQty = sourceResult.rows[0].quantity
-    if (sourceQty < quantity) {
-      throw new Error('Not enough inventory at source location')
+    if (sourceQty < baseQuantity) {
+      throw new InsufficientStockError('Not enough inventory at source location')
     }
 
-    // 3. Subtract from source
+    // 3. Subtract from source (first-expiring lots first unless lot_id given)
+    const portions = await drawFromLots(client, {
+      inventoryId: inventory_id,
+      locationId: source_location_id,
+      quantity: baseQuantity,
+      lotId: lot_id,
+    })
     await client.query(
       `UPDATE location_inventory
        SET quantity = quantity - $1, updated_at = NOW()
        WHERE inventory_id = $2 AND location_id = $3`,
-      [quantity, inventory_id, source_location_id]
+      [baseQuantity, inventory_id, source_location_id]
     )
 
     // 4. Add to destination (insert or update)
@@ -455,15 +704,40 @@ router.post('/transfer', verifyToken, async (req, res) => {
        VALUES ($1, $2, $3, NOW(), NOW())
        ON CONFLICT (inventory_id, location_id)
        DO UPDATE SET quantity = location_inventory.quantity + $3, updated_at = NOW()`,
-      [inventory_id, destination_location_id, quantity]
+      [inventory_id, destination_location_id, baseQuantity]
     )
+    const deposited = await depositPortions(client, {
+      inventoryId: inventory_id,
+      locationId: destination_location_id,
+      portions,
+    })
+
+    // 5. Record both legs of the transfer
+    await recordMovement(client, {
+      practiceId,
+      inventoryId: inventory_id,
+      locationId: source_location_id,
+      type: MOVEMENT_TYPES.TRANSFER_OUT,
+      quantityChange: -baseQuantity,
+      lots: portions,
+      createdBy: req.user.id,
+    })
+    await recordMovement(client, {
+      practiceId,
+      inventoryId: inventory_id,
+      locationId: destination_location_id,
+      type: MOVEMENT_TYPES.TRANSFER_IN,
+      quantityChange: baseQuantity,
+      lots: deposited,
+      createdBy: req.user.id,
+    })
 
     await client.query('COMMIT')
-    res.status(200).json({ success: true })
+    res.status(200).json({ success: true, lots: portions })
   } catch (err) {
     await client.query('ROLLBACK')
     console.error('Inventory transfer failed:', err)
-    res.status(500).json({ error: err.message || 'Transfer failed' })
+    res.status(err.statusCode || 500).json({ error: err.message || 'Transfer failed' })
   } finally {
     client.release()
   }
@@ -471,12 +745,12 @@ router.post('/transfer', verifyToken, async (req, res) => {
 
 
 
-// ✅ POST /api/inventory/consume — scoped by user_id
-router.post('/consume', verifyToken, async (req, res) => {
+// ✅ POST /api/inventory/consume — scoped by practice
+router.post('/consume', verifyToken, requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
   const client = await pool.connect()
   try {
     const { location, supplies } = req.body
-    const userId = req.user?.id
+    const practiceId = req.practice.id
 
     if (!location || !supplies?.length) {
       return res.status(400).json({ error: 'Missing location or supplies' })
@@ -487,56 +761,199 @@ router.post('/consume', verifyToken, async (req, res) => {
 
     for (const item of supplies) {
       const inventoryId = item.inventory_id
-      const quantityToConsume = item.quantity
 
-      if (!inventoryId || quantityToConsume <= 0) continue
+      if (!inventoryId || item.quantity <= 0) continue
 
       // 🔐 Validate ownership
       const validInvRes = await client.query(
-        'SELECT 1 FROM inventory WHERE id = $1 AND user_id = $2',
-        [inventoryId, userId]
+        'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+        [inventoryId, practiceId]
       )
       if (validInvRes.rowCount === 0) {
         await client.query('ROLLBACK')
         return res.status(403).json({ error: `Unauthorized access to item ID ${inventoryId}` })
       }
 
-      // 🔐 Lock and check quantity at location
-      const { rows } = await client.query(
-        `SELECT id, quantity FROM location_inventory 
-         WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE`,
-        [inventoryId, location]
-      )
+      // 📏 Consumption may be entered in any configured unit
+      const quantityToConsume = await toBaseQuantity(client, inventoryId, item.quantity, item.quantity_unit)
+
+      // 🏷️ First-expiring-first-out unless the item names a lot; expired lots are quarantined
+      await consumeStock(client, {
+        practiceId,
+        inventoryId,
+        locationId: location,
+        quantity: quantityToConsume,
+        lotId: item.lot_id,
+        createdBy: req.user.id,
+      })
+    }
 
-      if (!rows.length) {
-        await client.query('ROLLBACK')
-        return res.status(404).json({ error: `Item ID ${inventoryId} not found at location ${location}` })
-      }
+    await client.query('COMMIT')
+    res.json({ message: 'Inventory consumed successfully' })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error consuming inventory:', err)
 
-      const currentQty = rows[0].quantity
-      const locationInvId = rows[0].id
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    res.status(500).json({ error: 'Server error while consuming inventory' })
+  } finally {
+    client.release()
+  }
+})
 
-      if (currentQty < quantityToConsume) {
-        await client.query('ROLLBACK')
-        return res.status(400).json({ error: `Not enough quantity of item ID ${inventoryId} at location ${location}` })
-      }
 
-      // ✅ Subtract quantity
+
+// ✅ POST /api/inventory/lots/:lotId/dispose — write off a quarantined (expired) lot
+// Body: { quantity? } — defaults to everything left in the lot
+router.post('/lots/:lotId/dispose', verifyToken, requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { lotId } = req.params
+  const practiceId = req.practice.id
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    // 🔐 Lot must belong to one of this practice's items
+    const { rows } = await client.query(
+      `SELECT lot.inventory_id, lot.location_id, lot.quantity,
+         (lot.expiration_date < CURRENT_DATE) AS expired
+       FROM inventory_lots lot
+       JOIN inventory inv ON lot.inventory_id = inv.id
+       WHERE lot.id = $1 AND inv.practice_id = $2`,
+      [lotId, practiceId]
+    )
+    if (rows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Lot not found' })
+    }
+    if (!rows[0].expired) {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: 'Only expired lots can be disposed' })
+    }
+
+    const { inventory_id: inventoryId, location_id: locationId } = rows[0]
+    const quantity = req.body.quantity === undefined ? rows[0].quantity : Number(req.body.quantity)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: 'Nothing to dispose in this lot' })
+    }
+
+    const portions = await drawFromLots(client, { inventoryId, locationId, quantity, lotId })
+
+    await client.query(
+      `UPDATE location_inventory
+       SET quantity = quantity - $1, updated_at = NOW()
+       WHERE inventory_id = $2 AND location_id = $3`,
+      [quantity, inventoryId, locationId]
+    )
+
+    await recordMovement(client, {
+      practiceId,
+      inventoryId,
+      locationId,
+      type: MOVEMENT_TYPES.ADJUST,
+      quantityChange: -quantity,
+      reason: req.body.reason || 'Expired stock disposed',
+      lots: portions,
+      createdBy: req.user.id,
+    })
+
+    await client.query('COMMIT')
+    res.json({ success: true, lots: portions })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error disposing lot:', err)
+    res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : 'Server error while disposing lot' })
+  } finally {
+    client.release()
+  }
+})
+
+
+
+// ✅ GET /api/inventory/:id/units — base unit plus every configured conversion
+router.get('/:id/units', verifyToken, async (req, res) => {
+  const { id } = req.params
+  const practiceId = req.practice.id
+
+  try {
+    const { rowCount } = await pool.query(
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [id, practiceId]
+    )
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Inventory item not found' })
+    }
+
+    res.json(await getUnits(pool, id))
+  } catch (err) {
+    console.error('Error fetching inventory units:', err)
+    res.status(500).json({ error: 'Server error while fetching units' })
+  }
+})
+
+
+
+// ✅ PUT /api/inventory/:id/units — replace the item's conversions
+// Body: { base_unit?, units: [{ unit: 'box', factor: 100 }, { unit: 'case', factor: 10, of: 'box' }] }
+// `factor` is how many `of` units (default: the base unit) one `unit` holds.
+router.put('/:id/units', verifyToken, requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { id } = req.params
+  const { base_unit, units = [] } = req.body
+  const practiceId = req.practice.id
+
+  if (!Array.isArray(units)) {
+    return res.status(400).json({ error: 'units must be an array' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows } = await client.query(
+      'SELECT unit FROM inventory WHERE id = $1 AND practice_id = $2 FOR UPDATE',
+      [id, practiceId]
+    )
+    if (rows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Inventory item not found' })
+    }
+
+    // Renaming the base unit is fine; stored quantities are unit-less counts of it
+    const baseUnit = base_unit ?? rows[0].unit
+    if (base_unit !== undefined) {
       await client.query(
-        `UPDATE location_inventory 
-         SET quantity = quantity - $1, updated_at = NOW()
-         WHERE id = $2`,
-        [quantityToConsume, locationInvId]
+        'UPDATE inventory SET unit = $1, updated_at = NOW() WHERE id = $2',
+        [base_unit || null, id]
       )
+    }
 
+    const resolved = resolveUnitDefinitions(baseUnit, units)
+
+    await client.query('DELETE FROM inventory_units WHERE inventory_id = $1', [id])
+    for (const { unit, factor } of resolved) {
+      await client.query(
+        'INSERT INTO inventory_units (inventory_id, unit_name, factor) VALUES ($1, $2, $3)',
+        [id, unit, factor]
+      )
     }
 
     await client.query('COMMIT')
-    res.json({ message: 'Inventory consumed successfully' })
+    res.json(await getUnits(pool, id))
   } catch (err) {
     await client.query('ROLLBACK')
-    console.error('Error consuming inventory:', err)
-    res.status(500).json({ error: 'Server error while consuming inventory' })
+    console.error('Error updating inventory units:', err)
+
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    if (err.code === '23505') {
+      return res.status(400).json({ error: 'Each unit name can only be defined once per item' })
+    }
+
+    res.status(500).json({ error: 'Server error while updating units' })
   } finally {
     client.release()
   }
@@ -544,6 +961,119 @@ router.post('/consume', verifyToken, async (req, res) => {
 
 
 
+// ✅ GET /api/inventory/:id/history — movement ledger for one item
+// Optional filters: location_id, from, to. Pass as_of to reconstruct the
+// on-hand quantity per location at that point in time.
+router.get('/:id/history', verifyToken, async (req, res) => {
+  const { id } = req.params
+  const { location_id } = req.query
+  const practiceId = req.practice.id
+
+  // 📅 Parsed here so Postgres only ever sees ISO timestamps
+  const dates = {}
+  for (const name of ['from', 'to', 'as_of']) {
+    const value = req.query[name]
+    if (value === undefined || value === '') continue
+    if (Number.isNaN(Date.parse(value))) {
+      return res.status(400).json({ error: `${name} must be a valid date` })
+    }
+    dates[name] = new Date(value).toISOString()
+  }
+  const { from, to, as_of } = dates
+
+  try {
+    const { rows: invRows } = await pool.query(
+      'SELECT id, name, unit FROM inventory WHERE id = $1 AND practice_id = $2',
+      [id, practiceId]
+    )
+
+    // 🔐 Deleted items keep their history, so fall back to the ledger itself
+    if (invRows.length === 0) {
+      const { rowCount } = await pool.query(
+        'SELECT 1 FROM inventory_movements WHERE inventory_id = $1 AND practice_id = $2 LIMIT 1',
+        [id, practiceId]
+      )
+      if (rowCount === 0) {
+        return res.status(404).json({ error: 'Inventory item not found' })
+      }
+    }
+
+    const conditions = ['m.inventory_id = $1', 'm.practice_id = $2']
+    const values = [id, practiceId]
+
+    if (location_id) {
+      values.push(location_id)
+      conditions.push(`m.location_id = $${values.length}`)
+    }
+    if (from) {
+      values.push(from)
+      conditions.push(`m.created_at >= $${values.length}`)
+    }
+    if (to) {
+      values.push(to)
+      conditions.push(`m.created_at <= $${values.length}`)
+    }
+
+    const { rows: movements } = await pool.query(
+      `SELECT 
+         m.id,
+         m.location_id,
+         l.name AS location_name,
+         m.movement_type,
+         m.quantity_change,
+         m.quantity_after,
+         m.reason,
+         m.created_by,
+         u.email AS created_by_email,
+         m.created_at
+       FROM inventory_movements m
+       LEFT JOIN locations l ON m.location_id = l.id
+       LEFT JOIN users u ON m.created_by = u.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY m.created_at ASC, m.id ASC`,
+      values
+    )
+
+    const response = {
+      inventory_id: Number(id),
+      name: invRows[0]?.name ?? null,
+      unit: invRows[0]?.unit ?? null,
+      movements,
+    }
+
+    // 🕰️ Quantity per location as of a point in time = quantity_after of the
+    // last movement recorded at or before that moment
+    if (as_of) {
+      const asOfValues = [id, practiceId, as_of]
+      let locationFilter = ''
+      if (location_id) {
+        asOfValues.push(location_id)
+        locationFilter = 'AND m.location_id = $4'
+      }
+
+      const { rows: balances } = await pool.query(
+        `SELECT DISTINCT ON (m.location_id)
+           m.location_id,
+           l.name AS location_name,
+           m.quantity_after AS quantity
+         FROM inventory_movements m
+         LEFT JOIN locations l ON m.location_id = l.id
+         WHERE m.inventory_id = $1 AND m.practice_id = $2 AND m.created_at <= $3 ${locationFilter}
+         ORDER BY m.location_id, m.created_at DESC, m.id DESC`,
+        asOfValues
+      )
+
+      response.as_of = as_of
+      response.quantities = balances
+      response.total_quantity = balances.reduce((sum, row) => sum + row.quantity, 0)
+    }
+
+    res.json(response)
+  } catch (err) {
+    console.error('Error fetching inventory history:', err)
+    res.status(500).json({ error: 'Server error while fetching inventory history' })
+  }
+})
 
 
 export default router
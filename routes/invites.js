@@ -0,0 +1,55 @@
+// 📁 routes/invites.js
+// The invitee's side of practice invitations. No login needed: the signed
+// token from the email is what grants access. Owners send, list, resend and
+// revoke invites under /api/practices/current/invites.
+import express from 'express'
+import pool from '../db/index.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import { findInviteByToken, acceptInvite } from '../services/practiceInvites.js'
+
+const router = express.Router()
+
+// ✅ GET /api/invites/preview?token=… — who's inviting whom, for the accept page
+router.get('/preview', asyncHandler(async (req, res) => {
+  const { token } = req.query
+  if (!token) {
+    return res.status(400).json({ error: 'token is required' })
+  }
+
+  const invite = await findInviteByToken(pool, token)
+  const { rowCount: hasAccount } = await pool.query(
+    'SELECT 1 FROM users WHERE LOWER(email) = $1',
+    [invite.email]
+  )
+  res.json({
+    email: invite.email,
+    role: invite.role,
+    practice_name: invite.practice_name,
+    expires_at: invite.expires_at,
+    has_account: hasAccount > 0,
+  })
+}))
+
+// ✅ POST /api/invites/accept — join the practice, creating a login if needed
+// Body: { token, password } — the new password, or the existing account's
+router.post('/accept', asyncHandler(async (req, res) => {
+  const { token, password } = req.body
+  if (!token || !password) {
+    return res.status(400).json({ error: 'token and password are required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const { user, practice, created } = await acceptInvite(client, { token, password })
+    await client.query('COMMIT')
+    res.status(created ? 201 : 200).json({ user, practice })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+}))
+
+export default router
@@ -2,6 +2,7 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 import { asyncHandler } from '../middleware/errorHandler.js'
 
 const router = express.Router()
@@ -9,34 +10,37 @@ const router = express.Router()
 router.use(verifyToken)
 
 // ✅ Create a new location
-router.post('/', asyncHandler(async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), asyncHandler(async (req, res) => {
   const { name, protected: isProtected = false } = req.body
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   const result = await pool.query(
-    'INSERT INTO locations (user_id, name, protected) VALUES ($1, $2, $3) RETURNING *',
-    [user_id, name, isProtected]
+    'INSERT INTO locations (practice_id, user_id, name, protected) VALUES ($1, $2, $3, $4) RETURNING *',
+    [practiceId, req.user.id, name, isProtected]
   )
   res.json(result.rows[0])
 }))
 
-// ✅ Get all locations for the current user
+// ✅ Get all locations for the current practice
 router.get('/', asyncHandler(async (req, res) => {
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   const result = await pool.query(
-    'SELECT * FROM locations WHERE user_id = $1 ORDER BY id',
-    [user_id]
+    'SELECT * FROM locations WHERE practice_id = $1 ORDER BY id',
+    [practiceId]
   )
   res.json(result.rows)
 }))
 
 // ✅ Update a location (prevent if protected)
-router.put('/:id', asyncHandler(async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), asyncHandler(async (req, res) => {
   const { id } = req.params
   const { name } = req.body
 
-  const check = await pool.query('SELECT protected FROM locations WHERE id = $1', [id])
+  const check = await pool.query(
+    'SELECT protected FROM locations WHERE id = $1 AND practice_id = $2',
+    [id, req.practice.id]
+  )
   if (check.rows.length === 0) {
     return res.status(404).json({ error: 'Location not found' })
   }
@@ -52,10 +56,13 @@ router.put('/:id', asyncHandler(async (req, res) => {
 }))
 
 // ✅ Delete a location (prevent if protected)
-router.delete('/:id', asyncHandler(async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), asyncHandler(async (req, res) => {
   const { id } = req.params
 
-  const check = await pool.query('SELECT protected FROM locations WHERE id = $1', [id])
+  const check = await pool.query(
+    'SELECT protected FROM locations WHERE id = $1 AND practice_id = $2',
+    [id, req.practice.id]
+  )
   if (check.rows.length === 0) {
     return res.status(404).json({ error: 'Location not found' })
   }
@@ -1,13 +1,14 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 router.use(verifyToken)
 
 // ✅ Log supply usage or restocking
-router.post('/', async (req, res) => {
-  const { user_id, op_id, supply_id, quantity, action, procedure_id } = req.body
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { op_id, supply_id, quantity, action, procedure_id } = req.body
 
   const client = await pool.connect()
   try {
@@ -15,8 +16,8 @@ router.post('/', async (req, res) => {
 
     // 1. ✅ Get cost per unit from global supplies
     const { rows: supplyRows } = await client.query(
-      'SELECT cost_per_unit FROM supplies WHERE id = $1',
-      [supply_id]
+      'SELECT cost_per_unit FROM supplies WHERE id = $1 AND practice_id = $2',
+      [supply_id, req.practice.id]
     )
 
     if (supplyRows.length === 0) {
@@ -47,10 +48,10 @@ router.post('/', async (req, res) => {
     // 4. ✅ Log the action in supply_logs (with optional procedure_id)
     const logInsert = await client.query(
       `INSERT INTO supply_logs 
-        (user_id, op_id, supply_id, quantity, action, unit_cost, total_cost, procedure_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        (practice_id, user_id, op_id, supply_id, quantity, action, unit_cost, total_cost, procedure_id)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
        RETURNING *`,
-      [user_id, op_id, supply_id, quantity, action, unitCost, totalCost, procedure_id || null]
+      [req.practice.id, req.user.id, op_id, supply_id, quantity, action, unitCost, totalCost, procedure_id || null]
     )
 
     await client.query('COMMIT')
@@ -64,10 +65,8 @@ router.post('/', async (req, res) => {
   }
 })
 
-// ✅ Fetch logs for a user (with joined supply, op, and procedure names)
-// ✅ Fetch logs for a user (with joined supply, op, and procedure names)
+// ✅ Fetch logs for the current practice (the :user_id segment is no longer used)
 router.get('/:user_id', async (req, res) => {
-  const { user_id } = req.params
   try {
     const result = await pool.query(
       `SELECT 
@@ -84,9 +83,9 @@ router.get('/:user_id', async (req, res) => {
        LEFT JOIN supplies s ON l.supply_id = s.id
        LEFT JOIN ops o ON l.op_id = o.id
        LEFT JOIN procedures p ON l.procedure_id = p.id
-       WHERE l.user_id = $1
+       WHERE l.practice_id = $1
        ORDER BY l.created_at DESC`,
-      [user_id]
+      [req.practice.id]
     )
     res.json(result.rows)
   } catch (err) {
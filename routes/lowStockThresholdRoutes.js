@@ -2,22 +2,27 @@
 import express from 'express'
 import db from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { computeReorderSuggestions } from '../services/reorderSuggestions.js'
 
 const router = express.Router()
 router.use(verifyToken)
 
 // ✅ PATCH: Update low stock threshold for specific location_inventory entry
-router.patch('/:inventoryId/location/:locationId', async (req, res) => {
+router.patch('/:inventoryId/location/:locationId', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { inventoryId, locationId } = req.params
   const { low_stock_threshold } = req.body
+  const practiceId = req.practice.id
 
   try {
     const result = await db.query(
-      `UPDATE location_inventory
+      `UPDATE location_inventory li
        SET low_stock_threshold = $1, updated_at = NOW()
-       WHERE inventory_id = $2 AND location_id = $3
-       RETURNING *`,
-      [low_stock_threshold, inventoryId, locationId]
+       FROM locations l
+       WHERE li.location_id = l.id AND l.practice_id = $4
+         AND li.inventory_id = $2 AND li.location_id = $3
+       RETURNING li.*`,
+      [low_stock_threshold, inventoryId, locationId, practiceId]
     )
 
     if (result.rowCount === 0) {
@@ -31,9 +36,92 @@ router.patch('/:inventoryId/location/:locationId', async (req, res) => {
   }
 })
 
-// ✅ GET: All low stock thresholds for the current user
+// ✅ PATCH: Set min/max (par) levels for a location_inventory entry
+// Body: { par_min, par_max } — null clears a level
+router.patch('/:inventoryId/location/:locationId/par', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { inventoryId, locationId } = req.params
+  const { par_min = null, par_max = null } = req.body
+  const practiceId = req.practice.id
+
+  const isLevel = (v) => v === null || (Number.isInteger(v) && v >= 0)
+  if (!isLevel(par_min) || !isLevel(par_max)) {
+    return res.status(400).json({ error: 'par_min and par_max must be non-negative integers or null' })
+  }
+  if (par_min !== null && par_max !== null && par_max < par_min) {
+    return res.status(400).json({ error: 'par_max cannot be below par_min' })
+  }
+
+  try {
+    const result = await db.query(
+      `UPDATE location_inventory li
+       SET par_min = $1, par_max = $2, updated_at = NOW()
+       FROM locations l
+       WHERE li.location_id = l.id AND l.practice_id = $5
+         AND li.inventory_id = $3 AND li.location_id = $4
+       RETURNING li.*`,
+      [par_min, par_max, inventoryId, locationId, practiceId]
+    )
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Location inventory entry not found' })
+    }
+
+    res.json(result.rows[0])
+  } catch (err) {
+    console.error('Error updating par levels:', err)
+    res.status(500).json({ error: 'Failed to update par levels' })
+  }
+})
+
+// ✅ GET: Recommended order quantities grouped by supplier
+// Query: usage_days (default 30), lead_time_days (default 7), all=true to include items that are fine
+router.get('/reorder-suggestions', async (req, res) => {
+  const practiceId = req.practice.id
+  const usageDays = parseInt(req.query.usage_days ?? '30', 10)
+  const leadTimeDays = parseInt(req.query.lead_time_days ?? '7', 10)
+
+  if (!Number.isInteger(usageDays) || usageDays <= 0 || !Number.isInteger(leadTimeDays) || leadTimeDays < 0) {
+    return res.status(400).json({ error: 'usage_days must be a positive integer and lead_time_days a non-negative integer' })
+  }
+
+  try {
+    const suggestions = await computeReorderSuggestions(db, practiceId, {
+      usageDays,
+      leadTimeDays,
+      includeAll: req.query.all === 'true',
+    })
+
+    const bySupplier = new Map()
+    for (const { supplier_id, supplier_name, supplier_email, ...item } of suggestions) {
+      const key = supplier_id ?? 'none'
+      if (!bySupplier.has(key)) {
+        bySupplier.set(key, {
+          supplier_id: supplier_id ?? null,
+          supplier_name: supplier_name ?? 'No supplier assigned',
+          supplier_email: supplier_email ?? null,
+          estimated_total: 0,
+          items: [],
+        })
+      }
+      const group = bySupplier.get(key)
+      group.items.push(item)
+      group.estimated_total = Math.round((group.estimated_total + (item.estimated_cost ?? 0)) * 100) / 100
+    }
+
+    res.json({
+      usage_days: usageDays,
+      lead_time_days: leadTimeDays,
+      suppliers: [...bySupplier.values()],
+    })
+  } catch (err) {
+    console.error('Error computing reorder suggestions:', err)
+    res.status(500).json({ error: 'Failed to compute reorder suggestions' })
+  }
+})
+
+// ✅ GET: All low stock thresholds for the current practice
 router.get('/all', async (req, res) => {
-  const userId = req.user.id
+  const practiceId = req.practice.id
   try {
     const result = await db.query(
       `SELECT 
@@ -41,25 +129,43 @@ router.get('/all', async (req, res) => {
          li.location_id,
          li.quantity,
          li.low_stock_threshold,
+         li.par_min,
+         li.par_max,
          inv.name,
-         l.name AS location_name
+         l.name AS location_name,
+         COALESCE(exp.expired_quantity, 0)::int AS expired_quantity,
+         exp.earliest_expired
        FROM location_inventory li
        JOIN inventory inv ON li.inventory_id = inv.id
        JOIN locations l ON li.location_id = l.id
-       WHERE l.user_id = $1
+       LEFT JOIN LATERAL (
+         SELECT SUM(lot.quantity) AS expired_quantity, MIN(lot.expiration_date)::text AS earliest_expired
+         FROM inventory_lots lot
+         WHERE lot.inventory_id = li.inventory_id AND lot.location_id = li.location_id
+           AND lot.quantity > 0 AND lot.expiration_date < CURRENT_DATE
+       ) exp ON true
+       WHERE l.practice_id = $1
        ORDER BY inv.name ASC`,
-      [userId]
+      [practiceId]
     )
-    res.json(result.rows)
+
+    // ⚠️ Expired lots are quarantined: flag them and report what is actually usable
+    const rows = result.rows.map(row => ({
+      ...row,
+      usable_quantity: row.quantity - row.expired_quantity,
+      has_expired_stock: row.expired_quantity > 0,
+    }))
+
+    res.json(rows)
   } catch (err) {
     console.error('Error fetching all low stock thresholds:', err)
     res.status(500).json({ error: 'Failed to fetch thresholds' })
   }
 })
 
-// ✅ GET: All inventory items below threshold for the current user
+// ✅ GET: All inventory items below threshold for the current practice
 router.get('/below-threshold', async (req, res) => {
-  const userId = req.user.id
+  const practiceId = req.practice.id
   try {
     const result = await db.query(
       `SELECT 
@@ -75,18 +181,27 @@ router.get('/below-threshold', async (req, res) => {
          s.email,
          s.phone,
          s.web_link,
-         l.name AS location_name
+         l.name AS location_name,
+         COALESCE(exp.expired_quantity, 0)::int AS expired_quantity,
+         exp.earliest_expired
        FROM location_inventory li
        JOIN inventory inv ON li.inventory_id = inv.id
        LEFT JOIN suppliers s ON inv.supplier_id = s.id
        JOIN locations l ON li.location_id = l.id
-       WHERE l.user_id = $1 AND li.quantity <= li.low_stock_threshold
+       LEFT JOIN LATERAL (
+         SELECT SUM(lot.quantity) AS expired_quantity, MIN(lot.expiration_date)::text AS earliest_expired
+         FROM inventory_lots lot
+         WHERE lot.inventory_id = li.inventory_id AND lot.location_id = li.location_id
+           AND lot.quantity > 0 AND lot.expiration_date < CURRENT_DATE
+       ) exp ON true
+       WHERE l.practice_id = $1
+         AND li.quantity - COALESCE(exp.expired_quantity, 0) <= li.low_stock_threshold
        ORDER BY inv.name ASC`,
-      [userId]
+      [practiceId]
       
     )
 
-      console.log('📥 [API] Low stock fetch triggered by user:', userId)
+      console.log('📥 [API] Low stock fetch triggered by user:', req.user.id)
   console.log('📦 [API] Raw low stock results:', result.rows)
 
     const formatted = result.rows.map(row => ({
@@ -94,6 +209,10 @@ router.get('/below-threshold', async (req, res) => {
       location_id: row.location_id,
       name: row.name,
       remaining: row.remaining,
+      usable: row.remaining - row.expired_quantity,
+      expired_quantity: row.expired_quantity,
+      has_expired_stock: row.expired_quantity > 0,
+      earliest_expired: row.earliest_expired,
       unit: row.unit,
       location_name: row.location_name,
       supplier_id: row.supplier_id,
@@ -1,18 +1,19 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 
 router.use(verifyToken)
 
 // Create a new operatory
-router.post('/', async (req, res) => {
-  const { user_id, name } = req.body
+router.post('/', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), async (req, res) => {
+  const { name } = req.body
   try {
     const result = await pool.query(
-      'INSERT INTO ops (user_id, name) VALUES ($1, $2) RETURNING *',
-      [user_id, name]
+      'INSERT INTO ops (practice_id, user_id, name) VALUES ($1, $2, $3) RETURNING *',
+      [req.practice.id, req.user.id, name]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -21,13 +22,12 @@ router.post('/', async (req, res) => {
   }
 })
 
-// Get all ops for a user
+// Get all ops for the current practice (the :user_id segment is no longer used)
 router.get('/:user_id', async (req, res) => {
-  const { user_id } = req.params
   try {
     const result = await pool.query(
-      'SELECT * FROM ops WHERE user_id = $1 ORDER BY id',
-      [user_id]
+      'SELECT * FROM ops WHERE practice_id = $1 ORDER BY id',
+      [req.practice.id]
     )
     res.json(result.rows)
   } catch (err) {
@@ -37,13 +37,13 @@ router.get('/:user_id', async (req, res) => {
 })
 
 // ✅ Update an operatory
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), async (req, res) => {
   const { id } = req.params
   const { name } = req.body
   try {
     const result = await pool.query(
-      'UPDATE ops SET name = $1 WHERE id = $2 RETURNING *',
-      [name, id]
+      'UPDATE ops SET name = $1 WHERE id = $2 AND practice_id = $3 RETURNING *',
+      [name, id, req.practice.id]
     )
     if (result.rows.length === 0) return res.status(404).json({ error: 'Operatory not found' })
     res.json(result.rows[0])
@@ -54,10 +54,10 @@ router.put('/:id', async (req, res) => {
 })
 
 // ✅ Delete an operatory
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.LOCATIONS_MANAGE), async (req, res) => {
   const { id } = req.params
   try {
-    await pool.query('DELETE FROM ops WHERE id = $1', [id])
+    await pool.query('DELETE FROM ops WHERE id = $1 AND practice_id = $2', [id, req.practice.id])
     res.json({ success: true })
   } catch (err) {
     console.error('Error deleting operatory:', err)
@@ -1,9 +1,9 @@
 // ✅ routes/passwordReset.js
 import express from 'express'
-import jwt from 'jsonwebtoken'
 import pool from '../db/index.js'
-import { hashPassword } from '../auth/hash.js'
 import { sendResetEmail } from '../services/emailService.js'
+import { createResetToken, consumeResetToken, setPassword } from '../services/passwords.js'
+import { checkResetRequest, sendRateLimited } from '../services/loginProtection.js'
 
 const router = express.Router()
 
@@ -18,6 +18,12 @@ router.post('/request-reset', async (req, res) => {
   }
 
   try {
+    // 🛡️ Limit how often reset mail can be requested for an address or from an IP
+    const limit = await checkResetRequest({ email, ip: req.ip })
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit, 'password reset requests')
+    }
+
     const result = await pool.query('SELECT id FROM users WHERE email = $1', [email])
 
     if (result.rows.length === 0) {
@@ -26,11 +32,8 @@ router.post('/request-reset', async (req, res) => {
 
     const user = result.rows[0]
 
-    const token = jwt.sign(
-      { id: user.id, email },
-      process.env.JWT_SECRET,
-      { expiresIn: '15m' }
-    )
+    // 🔑 Single-use; any earlier link for this user stops working
+    const { token } = await createResetToken(pool, user.id)
 
     const resetUrl = `${process.env.FRONTEND_URL}/reset-password?token=${token}`
 
@@ -54,27 +57,29 @@ router.post('/reset-password', async (req, res) => {
     return res.status(400).json({ error: 'Token and new password required' })
   }
 
+  const client = await pool.connect()
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    await client.query('BEGIN')
 
-    const hashed = await hashPassword(newPassword)
+    const userId = await consumeResetToken(client, token)
+    const { rows } = await client.query('SELECT id, email FROM users WHERE id = $1', [userId])
 
-    const updateResult = await pool.query(
-      'UPDATE users SET password_hash = $1 WHERE id = $2',
-      [hashed, decoded.id]
-    )
+    // 🔐 A new password logs every device out
+    await setPassword(client, rows[0], newPassword)
 
+    await client.query('COMMIT')
     res.json({ message: 'Password updated successfully' })
   } catch (err) {
+    await client.query('ROLLBACK')
     console.error('Error in /reset-password route')
-    if (err.name === 'TokenExpiredError') {
-      return res.status(400).json({ error: 'Token has expired' })
-    } else if (err.name === 'JsonWebTokenError') {
-      return res.status(400).json({ error: 'Invalid token' })
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
     }
 
     console.error('Error details:', err)
-    res.status(400).json({ error: 'Invalid or expired token' })
+    res.status(500).json({ error: 'Could not reset password' })
+  } finally {
+    client.release()
   }
 })
 
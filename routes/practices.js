@@ -0,0 +1,193 @@
+// 📁 routes/practices.js
+// Practices and memberships. Everything else in the API acts on the
+// caller's active practice (req.practice, resolved by verifyToken); these
+// routes list, switch, create and manage practices themselves.
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import {
+  createPractice,
+  listMemberships,
+  listMembers,
+  addMember,
+  removeMember,
+  updateMemberRole,
+  setActivePractice,
+} from '../services/practices.js'
+import { createInvite, listOpenInvites, resendInvite, revokeInvite } from '../services/practiceInvites.js'
+import { sendInviteEmail } from '../services/emailService.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+const acceptLink = (token) => `${process.env.FRONTEND_URL}/accept-invite?token=${encodeURIComponent(token)}`
+
+// Runs `fn` in a transaction and mails the invite it returns before committing,
+// so an invite whose email couldn't be sent is never left behind
+const withInviteEmail = async (req, fn) => {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const { invite, token } = await fn(client)
+    try {
+      await sendInviteEmail(invite.email, {
+        practiceName: req.practice.name,
+        inviterEmail: req.user.email,
+        acceptLink: acceptLink(token),
+        expiresAt: new Date(invite.expires_at),
+      })
+    } catch {
+      const err = new Error('Could not send the invitation email')
+      err.statusCode = 502
+      throw err
+    }
+    await client.query('COMMIT')
+    return invite
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+// ✅ GET /api/practices — every practice the user belongs to
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await listMemberships(pool, req.user.id))
+}))
+
+// ✅ POST /api/practices — create a practice owned by the user
+// Body: { name }
+router.post('/', asyncHandler(async (req, res) => {
+  const name = req.body.name?.trim()
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const practice = await createPractice(client, { name, ownerId: req.user.id })
+    await client.query('COMMIT')
+    res.status(201).json(practice)
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+}))
+
+// ✅ PUT /api/practices/active — switch which practice requests act on
+// Body: { practice_id }
+router.put('/active', asyncHandler(async (req, res) => {
+  const { practice_id } = req.body
+  if (!practice_id) {
+    return res.status(400).json({ error: 'practice_id is required' })
+  }
+
+  await setActivePractice(pool, req.user.id, practice_id)
+  res.json(await listMemberships(pool, req.user.id))
+}))
+
+// ✅ GET /api/practices/current — the active practice and its members
+router.get('/current', asyncHandler(async (req, res) => {
+  res.json({ ...req.practice, members: await listMembers(pool, req.practice.id) })
+}))
+
+// ✅ PUT /api/practices/current — rename the active practice (owners only)
+// Body: { name }
+router.put('/current', requirePermission(PERMISSIONS.PRACTICE_MANAGE), asyncHandler(async (req, res) => {
+  const name = req.body.name?.trim()
+  if (!name) {
+    return res.status(400).json({ error: 'name is required' })
+  }
+
+  const { rows } = await pool.query(
+    'UPDATE practices SET name = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+    [name, req.practice.id]
+  )
+  res.json(rows[0])
+}))
+
+// ✅ POST /api/practices/current/members — add an existing user (owners only)
+// Body: { email, role? }
+router.post('/current/members', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  const { email, role } = req.body
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' })
+  }
+
+  await addMember(pool, req.practice.id, { email, role })
+  res.status(201).json(await listMembers(pool, req.practice.id))
+}))
+
+// ✅ PUT /api/practices/current/members/:userId — change a member's role (owners only)
+// Body: { role: 'owner' | 'manager' | 'staff' | 'read_only' }
+router.put('/current/members/:userId', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await updateMemberRole(client, req.practice.id, req.params.userId, req.body.role)
+    await client.query('COMMIT')
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+  res.json(await listMembers(pool, req.practice.id))
+}))
+
+// ✅ DELETE /api/practices/current/members/:userId — remove a member (owners only)
+router.delete('/current/members/:userId', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    await removeMember(client, req.practice.id, req.params.userId)
+    await client.query('COMMIT')
+  } catch (err) {
+    await client.query('ROLLBACK')
+    throw err
+  } finally {
+    client.release()
+  }
+  res.json({ success: true })
+}))
+
+// ✅ GET /api/practices/current/invites — invites not yet accepted or revoked (owners only)
+router.get('/current/invites', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  res.json(await listOpenInvites(pool, req.practice.id))
+}))
+
+// ✅ POST /api/practices/current/invites — email someone an invitation (owners only)
+// Body: { email, role? }
+router.post('/current/invites', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  const { email, role } = req.body
+  if (!email) {
+    return res.status(400).json({ error: 'email is required' })
+  }
+
+  const invite = await withInviteEmail(req, (client) =>
+    createInvite(client, { practiceId: req.practice.id, email, role, invitedBy: req.user.id })
+  )
+  res.status(201).json(invite)
+}))
+
+// ✅ POST /api/practices/current/invites/:id/resend — new link, new expiry (owners only)
+router.post('/current/invites/:id/resend', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  const invite = await withInviteEmail(req, (client) =>
+    resendInvite(client, req.practice.id, req.params.id)
+  )
+  res.json(invite)
+}))
+
+// ✅ DELETE /api/practices/current/invites/:id — revoke an open invite (owners only)
+router.delete('/current/invites/:id', requirePermission(PERMISSIONS.MEMBERS_MANAGE), asyncHandler(async (req, res) => {
+  await revokeInvite(pool, req.practice.id, req.params.id)
+  res.json({ success: true })
+}))
+
+export default router
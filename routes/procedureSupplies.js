@@ -1,6 +1,7 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 
@@ -8,13 +9,32 @@ const router = express.Router()
 router.use(verifyToken)
 
 // ✅ Assign a supply to a procedure
-router.post('/', async (req, res) => {
-  const { procedure_id, supply_id, quantity } = req.body
+// Body: { procedure_id, inventory_id, quantity } — supply_id still accepted for legacy supplies
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { procedure_id, supply_id, inventory_id, quantity } = req.body
   try {
+    const { rowCount: procedureOk } = await pool.query(
+      'SELECT 1 FROM procedures WHERE id = $1 AND practice_id = $2',
+      [procedure_id, req.practice.id]
+    )
+    if (procedureOk === 0) {
+      return res.status(404).json({ error: 'Procedure not found' })
+    }
+
+    if (inventory_id) {
+      const { rowCount } = await pool.query(
+        'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+        [inventory_id, req.practice.id]
+      )
+      if (rowCount === 0) {
+        return res.status(403).json({ error: `Unauthorized access to item ID ${inventory_id}` })
+      }
+    }
+
     const result = await pool.query(
-      `INSERT INTO procedure_supplies (procedure_id, supply_id, quantity)
-       VALUES ($1, $2, $3) RETURNING *`,
-      [procedure_id, supply_id, quantity]
+      `INSERT INTO procedure_supplies (procedure_id, supply_id, inventory_id, quantity)
+       VALUES ($1, $2, $3, $4) RETURNING *`,
+      [procedure_id, inventory_id ? null : supply_id, inventory_id || null, quantity]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -24,6 +44,7 @@ router.post('/', async (req, res) => {
 })
 
 // ✅ Get supplies for a procedure (now includes unit!)
+// Inventory-backed rows report on-hand summed across locations
 router.get('/:procedure_id', async (req, res) => {
   const { procedure_id } = req.params
   try {
@@ -32,16 +53,24 @@ router.get('/:procedure_id', async (req, res) => {
          ps.id,
          ps.procedure_id,
          ps.supply_id,
+         ps.inventory_id,
          ps.quantity AS procedure_quantity,
-         s.name AS supply_name,
-         s.quantity AS supply_quantity,
-         s.cost_per_unit,
-         COALESCE(s.unit, 'piece(s)') AS unit
+         COALESCE(inv.name, s.name) AS supply_name,
+         COALESCE(stock.quantity, s.quantity) AS supply_quantity,
+         COALESCE(inv.cost_per_unit, s.cost_per_unit) AS cost_per_unit,
+         COALESCE(inv.unit, s.unit, 'piece(s)') AS unit
        FROM procedure_supplies ps
-       JOIN supplies s ON ps.supply_id = s.id
-       WHERE ps.procedure_id = $1
+       LEFT JOIN inventory inv ON ps.inventory_id = inv.id
+       LEFT JOIN supplies s ON ps.supply_id = s.id
+       LEFT JOIN LATERAL (
+         SELECT SUM(li.quantity)::int AS quantity
+         FROM location_inventory li
+         WHERE li.inventory_id = ps.inventory_id
+       ) stock ON true
+       JOIN procedures p ON ps.procedure_id = p.id
+       WHERE ps.procedure_id = $1 AND p.practice_id = $2
        ORDER BY ps.id`,
-      [procedure_id]
+      [procedure_id, req.practice.id]
     )
     res.json(result.rows)
   } catch (err) {
@@ -51,13 +80,16 @@ router.get('/:procedure_id', async (req, res) => {
 })
 
 // ✅ Update quantity for a procedure supply row
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   const { quantity } = req.body
   try {
     const result = await pool.query(
-      `UPDATE procedure_supplies SET quantity = $1 WHERE id = $2 RETURNING *`,
-      [quantity, id]
+      `UPDATE procedure_supplies ps SET quantity = $1
+       FROM procedures p
+       WHERE ps.id = $2 AND ps.procedure_id = p.id AND p.practice_id = $3
+       RETURNING ps.*`,
+      [quantity, id, req.practice.id]
     )
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Supply not found' })
@@ -70,10 +102,14 @@ router.put('/:id', async (req, res) => {
 })
 
 // ✅ Delete a supply from a procedure
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   try {
-    await pool.query('DELETE FROM procedure_supplies WHERE id = $1', [id])
+    await pool.query(
+      `DELETE FROM procedure_supplies ps USING procedures p
+       WHERE ps.id = $1 AND ps.procedure_id = p.id AND p.practice_id = $2`,
+      [id, req.practice.id]
+    )
     res.json({ success: true })
   } catch (err) {
     console.error('Error deleting supply from procedure:', err)
@@ -1,6 +1,10 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { consumeStock } from '../services/stockConsumption.js'
+import { toBaseQuantity } from '../services/unitConversion.js'
+import { COST_BASES, priceProcedure } from '../services/procedureCosting.js'
 
 const router = express.Router()
 
@@ -8,12 +12,12 @@ const router = express.Router()
 router.use(verifyToken)
 
 // ✅ Create a procedure
-router.post('/', async (req, res) => {
-  const { user_id, name } = req.body
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { name } = req.body
   try {
     const result = await pool.query(
-      'INSERT INTO procedures (user_id, name) VALUES ($1, $2) RETURNING *',
-      [user_id, name]
+      'INSERT INTO procedures (practice_id, user_id, name) VALUES ($1, $2, $3) RETURNING *',
+      [req.practice.id, req.user.id, name]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -22,13 +26,120 @@ router.post('/', async (req, res) => {
   }
 })
 
-// ✅ Get all procedures for a user
+// ✅ Estimated vs actual supply cost per procedure over a date range
+// Query: from?, to? (dates), procedure_id?
+// Estimated = bill-of-materials quantities at the cost recorded when each
+// procedure was performed; actual = what was really consumed at that cost.
+router.get('/reports/cost-variance', async (req, res) => {
+  const practiceId = req.practice.id
+  const { from, to, procedure_id } = req.query
+
+  try {
+    const conditions = ['pp.practice_id = $1']
+    const values = [practiceId]
+
+    if (from) {
+      values.push(from)
+      conditions.push(`pp.performed_at >= $${values.length}`)
+    }
+    if (to) {
+      values.push(to)
+      conditions.push(`pp.performed_at < ($${values.length}::date + 1)`)
+    }
+    if (procedure_id) {
+      values.push(procedure_id)
+      conditions.push(`pp.procedure_id = $${values.length}`)
+    }
+
+    const { rows } = await pool.query(
+      `SELECT
+         pp.procedure_id,
+         pp.procedure_name,
+         ppi.inventory_id,
+         ppi.item_name,
+         SUM(ppi.bom_quantity)::int AS estimated_quantity,
+         SUM(ppi.quantity)::int AS actual_quantity,
+         SUM(ppi.bom_quantity * COALESCE(ppi.unit_cost, 0))::numeric(12, 2) AS estimated_cost,
+         SUM(ppi.total_cost)::numeric(12, 2) AS actual_cost
+       FROM procedure_performances pp
+       JOIN procedure_performance_items ppi ON ppi.performance_id = pp.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY pp.procedure_id, pp.procedure_name, ppi.inventory_id, ppi.item_name
+       ORDER BY pp.procedure_name ASC, ppi.item_name ASC`,
+      values
+    )
+    const { rows: counts } = await pool.query(
+      `SELECT pp.procedure_id, pp.procedure_name, SUM(pp.count)::int AS times_performed
+       FROM procedure_performances pp
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY pp.procedure_id, pp.procedure_name`,
+      values
+    )
+
+    const round = (n) => Math.round(n * 100) / 100
+    const byProcedure = new Map()
+    for (const row of counts) {
+      byProcedure.set(`${row.procedure_id}:${row.procedure_name}`, {
+        procedure_id: row.procedure_id,
+        procedure_name: row.procedure_name,
+        times_performed: row.times_performed,
+        estimated_cost: 0,
+        actual_cost: 0,
+        items: [],
+      })
+    }
+    for (const { procedure_id: id, procedure_name, ...item } of rows) {
+      const group = byProcedure.get(`${id}:${procedure_name}`)
+      const estimated = parseFloat(item.estimated_cost)
+      const actual = parseFloat(item.actual_cost)
+      group.estimated_cost = round(group.estimated_cost + estimated)
+      group.actual_cost = round(group.actual_cost + actual)
+      group.items.push({ ...item, estimated_cost: estimated, actual_cost: actual, variance: round(actual - estimated) })
+    }
+
+    const procedures = [...byProcedure.values()].map((group) => ({
+      ...group,
+      variance: round(group.actual_cost - group.estimated_cost),
+      variance_pct: group.estimated_cost > 0
+        ? round(((group.actual_cost - group.estimated_cost) / group.estimated_cost) * 100)
+        : null,
+      actual_cost_per_procedure: round(group.actual_cost / group.times_performed),
+    }))
+
+    res.json({ from: from || null, to: to || null, procedures })
+  } catch (err) {
+    console.error('Error building procedure cost report:', err)
+    res.status(500).json({ error: 'Could not build procedure cost report' })
+  }
+})
+
+// ✅ Estimated supply cost of a procedure's bill of materials
+// Query: basis=cost_per_unit (default) | last_purchase
+router.get('/:id/cost', async (req, res) => {
+  const basis = req.query.basis || 'cost_per_unit'
+  if (!COST_BASES.includes(basis)) {
+    return res.status(400).json({ error: `basis must be one of: ${COST_BASES.join(', ')}` })
+  }
+
+  try {
+    const cost = await priceProcedure(pool, req.practice.id, req.params.id, { basis })
+    if (!cost) {
+      return res.status(404).json({ error: 'Procedure not found' })
+    }
+    res.json(cost)
+  } catch (err) {
+    console.error('Error pricing procedure:', err)
+    res.status(500).json({ error: 'Could not price procedure' })
+  }
+})
+
+// ✅ Get all procedures for the current practice
+// (the :user_id segment is kept for existing clients and no longer used)
 router.get('/:user_id', async (req, res) => {
-  const { user_id } = req.params
   try {
     const result = await pool.query(
-      'SELECT * FROM procedures WHERE user_id = $1 ORDER BY id',
-      [user_id]
+      'SELECT * FROM procedures WHERE practice_id = $1 ORDER BY id',
+      [req.practice.id]
     )
     res.json(result.rows)
   } catch (err) {
@@ -38,13 +149,13 @@ router.get('/:user_id', async (req, res) => {
 })
 
 // ✅ Update procedure name
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   const { name } = req.body
   try {
     const result = await pool.query(
-      'UPDATE procedures SET name = $1 WHERE id = $2 RETURNING *',
-      [name, id]
+      'UPDATE procedures SET name = $1 WHERE id = $2 AND practice_id = $3 RETURNING *',
+      [name, id, req.practice.id]
     )
     if (result.rows.length === 0) {
       return res.status(404).json({ error: 'Procedure not found' })
@@ -57,10 +168,10 @@ router.put('/:id', async (req, res) => {
 })
 
 // ✅ Delete a procedure
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   try {
-    await pool.query('DELETE FROM procedures WHERE id = $1', [id])
+    await pool.query('DELETE FROM procedures WHERE id = $1 AND practice_id = $2', [id, req.practice.id])
     res.json({ success: true })
   } catch (err) {
     console.error('Error deleting procedure:', err)
@@ -68,4 +179,183 @@ router.delete('/:id', async (req, res) => {
   }
 })
 
+// ✅ Perform a procedure: consume its bill of materials from a location
+// Body: { location_id, count?, notes?, overrides?: [{ inventory_id, quantity, quantity_unit?, lot_id? }] }
+// An override replaces the total quantity used for that item (0 skips it) or
+// adds an item that isn't on the bill of materials. Fractional per-procedure
+// quantities are rounded up to whole base units.
+router.post('/:id/perform', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { location_id, count = 1, notes, overrides = [] } = req.body
+  const practiceId = req.practice.id
+
+  if (!location_id || !Number.isInteger(Number(count)) || Number(count) <= 0) {
+    return res.status(400).json({ error: 'location_id and a positive whole count are required' })
+  }
+  if (!Array.isArray(overrides)) {
+    return res.status(400).json({ error: 'overrides must be an array' })
+  }
+  const times = Number(count)
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows: procRows } = await client.query(
+      'SELECT id, name FROM procedures WHERE id = $1 AND practice_id = $2',
+      [req.params.id, practiceId]
+    )
+    if (procRows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Procedure not found' })
+    }
+    const procedure = procRows[0]
+
+    const { rowCount: locationOk } = await client.query(
+      'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+      [location_id, practiceId]
+    )
+    if (!locationOk) {
+      await client.query('ROLLBACK')
+      return res.status(403).json({ error: 'Location does not belong to current practice.' })
+    }
+
+    const { rows: bom } = await client.query(
+      `SELECT ps.inventory_id, ps.quantity, inv.name, inv.cost_per_unit
+       FROM procedure_supplies ps
+       JOIN inventory inv ON ps.inventory_id = inv.id
+       WHERE ps.procedure_id = $1 AND inv.practice_id = $2`,
+      [procedure.id, practiceId]
+    )
+    const { rows: legacyRows } = await client.query(
+      'SELECT COUNT(*)::int AS count FROM procedure_supplies WHERE procedure_id = $1 AND inventory_id IS NULL',
+      [procedure.id]
+    )
+
+    const plan = new Map()
+    for (const row of bom) {
+      const needed = Math.ceil(Number(row.quantity) * times)
+      const entry = plan.get(row.inventory_id)
+      if (entry) {
+        entry.bom_quantity += needed
+        entry.quantity += needed
+      } else {
+        plan.set(row.inventory_id, {
+          inventory_id: row.inventory_id,
+          name: row.name,
+          cost_per_unit: row.cost_per_unit,
+          bom_quantity: needed,
+          quantity: needed,
+          lot_id: null,
+        })
+      }
+    }
+
+    for (const override of overrides) {
+      const { rows: invRows } = await client.query(
+        'SELECT id, name, cost_per_unit FROM inventory WHERE id = $1 AND practice_id = $2',
+        [override.inventory_id, practiceId]
+      )
+      if (invRows.length === 0) {
+        await client.query('ROLLBACK')
+        return res.status(403).json({ error: `Unauthorized access to item ID ${override.inventory_id}` })
+      }
+
+      const quantity = await toBaseQuantity(client, override.inventory_id, override.quantity ?? 0, override.quantity_unit)
+      if (quantity < 0) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Invalid quantity for item ID ${override.inventory_id}` })
+      }
+
+      const entry = plan.get(invRows[0].id) ?? {
+        inventory_id: invRows[0].id,
+        name: invRows[0].name,
+        cost_per_unit: invRows[0].cost_per_unit,
+        bom_quantity: 0,
+      }
+      plan.set(invRows[0].id, { ...entry, quantity, lot_id: override.lot_id ?? null })
+    }
+
+    if (plan.size === 0) {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: 'Procedure has no inventory items to consume' })
+    }
+
+    const { rows: perfRows } = await client.query(
+      `INSERT INTO procedure_performances (practice_id, user_id, procedure_id, procedure_name, location_id, count, notes, performed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $2) RETURNING id, performed_at`,
+      [practiceId, req.user.id, procedure.id, procedure.name, location_id, times, notes || null]
+    )
+    const performanceId = perfRows[0].id
+    const reason = `Procedure: ${procedure.name}${times > 1 ? ` ×${times}` : ''} (#${performanceId})`
+
+    const items = []
+    let totalCost = 0
+    for (const entry of plan.values()) {
+      const lots = entry.quantity > 0
+        ? await consumeStock(client, {
+            practiceId,
+            inventoryId: entry.inventory_id,
+            locationId: location_id,
+            quantity: entry.quantity,
+            lotId: entry.lot_id,
+            reason,
+            createdBy: req.user.id,
+          })
+        : null
+
+      const unitCost = entry.cost_per_unit != null ? parseFloat(entry.cost_per_unit) : null
+      const lineCost = Math.round(entry.quantity * (unitCost ?? 0) * 100) / 100
+      totalCost += lineCost
+
+      await client.query(
+        `INSERT INTO procedure_performance_items
+           (performance_id, inventory_id, item_name, bom_quantity, quantity, unit_cost, total_cost, lots)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+        [performanceId, entry.inventory_id, entry.name, entry.bom_quantity, entry.quantity, unitCost, lineCost, lots ? JSON.stringify(lots) : null]
+      )
+
+      items.push({
+        inventory_id: entry.inventory_id,
+        name: entry.name,
+        bom_quantity: entry.bom_quantity,
+        quantity: entry.quantity,
+        unit_cost: unitCost,
+        total_cost: lineCost,
+        lots,
+      })
+    }
+
+    totalCost = Math.round(totalCost * 100) / 100
+    await client.query(
+      'UPDATE procedure_performances SET total_cost = $1 WHERE id = $2',
+      [totalCost, performanceId]
+    )
+
+    await client.query('COMMIT')
+
+    res.json({
+      performance_id: performanceId,
+      procedure_id: procedure.id,
+      procedure_name: procedure.name,
+      location_id,
+      count: times,
+      performed_at: perfRows[0].performed_at,
+      items,
+      total_cost: totalCost,
+      cost_per_procedure: Math.round((totalCost / times) * 100) / 100,
+      skipped_legacy_supplies: legacyRows[0].count,
+    })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error performing procedure:', err)
+
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    res.status(500).json({ error: 'Could not perform procedure' })
+  } finally {
+    client.release()
+  }
+})
+
 export default router
\ No newline at end of file
@@ -0,0 +1,320 @@
+// 📁 routes/purchaseOrders.js
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import {
+  PO_STATUSES,
+  canTransition,
+  findLowStockShortages,
+  loadPurchaseOrder,
+  replaceLines,
+} from '../services/purchaseOrders.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+// Timestamp column stamped when a PO enters a status
+const STATUS_TIMESTAMPS = {
+  sent: 'sent_at',
+  received: 'received_at',
+  cancelled: 'cancelled_at',
+}
+
+const handleError = (res, err, fallback) => {
+  if (err.statusCode) {
+    return res.status(err.statusCode).json({ error: err.message })
+  }
+  if (err.code === '23505' && err.constraint === 'purchase_order_lines_item_unique') {
+    return res.status(400).json({ error: 'Each item can only appear once per purchase order' })
+  }
+  res.status(500).json({ error: fallback })
+}
+
+// ✅ GET /api/purchase-orders?status=&supplier_id= — list POs with totals
+router.get('/', async (req, res) => {
+  const practiceId = req.practice.id
+  const { status, supplier_id } = req.query
+
+  try {
+    const conditions = ['po.practice_id = $1']
+    const values = [practiceId]
+
+    if (status) {
+      values.push(status)
+      conditions.push(`po.status = $${values.length}`)
+    }
+    if (supplier_id) {
+      values.push(supplier_id)
+      conditions.push(`po.supplier_id = $${values.length}`)
+    }
+
+    const result = await pool.query(
+      `SELECT
+         po.*,
+         s.name AS supplier_name,
+         COUNT(pol.id)::int AS line_count,
+         COALESCE(SUM(pol.quantity_ordered * COALESCE(pol.unit_price, 0)), 0)::numeric(12, 2) AS total
+       FROM purchase_orders po
+       JOIN suppliers s ON po.supplier_id = s.id
+       LEFT JOIN purchase_order_lines pol ON pol.purchase_order_id = po.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY po.id, s.name
+       ORDER BY po.created_at DESC`,
+      values
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching purchase orders:', err)
+    res.status(500).json({ error: 'Could not fetch purchase orders' })
+  }
+})
+
+// ✅ GET /api/purchase-orders/:id — one PO with its lines
+router.get('/:id', async (req, res) => {
+  try {
+    const po = await loadPurchaseOrder(pool, req.params.id, req.practice.id)
+    if (!po) {
+      return res.status(404).json({ error: 'Purchase order not found' })
+    }
+    res.json(po)
+  } catch (err) {
+    console.error('Error fetching purchase order:', err)
+    res.status(500).json({ error: 'Could not fetch purchase order' })
+  }
+})
+
+// ✅ POST /api/purchase-orders — create a draft PO
+// Body: { supplier_id, notes?, expected_date?, lines: [{ inventory_id, quantity, unit_price? }] }
+router.post('/', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { supplier_id, notes, expected_date, lines = [] } = req.body
+  const practiceId = req.practice.id
+
+  if (!supplier_id) {
+    return res.status(400).json({ error: 'supplier_id is required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    // 🔐 Supplier must belong to this practice
+    const { rowCount } = await client.query(
+      'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [supplier_id, practiceId]
+    )
+    if (rowCount === 0) {
+      await client.query('ROLLBACK')
+      return res.status(403).json({ error: 'Forbidden: You do not own this supplier.' })
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO purchase_orders (practice_id, user_id, supplier_id, notes, expected_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $2) RETURNING id`,
+      [practiceId, req.user.id, supplier_id, notes || null, expected_date || null]
+    )
+    await replaceLines(client, rows[0].id, practiceId, lines)
+
+    await client.query('COMMIT')
+    res.json(await loadPurchaseOrder(pool, rows[0].id, practiceId))
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error creating purchase order:', err)
+    handleError(res, err, 'Could not create purchase order')
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ POST /api/purchase-orders/from-low-stock — draft one PO per supplier from
+// the below-threshold list. Each item is ordered back up to twice its
+// threshold, summed across locations. Body: { supplier_id? } to limit to one.
+router.post('/from-low-stock', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { supplier_id } = req.body
+  const practiceId = req.practice.id
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const shortages = await findLowStockShortages(client, practiceId, supplier_id)
+
+    const bySupplier = new Map()
+    const skipped = []
+    for (const row of shortages) {
+      if (!row.supplier_id) {
+        skipped.push({ inventory_id: row.inventory_id, name: row.name, reason: 'No supplier assigned' })
+        continue
+      }
+      if (!bySupplier.has(row.supplier_id)) bySupplier.set(row.supplier_id, [])
+      bySupplier.get(row.supplier_id).push({ inventory_id: row.inventory_id, quantity: row.quantity })
+    }
+
+    const created = []
+    for (const [supplierId, lines] of bySupplier) {
+      const { rows } = await client.query(
+        `INSERT INTO purchase_orders (practice_id, user_id, supplier_id, notes, created_by)
+         VALUES ($1, $2, $3, $4, $2) RETURNING id`,
+        [practiceId, req.user.id, supplierId, 'Generated from low stock']
+      )
+      await replaceLines(client, rows[0].id, practiceId, lines)
+      created.push(rows[0].id)
+    }
+
+    await client.query('COMMIT')
+
+    const orders = []
+    for (const id of created) {
+      orders.push(await loadPurchaseOrder(pool, id, practiceId))
+    }
+    res.json({ purchase_orders: orders, skipped })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error generating purchase orders from low stock:', err)
+    handleError(res, err, 'Could not generate purchase orders')
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ PUT /api/purchase-orders/:id — edit a draft (header and/or lines)
+router.put('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { supplier_id, notes, expected_date, lines } = req.body
+  const practiceId = req.practice.id
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows } = await client.query(
+      'SELECT * FROM purchase_orders WHERE id = $1 AND practice_id = $2 FOR UPDATE',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Purchase order not found' })
+    }
+    if (rows[0].status !== 'draft') {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: 'Only draft purchase orders can be edited' })
+    }
+
+    if (supplier_id && String(supplier_id) !== String(rows[0].supplier_id)) {
+      const { rowCount } = await client.query(
+        'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+        [supplier_id, practiceId]
+      )
+      if (rowCount === 0) {
+        await client.query('ROLLBACK')
+        return res.status(403).json({ error: 'Forbidden: You do not own this supplier.' })
+      }
+    }
+
+    await client.query(
+      `UPDATE purchase_orders
+       SET supplier_id = $1, notes = $2, expected_date = $3, updated_at = NOW()
+       WHERE id = $4`,
+      [
+        supplier_id ?? rows[0].supplier_id,
+        notes !== undefined ? notes : rows[0].notes,
+        expected_date !== undefined ? expected_date || null : rows[0].expected_date,
+        rows[0].id,
+      ]
+    )
+
+    if (lines !== undefined) {
+      await replaceLines(client, rows[0].id, practiceId, lines)
+    }
+
+    await client.query('COMMIT')
+    res.json(await loadPurchaseOrder(pool, rows[0].id, practiceId))
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error updating purchase order:', err)
+    handleError(res, err, 'Could not update purchase order')
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ PATCH /api/purchase-orders/:id/status — move a PO through its workflow
+router.patch('/:id/status', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { status } = req.body
+  const practiceId = req.practice.id
+
+  if (!PO_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${PO_STATUSES.join(', ')}` })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows } = await client.query(
+      'SELECT status FROM purchase_orders WHERE id = $1 AND practice_id = $2 FOR UPDATE',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Purchase order not found' })
+    }
+    if (!canTransition(rows[0].status, status)) {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: `Cannot change a ${rows[0].status} purchase order to ${status}` })
+    }
+
+    if (status === 'sent') {
+      const { rowCount } = await client.query(
+        'SELECT 1 FROM purchase_order_lines WHERE purchase_order_id = $1 LIMIT 1',
+        [req.params.id]
+      )
+      if (rowCount === 0) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: 'Cannot send a purchase order without lines' })
+      }
+    }
+
+    const stamp = STATUS_TIMESTAMPS[status]
+    await client.query(
+      `UPDATE purchase_orders
+       SET status = $1, updated_at = NOW()${stamp ? `, ${stamp} = NOW()` : ''}
+       WHERE id = $2`,
+      [status, req.params.id]
+    )
+
+    await client.query('COMMIT')
+    res.json(await loadPurchaseOrder(pool, req.params.id, practiceId))
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error updating purchase order status:', err)
+    res.status(500).json({ error: 'Could not update purchase order status' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ DELETE /api/purchase-orders/:id — discard a draft
+router.delete('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT status FROM purchase_orders WHERE id = $1 AND practice_id = $2',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Purchase order not found' })
+    }
+    if (rows[0].status !== 'draft') {
+      return res.status(400).json({ error: 'Only draft purchase orders can be deleted; cancel it instead' })
+    }
+
+    await pool.query('DELETE FROM purchase_orders WHERE id = $1', [req.params.id])
+    res.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting purchase order:', err)
+    res.status(500).json({ error: 'Could not delete purchase order' })
+  }
+})
+
+export default router
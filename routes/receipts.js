@@ -0,0 +1,387 @@
+// 📁 routes/receipts.js
+// Delivery receiving: one receipt per shipment, tied to a supplier (and
+// optionally a purchase order), with accepted / damaged / backordered
+// quantities per line. Accepted stock is deposited like /api/inventory/add.
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { receiveStock } from '../services/stockReceiving.js'
+import { toBaseQuantity } from '../services/unitConversion.js'
+import { applyReceiptToPurchaseOrder } from '../services/purchaseOrders.js'
+import { recordReceiptPrice } from '../services/supplierCatalog.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+const loadReceipt = async (db, receiptId, practiceId) => {
+  const { rows } = await db.query(
+    `SELECT r.*, s.name AS supplier_name, l.name AS location_name
+     FROM receipts r
+     JOIN suppliers s ON r.supplier_id = s.id
+     LEFT JOIN locations l ON r.location_id = l.id
+     WHERE r.id = $1 AND r.practice_id = $2`,
+    [receiptId, practiceId]
+  )
+  if (rows.length === 0) return null
+
+  const { rows: lines } = await db.query(
+    `SELECT
+       rl.*,
+       rl.expiration_date::text AS expiration_date,
+       inv.unit,
+       CASE WHEN rl.backorder_cancelled_at IS NULL
+         THEN GREATEST(rl.quantity_backordered - rl.backorder_fulfilled, 0)
+         ELSE 0
+       END AS backorder_outstanding
+     FROM receipt_lines rl
+     LEFT JOIN inventory inv ON rl.inventory_id = inv.id
+     WHERE rl.receipt_id = $1
+     ORDER BY rl.id`,
+    [receiptId]
+  )
+
+  return { ...rows[0], lines }
+}
+
+// ✅ POST /api/receipts — record a delivery and deposit accepted stock
+// Body: {
+//   supplier_id, location_id, purchase_order_id?, packing_slip_number?, received_at?, notes?,
+//   lines: [{ inventory_id, quantity_accepted, quantity_damaged?, quantity_backordered?,
+//             quantity_unit?, unit_price?, lot_number?, expiration_date?,
+//             purchase_order_line_id?, fulfills_backorder_line_id?, notes? }]
+// }
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const {
+    supplier_id,
+    location_id,
+    purchase_order_id,
+    packing_slip_number,
+    received_at,
+    notes,
+    lines,
+  } = req.body
+  const practiceId = req.practice.id
+
+  if (!supplier_id || !location_id || !Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ error: 'supplier_id, location_id and at least one line are required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    // 🔐 Supplier and location must belong to this practice
+    const { rowCount: supplierOk } = await client.query(
+      'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [supplier_id, practiceId]
+    )
+    const { rowCount: locationOk } = await client.query(
+      'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+      [location_id, practiceId]
+    )
+    if (!supplierOk || !locationOk) {
+      await client.query('ROLLBACK')
+      return res.status(403).json({ error: 'Supplier or location does not belong to current practice.' })
+    }
+
+    let poLines = []
+    if (purchase_order_id) {
+      const { rows: poRows } = await client.query(
+        'SELECT supplier_id, status FROM purchase_orders WHERE id = $1 AND practice_id = $2 FOR UPDATE',
+        [purchase_order_id, practiceId]
+      )
+      if (poRows.length === 0) {
+        await client.query('ROLLBACK')
+        return res.status(404).json({ error: 'Purchase order not found' })
+      }
+      if (String(poRows[0].supplier_id) !== String(supplier_id)) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: 'Purchase order belongs to a different supplier' })
+      }
+      if (!['sent', 'partially_received'].includes(poRows[0].status)) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Cannot receive against a ${poRows[0].status} purchase order` })
+      }
+      const { rows } = await client.query(
+        'SELECT id, inventory_id FROM purchase_order_lines WHERE purchase_order_id = $1',
+        [purchase_order_id]
+      )
+      poLines = rows
+    }
+
+    const { rows: receiptRows } = await client.query(
+      `INSERT INTO receipts
+         (practice_id, user_id, supplier_id, purchase_order_id, location_id, packing_slip_number, received_at, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, NOW()), $8, $2)
+       RETURNING id`,
+      [practiceId, req.user.id, supplier_id, purchase_order_id || null, location_id, packing_slip_number || null, received_at || null, notes || null]
+    )
+    const receiptId = receiptRows[0].id
+    const reason = `Receipt #${receiptId}${packing_slip_number ? ` (slip ${packing_slip_number})` : ''}`
+    const poReceived = []
+
+    for (const line of lines) {
+      const { rows: invRows } = await client.query(
+        'SELECT name FROM inventory WHERE id = $1 AND practice_id = $2',
+        [line.inventory_id, practiceId]
+      )
+      if (invRows.length === 0) {
+        await client.query('ROLLBACK')
+        return res.status(403).json({ error: `Unauthorized access to item ID ${line.inventory_id}` })
+      }
+
+      // 📏 All three quantities share the line's unit
+      const accepted = await toBaseQuantity(client, line.inventory_id, line.quantity_accepted ?? 0, line.quantity_unit)
+      const damaged = await toBaseQuantity(client, line.inventory_id, line.quantity_damaged ?? 0, line.quantity_unit)
+      const backordered = await toBaseQuantity(client, line.inventory_id, line.quantity_backordered ?? 0, line.quantity_unit)
+      if (accepted < 0 || damaged < 0 || backordered < 0 || accepted + damaged + backordered === 0) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Invalid quantities for item ID ${line.inventory_id}` })
+      }
+
+      let poLineId = null
+      if (line.purchase_order_line_id) {
+        // A named PO line must be on this PO and for this same item
+        const poLine = poLines.find((pl) => String(pl.id) === String(line.purchase_order_line_id))
+        if (!poLine || String(poLine.inventory_id) !== String(line.inventory_id)) {
+          await client.query('ROLLBACK')
+          return res.status(400).json({
+            error: `Purchase order line ${line.purchase_order_line_id} is not on this purchase order for item ID ${line.inventory_id}`,
+          })
+        }
+        poLineId = poLine.id
+      } else if (purchase_order_id) {
+        poLineId = poLines.find((pl) => String(pl.inventory_id) === String(line.inventory_id))?.id ?? null
+      }
+
+      if (line.fulfills_backorder_line_id) {
+        const { rows: boRows } = await client.query(
+          `SELECT rl.id, rl.quantity_backordered - rl.backorder_fulfilled AS outstanding
+           FROM receipt_lines rl
+           JOIN receipts r ON rl.receipt_id = r.id
+           WHERE rl.id = $1 AND r.practice_id = $2 AND rl.inventory_id = $3
+             AND rl.backorder_cancelled_at IS NULL
+           FOR UPDATE OF rl`,
+          [line.fulfills_backorder_line_id, practiceId, line.inventory_id]
+        )
+        if (boRows.length === 0) {
+          await client.query('ROLLBACK')
+          return res.status(400).json({ error: `Backorder line ${line.fulfills_backorder_line_id} not found for this item` })
+        }
+        await client.query(
+          'UPDATE receipt_lines SET backorder_fulfilled = backorder_fulfilled + $1 WHERE id = $2',
+          [Math.min(accepted, Math.max(boRows[0].outstanding, 0)), boRows[0].id]
+        )
+      }
+
+      await client.query(
+        `INSERT INTO receipt_lines
+           (receipt_id, inventory_id, item_name, purchase_order_line_id, quantity_accepted, quantity_damaged,
+            quantity_backordered, fulfills_backorder_line_id, unit_price, lot_number, expiration_date, notes)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+        [
+          receiptId,
+          line.inventory_id,
+          invRows[0].name,
+          poLineId,
+          accepted,
+          damaged,
+          backordered,
+          line.fulfills_backorder_line_id || null,
+          line.unit_price ?? null,
+          line.lot_number || null,
+          line.expiration_date || null,
+          line.notes || null,
+        ]
+      )
+
+      // 🏷️ What we paid goes into the supplier catalog's price history
+      if (line.unit_price != null) {
+        await recordReceiptPrice(client, {
+          supplierId: supplier_id,
+          inventoryId: line.inventory_id,
+          unitPrice: line.unit_price,
+          receiptId,
+          recordedBy: req.user.id,
+        })
+      }
+
+      if (accepted > 0) {
+        await receiveStock(client, {
+          practiceId,
+          inventoryId: line.inventory_id,
+          locationId: location_id,
+          quantity: accepted,
+          lotNumber: line.lot_number,
+          expirationDate: line.expiration_date,
+          reason,
+          createdBy: req.user.id,
+        })
+      }
+
+      if (poLineId) {
+        poReceived.push({ purchase_order_line_id: poLineId, quantity: accepted })
+      }
+    }
+
+    if (purchase_order_id) {
+      await applyReceiptToPurchaseOrder(client, purchase_order_id, poReceived)
+    }
+
+    await client.query('COMMIT')
+    res.json(await loadReceipt(pool, receiptId, practiceId))
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error recording receipt:', err)
+
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+
+    res.status(500).json({ error: 'Could not record receipt' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ GET /api/receipts?supplier_id=&from=&to= — past receipts with line totals
+router.get('/', async (req, res) => {
+  const practiceId = req.practice.id
+  const { supplier_id, from, to } = req.query
+
+  try {
+    const conditions = ['r.practice_id = $1']
+    const values = [practiceId]
+
+    if (supplier_id) {
+      values.push(supplier_id)
+      conditions.push(`r.supplier_id = $${values.length}`)
+    }
+    if (from) {
+      values.push(from)
+      conditions.push(`r.received_at >= $${values.length}`)
+    }
+    if (to) {
+      values.push(to)
+      conditions.push(`r.received_at <= $${values.length}`)
+    }
+
+    const result = await pool.query(
+      `SELECT
+         r.*,
+         s.name AS supplier_name,
+         l.name AS location_name,
+         COALESCE(SUM(rl.quantity_accepted), 0)::int AS total_accepted,
+         COALESCE(SUM(rl.quantity_damaged), 0)::int AS total_damaged,
+         COALESCE(SUM(rl.quantity_backordered), 0)::int AS total_backordered
+       FROM receipts r
+       JOIN suppliers s ON r.supplier_id = s.id
+       LEFT JOIN locations l ON r.location_id = l.id
+       LEFT JOIN receipt_lines rl ON rl.receipt_id = r.id
+       WHERE ${conditions.join(' AND ')}
+       GROUP BY r.id, s.name, l.name
+       ORDER BY r.received_at DESC`,
+      values
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching receipts:', err)
+    res.status(500).json({ error: 'Could not fetch receipts' })
+  }
+})
+
+// ✅ GET /api/receipts/backorders?supplier_id= — outstanding backorders grouped by supplier
+router.get('/backorders', async (req, res) => {
+  const practiceId = req.practice.id
+  const { supplier_id } = req.query
+
+  try {
+    const values = [practiceId]
+    let supplierFilter = ''
+    if (supplier_id) {
+      values.push(supplier_id)
+      supplierFilter = 'AND r.supplier_id = $2'
+    }
+
+    const result = await pool.query(
+      `SELECT
+         rl.id AS receipt_line_id,
+         rl.receipt_id,
+         rl.inventory_id,
+         rl.item_name,
+         inv.unit,
+         rl.quantity_backordered,
+         rl.backorder_fulfilled,
+         rl.quantity_backordered - rl.backorder_fulfilled AS outstanding,
+         r.packing_slip_number,
+         r.purchase_order_id,
+         r.received_at,
+         s.id AS supplier_id,
+         s.name AS supplier_name,
+         s.email AS supplier_email
+       FROM receipt_lines rl
+       JOIN receipts r ON rl.receipt_id = r.id
+       JOIN suppliers s ON r.supplier_id = s.id
+       LEFT JOIN inventory inv ON rl.inventory_id = inv.id
+       WHERE r.practice_id = $1
+         AND rl.backorder_cancelled_at IS NULL
+         AND rl.quantity_backordered > rl.backorder_fulfilled
+         ${supplierFilter}
+       ORDER BY s.name ASC, r.received_at ASC`,
+      values
+    )
+
+    const bySupplier = new Map()
+    for (const { supplier_id: id, supplier_name, supplier_email, ...line } of result.rows) {
+      if (!bySupplier.has(id)) {
+        bySupplier.set(id, { supplier_id: id, supplier_name, supplier_email, lines: [] })
+      }
+      bySupplier.get(id).lines.push(line)
+    }
+
+    res.json([...bySupplier.values()])
+  } catch (err) {
+    console.error('Error fetching backorders:', err)
+    res.status(500).json({ error: 'Could not fetch backorders' })
+  }
+})
+
+// ✅ POST /api/receipts/backorders/:lineId/cancel — supplier won't ship the rest
+router.post('/backorders/:lineId/cancel', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const result = await pool.query(
+      `UPDATE receipt_lines rl SET backorder_cancelled_at = NOW()
+       FROM receipts r
+       WHERE rl.receipt_id = r.id AND rl.id = $1 AND r.practice_id = $2
+         AND rl.quantity_backordered > 0 AND rl.backorder_cancelled_at IS NULL
+       RETURNING rl.*`,
+      [req.params.lineId, practiceId]
+    )
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open backorder not found' })
+    }
+    res.json(result.rows[0])
+  } catch (err) {
+    console.error('Error cancelling backorder:', err)
+    res.status(500).json({ error: 'Could not cancel backorder' })
+  }
+})
+
+// ✅ GET /api/receipts/:id — one receipt with its lines
+router.get('/:id', async (req, res) => {
+  try {
+    const receipt = await loadReceipt(pool, req.params.id, req.practice.id)
+    if (!receipt) {
+      return res.status(404).json({ error: 'Receipt not found' })
+    }
+    res.json(receipt)
+  } catch (err) {
+    console.error('Error fetching receipt:', err)
+    res.status(500).json({ error: 'Could not fetch receipt' })
+  }
+})
+
+export default router
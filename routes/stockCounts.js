@@ -0,0 +1,454 @@
+// 📁 routes/stockCounts.js
+// Stocktake / cycle count sessions: open a session for some locations,
+// record physical counts (typed or scanned), preview the variance against
+// location_inventory and post it as ledger adjustments in one transaction.
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { recordMovement, MOVEMENT_TYPES } from '../services/inventoryLedger.js'
+import { trimLotsToOnHand } from '../services/inventoryLots.js'
+import { toBaseQuantity } from '../services/unitConversion.js'
+import { resolveBarcode } from '../scanning/barcodeResolver.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+const COUNT_REASON_CODES = ['cycle_count', 'annual_stocktake', 'damaged', 'expired', 'lost', 'found', 'correction']
+
+/**
+ * Load a session owned by the practice, optionally locking it
+ */
+const getSession = async (db, sessionId, practiceId, { forUpdate = false } = {}) => {
+  const { rows } = await db.query(
+    `SELECT * FROM count_sessions WHERE id = $1 AND practice_id = $2 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [sessionId, practiceId]
+  )
+  return rows[0] ?? null
+}
+
+/**
+ * Expected vs counted for every item in the session's locations.
+ * Items with stock that were not counted come back with counted_quantity null.
+ */
+const loadVariances = async (db, sessionId) => {
+  const { rows } = await db.query(
+    `WITH scope AS (
+       SELECT li.inventory_id, li.location_id
+       FROM location_inventory li
+       JOIN count_session_locations csl ON csl.location_id = li.location_id AND csl.session_id = $1
+       UNION
+       SELECT inventory_id, location_id FROM count_entries WHERE session_id = $1
+     )
+     SELECT
+       scope.inventory_id,
+       scope.location_id,
+       inv.name,
+       inv.unit,
+       inv.cost_per_unit,
+       l.name AS location_name,
+       COALESCE(li.quantity, 0) AS expected_quantity,
+       ce.counted_quantity,
+       ce.counted_at
+     FROM scope
+     JOIN inventory inv ON inv.id = scope.inventory_id
+     JOIN locations l ON l.id = scope.location_id
+     LEFT JOIN location_inventory li
+       ON li.inventory_id = scope.inventory_id AND li.location_id = scope.location_id
+     LEFT JOIN count_entries ce
+       ON ce.session_id = $1 AND ce.inventory_id = scope.inventory_id AND ce.location_id = scope.location_id
+     ORDER BY l.name ASC, inv.name ASC`,
+    [sessionId]
+  )
+
+  const lines = rows.map((row) => {
+    const counted = row.counted_quantity
+    const variance = counted == null ? null : counted - row.expected_quantity
+    const unitCost = parseFloat(row.cost_per_unit || 0)
+    return {
+      ...row,
+      variance,
+      cost_impact: variance == null ? null : Math.round(variance * unitCost * 100) / 100,
+    }
+  })
+
+  const counted = lines.filter((line) => line.counted_quantity != null)
+  return {
+    lines,
+    summary: {
+      items_in_scope: lines.length,
+      items_counted: counted.length,
+      items_uncounted: lines.length - counted.length,
+      items_with_variance: counted.filter((line) => line.variance !== 0).length,
+      total_cost_impact: Math.round(counted.reduce((sum, line) => sum + line.cost_impact, 0) * 100) / 100,
+    },
+  }
+}
+
+// ✅ POST /api/stock-counts — open a count session for one or more locations
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { name, location_ids, notes } = req.body
+  const practiceId = req.practice.id
+
+  if (!Array.isArray(location_ids) || location_ids.length === 0) {
+    return res.status(400).json({ error: 'At least one location is required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    // 🔐 Every location must belong to this practice
+    const { rows: locRows } = await client.query(
+      'SELECT id FROM locations WHERE id = ANY($1::int[]) AND practice_id = $2',
+      [location_ids, practiceId]
+    )
+    if (locRows.length !== new Set(location_ids.map(String)).size) {
+      await client.query('ROLLBACK')
+      return res.status(403).json({ error: 'One or more locations do not belong to current practice.' })
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO count_sessions (practice_id, user_id, name, notes, created_by)
+       VALUES ($1, $2, $3, $4, $2) RETURNING *`,
+      [practiceId, req.user.id, name || null, notes || null]
+    )
+    const session = rows[0]
+
+    for (const { id } of locRows) {
+      await client.query(
+        'INSERT INTO count_session_locations (session_id, location_id) VALUES ($1, $2)',
+        [session.id, id]
+      )
+    }
+
+    await client.query('COMMIT')
+    res.json({ ...session, location_ids: locRows.map((row) => row.id) })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error opening count session:', err)
+    res.status(500).json({ error: 'Could not open count session' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ GET /api/stock-counts?status=open — list sessions
+router.get('/', async (req, res) => {
+  const practiceId = req.practice.id
+  const { status } = req.query
+
+  try {
+    const values = [practiceId]
+    let statusFilter = ''
+    if (status) {
+      values.push(status)
+      statusFilter = 'AND cs.status = $2'
+    }
+
+    const result = await pool.query(
+      `SELECT
+         cs.*,
+         (SELECT COUNT(*) FROM count_entries ce WHERE ce.session_id = cs.id)::int AS entry_count,
+         (
+           SELECT COALESCE(json_agg(json_build_object('location_id', l.id, 'location_name', l.name) ORDER BY l.name), '[]'::json)
+           FROM count_session_locations csl
+           JOIN locations l ON l.id = csl.location_id
+           WHERE csl.session_id = cs.id
+         ) AS locations
+       FROM count_sessions cs
+       WHERE cs.practice_id = $1 ${statusFilter}
+       ORDER BY cs.created_at DESC`,
+      values
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching count sessions:', err)
+    res.status(500).json({ error: 'Could not fetch count sessions' })
+  }
+})
+
+// ✅ GET /api/stock-counts/:id — session with its recorded counts
+router.get('/:id', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const session = await getSession(pool, req.params.id, practiceId)
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' })
+    }
+
+    const { rows: entries } = await pool.query(
+      `SELECT ce.*, inv.name, inv.unit, l.name AS location_name
+       FROM count_entries ce
+       JOIN inventory inv ON inv.id = ce.inventory_id
+       JOIN locations l ON l.id = ce.location_id
+       WHERE ce.session_id = $1
+       ORDER BY l.name ASC, inv.name ASC`,
+      [session.id]
+    )
+
+    res.json({ ...session, entries })
+  } catch (err) {
+    console.error('Error fetching count session:', err)
+    res.status(500).json({ error: 'Could not fetch count session' })
+  }
+})
+
+// ✅ POST /api/stock-counts/:id/counts — record counted quantities
+// Body: { entries: [{ inventory_id | barcode, location_id, quantity, quantity_unit?, mode? }] }
+// mode 'set' (default for inventory_id) replaces the count; 'add' (default for
+// barcode scans) adds to it, so each scan of a box bumps the tally.
+router.post('/:id/counts', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { entries } = req.body
+  const practiceId = req.practice.id
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    return res.status(400).json({ error: 'No counts provided' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const session = await getSession(client, req.params.id, practiceId, { forUpdate: true })
+    if (!session) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Count session not found' })
+    }
+    if (session.status !== 'open') {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: `Count session is ${session.status}` })
+    }
+
+    const { rows: locRows } = await client.query(
+      'SELECT location_id FROM count_session_locations WHERE session_id = $1',
+      [session.id]
+    )
+    const sessionLocations = new Set(locRows.map((row) => String(row.location_id)))
+
+    const saved = []
+    for (const entry of entries) {
+      if (!sessionLocations.has(String(entry.location_id))) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Location ${entry.location_id} is not part of this count` })
+      }
+
+      let inventoryId = entry.inventory_id
+      let packQuantity = 1
+      if (!inventoryId && entry.barcode) {
+        const resolved = await resolveBarcode(client, practiceId, entry.barcode)
+        if (!resolved.item) {
+          await client.query('ROLLBACK')
+          return res.status(404).json({ error: `Barcode "${entry.barcode}" not found` })
+        }
+        inventoryId = resolved.item.id
+        packQuantity = resolved.packQuantity
+      } else {
+        const { rowCount } = await client.query(
+          'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+          [inventoryId, practiceId]
+        )
+        if (rowCount === 0) {
+          await client.query('ROLLBACK')
+          return res.status(403).json({ error: `Unauthorized access to item ID ${inventoryId}` })
+        }
+      }
+
+      const entered = entry.quantity ?? (entry.barcode ? 1 : undefined)
+      if (entered === undefined || Number(entered) < 0) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Invalid quantity for item ID ${inventoryId}` })
+      }
+      const quantity = (await toBaseQuantity(client, inventoryId, entered, entry.quantity_unit)) * packQuantity
+      const mode = entry.mode || (entry.barcode ? 'add' : 'set')
+
+      const { rows } = await client.query(
+        `INSERT INTO count_entries (session_id, inventory_id, location_id, counted_quantity, counted_by, counted_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         ON CONFLICT (session_id, inventory_id, location_id)
+         DO UPDATE SET
+           counted_quantity = CASE WHEN $6 = 'add' THEN count_entries.counted_quantity + $4 ELSE $4 END,
+           counted_by = $5,
+           counted_at = NOW()
+         RETURNING *`,
+        [session.id, inventoryId, entry.location_id, quantity, req.user.id, mode]
+      )
+      saved.push(rows[0])
+    }
+
+    await client.query('COMMIT')
+    res.json(saved)
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error recording counts:', err)
+
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+
+    res.status(500).json({ error: 'Could not record counts' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ DELETE /api/stock-counts/:id/counts/:entryId — discard a recorded count
+router.delete('/:id/counts/:entryId', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const session = await getSession(pool, req.params.id, practiceId)
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' })
+    }
+    if (session.status !== 'open') {
+      return res.status(400).json({ error: `Count session is ${session.status}` })
+    }
+
+    const result = await pool.query(
+      'DELETE FROM count_entries WHERE id = $1 AND session_id = $2 RETURNING id',
+      [req.params.entryId, session.id]
+    )
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Count entry not found' })
+    }
+    res.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting count entry:', err)
+    res.status(500).json({ error: 'Could not delete count entry' })
+  }
+})
+
+// ✅ GET /api/stock-counts/:id/variance — preview expected vs counted and cost impact
+router.get('/:id/variance', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const session = await getSession(pool, req.params.id, practiceId)
+    if (!session) {
+      return res.status(404).json({ error: 'Count session not found' })
+    }
+
+    res.json({ session, ...(await loadVariances(pool, session.id)) })
+  } catch (err) {
+    console.error('Error computing count variance:', err)
+    res.status(500).json({ error: 'Could not compute variance' })
+  }
+})
+
+// ✅ POST /api/stock-counts/:id/post — apply every variance atomically
+// Body: { reason_code, zero_uncounted? } — with zero_uncounted, items that
+// have stock but were never counted are adjusted to 0 as well.
+router.post('/:id/post', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { reason_code = 'cycle_count', zero_uncounted = false } = req.body
+  const practiceId = req.practice.id
+
+  if (!COUNT_REASON_CODES.includes(reason_code)) {
+    return res.status(400).json({ error: `reason_code must be one of: ${COUNT_REASON_CODES.join(', ')}` })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const session = await getSession(client, req.params.id, practiceId, { forUpdate: true })
+    if (!session) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Count session not found' })
+    }
+    if (session.status !== 'open') {
+      await client.query('ROLLBACK')
+      return res.status(400).json({ error: `Count session is already ${session.status}` })
+    }
+
+    // 🔐 Lock the counted rows so nothing moves between preview and adjustment
+    await client.query(
+      `SELECT 1 FROM location_inventory li
+       JOIN count_session_locations csl ON csl.location_id = li.location_id
+       WHERE csl.session_id = $1
+       FOR UPDATE OF li`,
+      [session.id]
+    )
+
+    const { lines, summary } = await loadVariances(client, session.id)
+    const reason = `Stock count #${session.id}: ${reason_code}`
+    const adjustments = []
+
+    for (const line of lines) {
+      const counted = line.counted_quantity ?? (zero_uncounted ? 0 : null)
+      if (counted == null) continue
+
+      await client.query(
+        'UPDATE count_entries SET expected_quantity = $1 WHERE session_id = $2 AND inventory_id = $3 AND location_id = $4',
+        [line.expected_quantity, session.id, line.inventory_id, line.location_id]
+      )
+
+      const variance = counted - line.expected_quantity
+      if (variance === 0) continue
+
+      await client.query(
+        `INSERT INTO location_inventory (inventory_id, location_id, quantity, created_at, updated_at)
+         VALUES ($1, $2, $3, NOW(), NOW())
+         ON CONFLICT (inventory_id, location_id)
+         DO UPDATE SET quantity = $3, updated_at = NOW()`,
+        [line.inventory_id, line.location_id, counted]
+      )
+      const trimmed = await trimLotsToOnHand(client, {
+        inventoryId: line.inventory_id,
+        locationId: line.location_id,
+      })
+      await recordMovement(client, {
+        practiceId,
+        inventoryId: line.inventory_id,
+        locationId: line.location_id,
+        type: MOVEMENT_TYPES.ADJUST,
+        quantityChange: variance,
+        reason,
+        lots: trimmed,
+        createdBy: req.user.id,
+      })
+
+      adjustments.push({ ...line, counted_quantity: counted, variance })
+    }
+
+    const { rows } = await client.query(
+      `UPDATE count_sessions
+       SET status = 'posted', reason_code = $1, posted_by = $2, posted_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [reason_code, req.user.id, session.id]
+    )
+
+    await client.query('COMMIT')
+    res.json({ session: rows[0], summary, adjustments })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error posting count session:', err)
+    res.status(500).json({ error: 'Could not post count session' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ POST /api/stock-counts/:id/cancel — abandon an open session
+router.post('/:id/cancel', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const result = await pool.query(
+      `UPDATE count_sessions SET status = 'cancelled'
+       WHERE id = $1 AND practice_id = $2 AND status = 'open'
+       RETURNING *`,
+      [req.params.id, practiceId]
+    )
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Open count session not found' })
+    }
+    res.json(result.rows[0])
+  } catch (err) {
+    console.error('Error cancelling count session:', err)
+    res.status(500).json({ error: 'Could not cancel count session' })
+  }
+})
+
+export default router
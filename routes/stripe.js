@@ -3,13 +3,18 @@ import express from 'express'
 import Stripe from 'stripe'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY)
 
+// 🔑 Billing is for practice owners only
+router.use(verifyToken, requirePermission(PERMISSIONS.BILLING_MANAGE))
+
 // ✅ Create Checkout Session (Subscribe)
 router.post('/create-checkout-session', async (req, res) => {
-  const { priceId, userId } = req.body
+  const { priceId } = req.body
+  const userId = req.user.id
 
   try {
     // Create Stripe Customer and store customer ID in DB
@@ -37,7 +42,7 @@ router.post('/create-checkout-session', async (req, res) => {
 })
 
 // ✅ Create Billing Portal Session (Manage Subscription)
-router.post('/create-portal-session', verifyToken, async (req, res) => {
+router.post('/create-portal-session', async (req, res) => {
   const userId = req.user.id
 
   try {
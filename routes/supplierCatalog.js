@@ -0,0 +1,292 @@
+// 📁 routes/supplierCatalog.js
+// Per-supplier catalog: supplier SKU, pack size and price for each item,
+// with price history and a cheapest-supplier comparison.
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { setCatalogPrice } from '../services/supplierCatalog.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+const CATALOG_COLUMNS = `
+  sci.*,
+  s.name AS supplier_name,
+  inv.name AS item_name,
+  inv.unit,
+  CASE WHEN sci.price IS NULL THEN NULL ELSE ROUND(sci.price / sci.pack_size, 4) END AS unit_price`
+
+const handleError = (res, err, fallback) => {
+  if (err.code === '23505' && err.constraint === 'supplier_catalog_items_unique') {
+    return res.status(400).json({ error: 'This item is already in the supplier catalog' })
+  }
+  res.status(500).json({ error: fallback })
+}
+
+const isValidPackSize = (v) => Number.isInteger(Number(v)) && Number(v) > 0
+const isValidPrice = (v) => v == null || (!isNaN(parseFloat(v)) && parseFloat(v) >= 0)
+
+// ✅ GET /api/supplier-catalog?supplier_id=&inventory_id= — catalog entries
+router.get('/', async (req, res) => {
+  const practiceId = req.practice.id
+  const { supplier_id, inventory_id } = req.query
+
+  try {
+    const conditions = ['sci.practice_id = $1']
+    const values = [practiceId]
+
+    if (supplier_id) {
+      values.push(supplier_id)
+      conditions.push(`sci.supplier_id = $${values.length}`)
+    }
+    if (inventory_id) {
+      values.push(inventory_id)
+      conditions.push(`sci.inventory_id = $${values.length}`)
+    }
+
+    const result = await pool.query(
+      `SELECT ${CATALOG_COLUMNS}
+       FROM supplier_catalog_items sci
+       JOIN suppliers s ON sci.supplier_id = s.id
+       JOIN inventory inv ON sci.inventory_id = inv.id
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY s.name ASC, inv.name ASC`,
+      values
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching supplier catalog:', err)
+    res.status(500).json({ error: 'Could not fetch supplier catalog' })
+  }
+})
+
+// ✅ GET /api/supplier-catalog/compare/:inventoryId — every supplier's price for an item, cheapest first
+router.get('/compare/:inventoryId', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const { rows: items } = await pool.query(
+      'SELECT id, name, unit, supplier_id, cost_per_unit FROM inventory WHERE id = $1 AND practice_id = $2',
+      [req.params.inventoryId, practiceId]
+    )
+    if (items.length === 0) {
+      return res.status(404).json({ error: 'Item not found' })
+    }
+
+    const result = await pool.query(
+      `SELECT
+         ${CATALOG_COLUMNS},
+         last.recorded_at AS price_since,
+         paid.last_paid_unit_price,
+         paid.last_received_at
+       FROM supplier_catalog_items sci
+       JOIN suppliers s ON sci.supplier_id = s.id
+       JOIN inventory inv ON sci.inventory_id = inv.id
+       LEFT JOIN LATERAL (
+         SELECT recorded_at FROM supplier_catalog_prices p
+         WHERE p.catalog_item_id = sci.id
+         ORDER BY recorded_at DESC LIMIT 1
+       ) last ON true
+       LEFT JOIN LATERAL (
+         SELECT rl.unit_price AS last_paid_unit_price, r.received_at AS last_received_at
+         FROM receipt_lines rl
+         JOIN receipts r ON rl.receipt_id = r.id
+         WHERE r.supplier_id = sci.supplier_id AND rl.inventory_id = sci.inventory_id
+           AND rl.unit_price IS NOT NULL
+         ORDER BY r.received_at DESC LIMIT 1
+       ) paid ON true
+       WHERE sci.practice_id = $1 AND sci.inventory_id = $2
+       ORDER BY sci.price / sci.pack_size ASC NULLS LAST, s.name ASC`,
+      [practiceId, req.params.inventoryId]
+    )
+
+    const offers = result.rows.map((row) => ({
+      ...row,
+      is_primary_supplier: row.supplier_id === items[0].supplier_id,
+    }))
+    const cheapest = offers.find((o) => o.unit_price !== null) ?? null
+
+    res.json({
+      inventory_id: items[0].id,
+      name: items[0].name,
+      unit: items[0].unit,
+      cost_per_unit: items[0].cost_per_unit,
+      cheapest_supplier_id: cheapest?.supplier_id ?? null,
+      offers,
+    })
+  } catch (err) {
+    console.error('Error comparing supplier prices:', err)
+    res.status(500).json({ error: 'Could not compare supplier prices' })
+  }
+})
+
+// ✅ POST /api/supplier-catalog — add an item to a supplier's catalog
+// Body: { supplier_id, inventory_id, sku?, pack_size?, price?, notes? }
+router.post('/', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { supplier_id, inventory_id, sku, pack_size = 1, price, notes } = req.body
+  const practiceId = req.practice.id
+
+  if (!supplier_id || !inventory_id) {
+    return res.status(400).json({ error: 'supplier_id and inventory_id are required' })
+  }
+  if (!isValidPackSize(pack_size) || !isValidPrice(price)) {
+    return res.status(400).json({ error: 'pack_size must be a positive integer and price a non-negative number' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    // 🔐 Supplier and item must belong to this practice
+    const { rowCount: supplierOk } = await client.query(
+      'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [supplier_id, practiceId]
+    )
+    const { rowCount: itemOk } = await client.query(
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventory_id, practiceId]
+    )
+    if (!supplierOk || !itemOk) {
+      await client.query('ROLLBACK')
+      return res.status(403).json({ error: 'Supplier or item does not belong to current practice.' })
+    }
+
+    const { rows } = await client.query(
+      `INSERT INTO supplier_catalog_items (practice_id, user_id, supplier_id, inventory_id, sku, pack_size, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+      [practiceId, req.user.id, supplier_id, inventory_id, sku || null, Number(pack_size), notes || null]
+    )
+    await setCatalogPrice(client, {
+      catalogItemId: rows[0].id,
+      price: price ?? null,
+      packSize: Number(pack_size),
+      recordedBy: req.user.id,
+    })
+
+    await client.query('COMMIT')
+
+    const result = await pool.query(
+      `SELECT ${CATALOG_COLUMNS}
+       FROM supplier_catalog_items sci
+       JOIN suppliers s ON sci.supplier_id = s.id
+       JOIN inventory inv ON sci.inventory_id = inv.id
+       WHERE sci.id = $1`,
+      [rows[0].id]
+    )
+    res.json(result.rows[0])
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error adding catalog item:', err)
+    handleError(res, err, 'Could not add catalog item')
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ PUT /api/supplier-catalog/:id — update SKU, pack size, price or notes
+router.put('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { sku, pack_size, price, notes } = req.body
+  const practiceId = req.practice.id
+
+  if ((pack_size !== undefined && !isValidPackSize(pack_size)) || !isValidPrice(price)) {
+    return res.status(400).json({ error: 'pack_size must be a positive integer and price a non-negative number' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+
+    const { rows } = await client.query(
+      'SELECT * FROM supplier_catalog_items WHERE id = $1 AND practice_id = $2 FOR UPDATE',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      await client.query('ROLLBACK')
+      return res.status(404).json({ error: 'Catalog item not found' })
+    }
+
+    await client.query(
+      'UPDATE supplier_catalog_items SET sku = $1, notes = $2, updated_at = NOW() WHERE id = $3',
+      [
+        sku !== undefined ? sku || null : rows[0].sku,
+        notes !== undefined ? notes || null : rows[0].notes,
+        rows[0].id,
+      ]
+    )
+    await setCatalogPrice(client, {
+      catalogItemId: rows[0].id,
+      price: price !== undefined ? price : rows[0].price,
+      packSize: pack_size !== undefined ? Number(pack_size) : rows[0].pack_size,
+      recordedBy: req.user.id,
+    })
+
+    await client.query('COMMIT')
+
+    const result = await pool.query(
+      `SELECT ${CATALOG_COLUMNS}
+       FROM supplier_catalog_items sci
+       JOIN suppliers s ON sci.supplier_id = s.id
+       JOIN inventory inv ON sci.inventory_id = inv.id
+       WHERE sci.id = $1`,
+      [rows[0].id]
+    )
+    res.json(result.rows[0])
+  } catch (err) {
+    await client.query('ROLLBACK')
+    console.error('Error updating catalog item:', err)
+    handleError(res, err, 'Could not update catalog item')
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ GET /api/supplier-catalog/:id/prices — price history, newest first
+router.get('/:id/prices', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const { rowCount } = await pool.query(
+      'SELECT 1 FROM supplier_catalog_items WHERE id = $1 AND practice_id = $2',
+      [req.params.id, practiceId]
+    )
+    if (rowCount === 0) {
+      return res.status(404).json({ error: 'Catalog item not found' })
+    }
+
+    const result = await pool.query(
+      `SELECT
+         p.*,
+         ROUND(p.price / p.pack_size, 4) AS unit_price,
+         u.email AS recorded_by_email
+       FROM supplier_catalog_prices p
+       LEFT JOIN users u ON p.recorded_by = u.id
+       WHERE p.catalog_item_id = $1
+       ORDER BY p.recorded_at DESC`,
+      [req.params.id]
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching price history:', err)
+    res.status(500).json({ error: 'Could not fetch price history' })
+  }
+})
+
+// ✅ DELETE /api/supplier-catalog/:id — remove an item from a supplier's catalog
+router.delete('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  try {
+    const result = await pool.query(
+      'DELETE FROM supplier_catalog_items WHERE id = $1 AND practice_id = $2 RETURNING id',
+      [req.params.id, req.practice.id]
+    )
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Catalog item not found' })
+    }
+    res.json({ success: true })
+  } catch (err) {
+    console.error('Error deleting catalog item:', err)
+    res.status(500).json({ error: 'Could not delete catalog item' })
+  }
+})
+
+export default router
@@ -1,6 +1,10 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
+import { findLowStockShortages } from '../services/purchaseOrders.js'
+import { buildOrderEmail } from '../services/orderEmail.js'
+import { sendEmail } from '../services/emailService.js'
 
 const router = express.Router()
 router.use(verifyToken)
@@ -8,16 +12,16 @@ router.use(verifyToken)
 /**
  * ✅ Create new supplier
  */
-router.post('/', async (req, res) => {
+router.post('/', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
   const { name, poc, email, phone, web_link } = req.body
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const result = await pool.query(
-      `INSERT INTO suppliers (user_id, name, poc, email, phone, web_link)
-       VALUES ($1, $2, $3, $4, $5, $6)
+      `INSERT INTO suppliers (practice_id, user_id, name, poc, email, phone, web_link)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
        RETURNING *`,
-      [user_id, name, poc, email, phone, web_link]
+      [practiceId, req.user.id, name, poc, email, phone, web_link]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -27,15 +31,15 @@ router.post('/', async (req, res) => {
 })
 
 /**
- * ✅ Get all suppliers for the logged-in user
+ * ✅ Get all suppliers for the current practice
  */
 router.get('/', async (req, res) => {
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const result = await pool.query(
-      'SELECT * FROM suppliers WHERE user_id = $1 ORDER BY id',
-      [user_id]
+      'SELECT * FROM suppliers WHERE practice_id = $1 ORDER BY id',
+      [practiceId]
     )
     res.json(result.rows)
   } catch (err) {
@@ -47,15 +51,15 @@ router.get('/', async (req, res) => {
 /**
  * ✅ Update supplier by ID
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
   const { id } = req.params
   const { name, poc, email, phone, web_link } = req.body
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const ownerCheck = await pool.query(
-      'SELECT 1 FROM suppliers WHERE id = $1 AND user_id = $2',
-      [id, user_id]
+      'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [id, practiceId]
     )
     if (ownerCheck.rows.length === 0) {
       return res.status(403).json({ error: 'Forbidden: You do not own this supplier.' })
@@ -64,9 +68,9 @@ router.put('/:id', async (req, res) => {
     const result = await pool.query(
       `UPDATE suppliers
        SET name = $1, poc = $2, email = $3, phone = $4, web_link = $5
-       WHERE id = $6 AND user_id = $7
+       WHERE id = $6 AND practice_id = $7
        RETURNING *`,
-      [name, poc, email, phone, web_link, id, user_id]
+      [name, poc, email, phone, web_link, id, practiceId]
     )
 
     if (result.rows.length === 0) {
@@ -83,17 +87,17 @@ router.put('/:id', async (req, res) => {
 /**
  * ✅ Delete supplier if not in use
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
   const { id } = req.params
-  const user_id = req.user.id
+  const practiceId = req.practice.id
   const client = await pool.connect()
 
   try {
     await client.query('BEGIN')
 
     const ownerCheck = await client.query(
-      'SELECT 1 FROM suppliers WHERE id = $1 AND user_id = $2',
-      [id, user_id]
+      'SELECT 1 FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [id, practiceId]
     )
     if (ownerCheck.rows.length === 0) {
       await client.query('ROLLBACK')
@@ -101,8 +105,8 @@ router.delete('/:id', async (req, res) => {
     }
 
     const inUse = await client.query(
-      'SELECT 1 FROM inventory WHERE supplier_id = $1 AND user_id = $2 LIMIT 1',
-      [id, user_id]
+      'SELECT 1 FROM inventory WHERE supplier_id = $1 AND practice_id = $2 LIMIT 1',
+      [id, practiceId]
     )
     if (inUse.rows.length > 0) {
       await client.query('ROLLBACK')
@@ -111,9 +115,23 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
+    const hasOrders = await client.query(
+      `SELECT 1 FROM purchase_orders WHERE supplier_id = $1 AND practice_id = $2
+       UNION ALL
+       SELECT 1 FROM receipts WHERE supplier_id = $1 AND practice_id = $2
+       LIMIT 1`,
+      [id, practiceId]
+    )
+    if (hasOrders.rows.length > 0) {
+      await client.query('ROLLBACK')
+      return res.status(400).json({
+        error: 'This supplier has purchase orders or receipts on record and cannot be deleted.',
+      })
+    }
+
     const result = await client.query(
-      'DELETE FROM suppliers WHERE id = $1 AND user_id = $2 RETURNING *',
-      [id, user_id]
+      'DELETE FROM suppliers WHERE id = $1 AND practice_id = $2 RETURNING *',
+      [id, practiceId]
     )
 
     await client.query('COMMIT')
@@ -132,4 +150,166 @@ router.delete('/:id', async (req, res) => {
   }
 })
 
+/**
+ * Order lines for a supplier email: the given lines, or the supplier's
+ * below-threshold items when none are given. Adds the supplier's SKU.
+ */
+const buildOrderLines = async (practiceId, supplierId, requested) => {
+  let lines
+  if (Array.isArray(requested)) {
+    lines = []
+    for (const line of requested) {
+      const quantity = Number(line.quantity)
+      if (quantity === 0) continue
+      if (!Number.isInteger(quantity) || quantity < 0) {
+        const err = new Error(`Invalid quantity for item ID ${line.inventory_id}`)
+        err.statusCode = 400
+        throw err
+      }
+      const { rows } = await pool.query(
+        'SELECT id, name, unit FROM inventory WHERE id = $1 AND practice_id = $2',
+        [line.inventory_id, practiceId]
+      )
+      if (rows.length === 0) {
+        const err = new Error(`Unauthorized access to item ID ${line.inventory_id}`)
+        err.statusCode = 403
+        throw err
+      }
+      lines.push({ inventory_id: rows[0].id, name: rows[0].name, unit: rows[0].unit, quantity })
+    }
+  } else {
+    const shortages = await findLowStockShortages(pool, practiceId, supplierId)
+    lines = shortages.map(({ inventory_id, name, unit, quantity }) => ({ inventory_id, name, unit, quantity }))
+  }
+
+  const { rows: catalog } = await pool.query(
+    'SELECT inventory_id, sku FROM supplier_catalog_items WHERE supplier_id = $1 AND practice_id = $2',
+    [supplierId, practiceId]
+  )
+  const skus = new Map(catalog.map((row) => [row.inventory_id, row.sku]))
+  return lines.map((line) => ({ sku: skus.get(line.inventory_id) ?? null, ...line }))
+}
+
+/**
+ * ✅ Draft order email for a supplier: below-threshold items with suggested quantities
+ */
+router.get('/:id/order-email', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Supplier not found' })
+    }
+
+    const lines = await buildOrderLines(practiceId, rows[0].id)
+    res.json({ supplier_id: rows[0].id, to: rows[0].email, lines })
+  } catch (err) {
+    console.error('Error building order email draft:', err)
+    res.status(500).json({ error: 'Could not build order email' })
+  }
+})
+
+/**
+ * ✅ Email an order request (HTML + CSV) to a supplier and log it
+ * Body: { lines?: [{ inventory_id, quantity }], notes?, to? } — lines default to the draft above
+ */
+router.post('/:id/order-email', requirePermission(PERMISSIONS.SUPPLIERS_MANAGE), async (req, res) => {
+  const { lines: requested, notes, to } = req.body
+  const practiceId = req.practice.id
+
+  try {
+    const { rows } = await pool.query(
+      'SELECT * FROM suppliers WHERE id = $1 AND practice_id = $2',
+      [req.params.id, practiceId]
+    )
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Supplier not found' })
+    }
+    const supplier = rows[0]
+
+    const recipient = to || supplier.email
+    if (!recipient) {
+      return res.status(400).json({ error: 'Supplier has no email address' })
+    }
+
+    const lines = await buildOrderLines(practiceId, supplier.id, requested)
+    if (lines.length === 0) {
+      return res.status(400).json({ error: 'Nothing to order' })
+    }
+
+    const { rows: userRows } = await pool.query(
+      'SELECT email FROM users WHERE id = $1',
+      [req.user.id]
+    )
+    const email = buildOrderEmail({
+      supplier,
+      practiceName: req.practice.name,
+      lines,
+      notes,
+    })
+
+    let status = 'sent'
+    let providerId = null
+    let sendError = null
+    try {
+      const result = await sendEmail({
+        to: recipient,
+        replyTo: userRows[0]?.email,
+        subject: email.subject,
+        html: email.html,
+        text: email.text,
+        attachments: [{ filename: email.filename, content: email.csv, contentType: 'text/csv' }],
+      })
+      providerId = result?.id ?? null
+    } catch (err) {
+      console.error('Order email send failed:', err.message)
+      status = 'failed'
+      sendError = err.message
+    }
+
+    const logged = await pool.query(
+      `INSERT INTO supplier_order_emails
+         (practice_id, user_id, supplier_id, sent_to, subject, lines, notes, status, provider_message_id, error, sent_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $2)
+       RETURNING *`,
+      [practiceId, req.user.id, supplier.id, recipient, email.subject, JSON.stringify(lines), notes || null, status, providerId, sendError]
+    )
+
+    if (status === 'failed') {
+      return res.status(502).json({ error: 'Could not send order email', order_email: logged.rows[0] })
+    }
+    res.json(logged.rows[0])
+  } catch (err) {
+    console.error('Error sending order email:', err)
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    res.status(500).json({ error: 'Could not send order email' })
+  }
+})
+
+/**
+ * ✅ Order emails previously sent to a supplier, newest first
+ */
+router.get('/:id/order-emails', async (req, res) => {
+  const practiceId = req.practice.id
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM supplier_order_emails
+       WHERE supplier_id = $1 AND practice_id = $2
+       ORDER BY sent_at DESC`,
+      [req.params.id, practiceId]
+    )
+    res.json(result.rows)
+  } catch (err) {
+    console.error('Error fetching order emails:', err)
+    res.status(500).json({ error: 'Could not fetch order emails' })
+  }
+})
+
 export default router
@@ -2,13 +2,14 @@
 import express from 'express'
 import pool from '../db/index.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../auth/permissions.js'
 
 const router = express.Router()
 router.use(verifyToken)
 
-// ✅ Get all supplies for the logged-in user
+// ✅ Get all supplies for the current practice
 router.get('/', async (req, res) => {
-  const user_id = req.user.id
+  const practiceId = req.practice.id
 
   try {
     const result = await pool.query(
@@ -16,9 +17,9 @@ router.get('/', async (req, res) => {
        FROM supplies s
        LEFT JOIN inventory_categories c ON s.category_id = c.id
        LEFT JOIN suppliers sup ON s.supplier_id = sup.id
-       WHERE s.user_id = $1
+       WHERE s.practice_id = $1
        ORDER BY s.id`,
-      [user_id]
+      [practiceId]
     )
     res.json(result.rows)
   } catch (err) {
@@ -29,7 +30,7 @@ router.get('/', async (req, res) => {
 
 // ✅ Fetch supplies with inventory breakdown
 router.get('/full', async (req, res) => {
-  const user_id = req.user.id
+  const practiceId = req.practice.id
   const { sortBy } = req.query
 
   let orderClause = 'ORDER BY s.name ASC'
@@ -53,10 +54,10 @@ router.get('/full', async (req, res) => {
        LEFT JOIN inventory_categories c ON s.category_id = c.id
        LEFT JOIN suppliers sp ON s.supplier_id = sp.id
        LEFT JOIN inventory inv ON s.id = inv.supply_id
-       WHERE s.user_id = $1
+       WHERE s.practice_id = $1
        GROUP BY s.id, c.name, sp.name
        ${orderClause}`,
-      [user_id]
+      [practiceId]
     )
 
     res.json(result.rows)
@@ -67,8 +68,7 @@ router.get('/full', async (req, res) => {
 })
 
 // ✅ Add a new supply
-router.post('/', async (req, res) => {
-  const user_id = req.user.id
+router.post('/', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const {
     name,
     category_id,
@@ -85,10 +85,10 @@ router.post('/', async (req, res) => {
   try {
     const result = await pool.query(
       `INSERT INTO supplies
-       (user_id, name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, barcode)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       (practice_id, user_id, name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, barcode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
        RETURNING *`,
-      [user_id, name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, cleanedBarcode]
+      [req.practice.id, req.user.id, name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, cleanedBarcode]
     )
     res.json(result.rows[0])
   } catch (err) {
@@ -98,7 +98,7 @@ router.post('/', async (req, res) => {
 })
 
 // ✅ Update a supply
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   const {
     name,
@@ -124,9 +124,9 @@ router.put('/:id', async (req, res) => {
            unit = $6,
            low_stock_threshold = $7,
            barcode = $8
-       WHERE id = $9
+       WHERE id = $9 AND practice_id = $10
        RETURNING *`,
-      [name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, cleanedBarcode, id]
+      [name, category_id, supplier_id, quantity, cost_per_unit, unit, low_stock_threshold, cleanedBarcode, id, req.practice.id]
     )
 
     if (result.rows.length === 0) {
@@ -141,7 +141,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // ✅ Delete a supply (safe deletion)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const { id } = req.params
   const client = await pool.connect()
 
@@ -160,7 +160,7 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
-    await client.query('DELETE FROM supplies WHERE id = $1', [id])
+    await client.query('DELETE FROM supplies WHERE id = $1 AND practice_id = $2', [id, req.practice.id])
     await client.query('COMMIT')
     res.json({ success: true })
   } catch (err) {
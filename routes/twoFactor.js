@@ -0,0 +1,91 @@
+// 📁 routes/twoFactor.js
+// Two-factor settings for the logged-in user, mounted at /api/users/2fa.
+// The code step of login itself lives with /login in routes/users.js.
+import express from 'express'
+import pool from '../db/index.js'
+import { verifyToken } from '../auth/verifyToken.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+import {
+  getTwoFactorStatus,
+  startEnrollment,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} from '../services/twoFactor.js'
+import {
+  checkTwoFactor,
+  recordTwoFactorFailure,
+  recordTwoFactorSuccess,
+  sendRateLimited,
+} from '../services/loginProtection.js'
+
+const router = express.Router()
+router.use(verifyToken)
+
+// 🛡️ Wrong codes count against the user's two-factor rate limit
+const limitCodeAttempts = asyncHandler(async (req, res, next) => {
+  const limit = await checkTwoFactor(req.user.id)
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit, 'authentication codes')
+  }
+  next()
+})
+
+// Runs a code-checking step in a transaction and records how it went
+const withCodeCheck = async (userId, fn) => {
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const result = await fn(client)
+    await client.query('COMMIT')
+    await recordTwoFactorSuccess(userId)
+    return result
+  } catch (err) {
+    await client.query('ROLLBACK')
+    if (err.statusCode === 401) {
+      await recordTwoFactorFailure(userId)
+    }
+    throw err
+  } finally {
+    client.release()
+  }
+}
+
+// ✅ GET /api/users/2fa — is 2FA on, and how many recovery codes are left
+router.get('/', asyncHandler(async (req, res) => {
+  res.json(await getTwoFactorStatus(pool, req.user.id))
+}))
+
+// ✅ POST /api/users/2fa/setup — new secret and otpauth:// URI for the authenticator app
+router.post('/setup', asyncHandler(async (req, res) => {
+  res.json(await startEnrollment(pool, req.user.id))
+}))
+
+// ✅ POST /api/users/2fa/enable — confirm the first code; returns recovery codes once
+// Body: { code }
+router.post('/enable', limitCodeAttempts, asyncHandler(async (req, res) => {
+  const recoveryCodes = await withCodeCheck(req.user.id, (client) =>
+    enableTwoFactor(client, req.user.id, req.body.code)
+  )
+  res.json({ enabled: true, recovery_codes: recoveryCodes })
+}))
+
+// ✅ POST /api/users/2fa/disable — turn 2FA off
+// Body: { code } or { recovery_code }
+router.post('/disable', limitCodeAttempts, asyncHandler(async (req, res) => {
+  await withCodeCheck(req.user.id, (client) =>
+    disableTwoFactor(client, req.user.id, { code: req.body.code, recoveryCode: req.body.recovery_code })
+  )
+  res.json({ enabled: false })
+}))
+
+// ✅ POST /api/users/2fa/recovery-codes — replace every recovery code
+// Body: { code }
+router.post('/recovery-codes', limitCodeAttempts, asyncHandler(async (req, res) => {
+  const recoveryCodes = await withCodeCheck(req.user.id, (client) =>
+    regenerateRecoveryCodes(client, req.user.id, req.body.code)
+  )
+  res.json({ recovery_codes: recoveryCodes })
+}))
+
+export default router
@@ -3,9 +3,81 @@ import pool from '../db/index.js'
 import jwt from 'jsonwebtoken'
 import { hashPassword, comparePasswords } from '../auth/hash.js'
 import { verifyToken } from '../auth/verifyToken.js'
+import { assertPasswordPolicy } from '../auth/passwordPolicy.js'
+import { createPractice } from '../services/practices.js'
+import { setPassword } from '../services/passwords.js'
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  createSession,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+  revokeSessionByRefreshToken,
+} from '../services/sessions.js'
+import {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkTwoFactor,
+  checkVerificationResend,
+  recordTwoFactorFailure,
+  recordTwoFactorSuccess,
+  sendRateLimited,
+} from '../services/loginProtection.js'
+import {
+  requiresSecondFactor,
+  createLoginChallenge,
+  readLoginChallenge,
+  verifySecondFactor,
+} from '../services/twoFactor.js'
+import { sendLockoutEmail, sendVerificationEmail } from '../services/emailService.js'
+import { verificationLink, verifyEmailToken } from '../services/emailVerification.js'
 
 const router = express.Router()
 
+const COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'Lax',
+  path: '/',
+}
+
+// 🍪 Short-lived access token plus the refresh token that renews it
+const setAuthCookies = (res, { accessToken, refreshToken, refreshExpiresAt }) => {
+  res.cookie('authToken', accessToken, { ...COOKIE_OPTIONS, maxAge: ACCESS_TOKEN_TTL_SECONDS * 1000 })
+  res.cookie('refreshToken', refreshToken, { ...COOKIE_OPTIONS, expires: refreshExpiresAt })
+}
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('authToken', COOKIE_OPTIONS)
+  res.clearCookie('refreshToken', COOKIE_OPTIONS)
+}
+
+const deviceOf = (req) => ({ userAgent: req.get('user-agent') ?? null, ip: req.ip ?? null })
+
+// 🔓 Start a session and answer with the user, as the last step of login
+const completeLogin = async (req, res, user) => {
+  const session = await createSession(pool, user, deviceOf(req))
+  setAuthCookies(res, session)
+
+  res.json({
+    user: {
+      id: user.id,
+      email: user.email,
+      practice_name: user.practice_name,
+      is_paid: user.is_paid,
+      dark_mode: user.dark_mode,
+      email_verified: Boolean(user.email_verified_at),
+    },
+  })
+}
+
+// ✉️ Mail the verification link; a failed send only means the user has to ask for another
+const sendVerificationLink = (user) =>
+  sendVerificationEmail(user.email, verificationLink(user))
+    .catch((err) => console.error('Could not send verification email:', err.message))
+
 // ✅ TEST: Simple cookie test endpoint (no auth required)
 router.get('/test-cookie', (req, res) => {
   
@@ -25,7 +97,9 @@ router.get('/me', verifyToken, async (req, res) => {
 
   try {
     const result = await pool.query(
-      'SELECT id, email, practice_name, is_paid, dark_mode FROM users WHERE id = $1',
+      `SELECT id, email, practice_name, is_paid, dark_mode,
+              email_verified_at IS NOT NULL AS email_verified
+       FROM users WHERE id = $1`,
       [userId]
     )
 
@@ -33,7 +107,7 @@ router.get('/me', verifyToken, async (req, res) => {
       return res.status(404).json({ error: 'User not found' })
     }
 
-    res.json({ user: result.rows[0] })
+    res.json({ user: result.rows[0], practice: req.practice })
   } catch (err) {
     console.error('Error fetching /me user:', err)
     res.status(500).json({ error: 'Could not fetch user info' })
@@ -49,6 +123,12 @@ router.post('/register', async (req, res) => {
   const { password, practice_name } = req.body
   const email = req.body.email.toLowerCase()
 
+  try {
+    assertPasswordPolicy(password, { email })
+  } catch (err) {
+    return res.status(err.statusCode).json({ error: err.message })
+  }
+
   const client = await pool.connect()
 
   try {
@@ -57,20 +137,20 @@ router.post('/register', async (req, res) => {
     const hashed = await hashPassword(password)
 
     const result = await client.query(
-      'INSERT INTO users (email, password_hash, practice_name) VALUES ($1, $2, $3) RETURNING id, email, practice_name',
+      `INSERT INTO users (email, password_hash, practice_name) VALUES ($1, $2, $3)
+       RETURNING id, email, practice_name, email_verified_at IS NOT NULL AS email_verified`,
       [email, hashed, practice_name]
     )
 
     const newUser = result.rows[0]
 
-    // ✅ Insert default "Common Area" location for this user
-    await client.query(
-      'INSERT INTO locations (user_id, name, protected) VALUES ($1, $2, $3)',
-      [newUser.id, 'Common Area', true]
-    )
+    // ✅ Every new user starts out owning their own practice (with its Common Area)
+    await createPractice(client, { name: practice_name || email, ownerId: newUser.id })
 
     await client.query('COMMIT')
 
+    await sendVerificationLink(newUser)
+
     res.json(newUser)
   } catch (err) {
     await client.query('ROLLBACK')
@@ -88,56 +168,91 @@ router.post('/register', async (req, res) => {
 
 
 
+// ✅ POST /verify-email — confirm the address from the emailed link
+// Body: { token }
+router.post('/verify-email', async (req, res) => {
+  const { token } = req.body
+  if (!token) {
+    return res.status(400).json({ error: 'Verification token is required' })
+  }
+
+  try {
+    const user = await verifyEmailToken(pool, token)
+    res.json({ email: user.email, email_verified: true })
+  } catch (err) {
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    console.error('Error verifying email:', err)
+    res.status(500).json({ error: 'Could not verify email' })
+  }
+})
+
+// ✅ POST /verify-email/resend — mail a fresh verification link to the logged-in user
+router.post('/verify-email/resend', verifyToken, async (req, res) => {
+  try {
+    const { rows } = await pool.query('SELECT id, email, email_verified_at FROM users WHERE id = $1', [req.user.id])
+    const user = rows[0]
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' })
+    }
+    if (user.email_verified_at) {
+      return res.status(409).json({ error: 'Email is already verified' })
+    }
+
+    const limit = await checkVerificationResend(user.id)
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit, 'verification emails')
+    }
+
+    await sendVerificationEmail(user.email, verificationLink(user))
+    res.json({ message: 'Verification email sent' })
+  } catch (err) {
+    console.error('Error resending verification email:', err)
+    res.status(500).json({ error: 'Could not send verification email' })
+  }
+})
+
 // ✅ LOGIN existing user
 router.post('/login', async (req, res) => {
   const { password } = req.body
   const email = req.body.email.toLowerCase()
 
-  console.log('📥 Login attempt:', { email, password })
+  console.log('📥 Login attempt:', { email })
 
   try {
+    // 🛡️ Slow down and lock out repeated failures by email and by IP
+    const limit = await checkLogin({ email, ip: req.ip })
+    if (!limit.allowed) {
+      return sendRateLimited(res, limit, 'login attempts')
+    }
+
     // Case-insensitive lookup
     const result = await pool.query(
       'SELECT * FROM users WHERE LOWER(email) = $1',
       [email]
     )
 
-    if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid credentials' })
-    }
-
     const user = result.rows[0]
-    const isMatch = await comparePasswords(password, user.password_hash)
+    const isMatch = user ? await comparePasswords(password, user.password_hash) : false
 
     if (!isMatch) {
+      const failure = await recordLoginFailure({ email, ip: req.ip })
+      if (failure.accountLockedNow && user) {
+        await sendLockoutEmail(user.email, { lockedUntil: failure.lockedUntil, ip: req.ip })
+          .catch((err) => console.error('Could not send lockout email:', err.message))
+      }
       return res.status(401).json({ error: 'Invalid credentials' })
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '8h' }
-    )
-
-    res.cookie('authToken', token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'Lax',
-      maxAge: 8 * 60 * 60 * 1000, // 8 hours
-      path: '/',
-    })
+    await recordLoginSuccess({ email })
 
-    const responsePayload = {
-      user: {
-        id: user.id,
-        email: user.email,
-        practice_name: user.practice_name,
-        is_paid: user.is_paid,
-        dark_mode: user.dark_mode,
-      },
+    // 🔐 With 2FA on, the password only earns a challenge for /login/2fa
+    if (requiresSecondFactor(user)) {
+      return res.json({ two_factor_required: true, challenge_token: createLoginChallenge(user) })
     }
 
-    res.json(responsePayload)
+    await completeLogin(req, res, user)
   } catch (err) {
     console.error('Login error:', err)
     res.status(500).json({ error: 'Login failed' })
@@ -147,6 +262,159 @@ router.post('/login', async (req, res) => {
 
 
 
+// ✅ POST /login/2fa — second step of login for users with 2FA on
+// Body: { challenge_token, code } or { challenge_token, recovery_code }
+router.post('/login/2fa', async (req, res) => {
+  const { challenge_token, code, recovery_code } = req.body
+
+  let userId
+  try {
+    userId = readLoginChallenge(challenge_token)
+  } catch (err) {
+    return res.status(err.statusCode).json({ error: err.message })
+  }
+
+  const limit = await checkTwoFactor(userId)
+  if (!limit.allowed) {
+    return sendRateLimited(res, limit, 'authentication codes')
+  }
+
+  const client = await pool.connect()
+  let user
+  try {
+    await client.query('BEGIN')
+    await verifySecondFactor(client, userId, { code, recoveryCode: recovery_code })
+    const { rows } = await client.query('SELECT * FROM users WHERE id = $1', [userId])
+    await client.query('COMMIT')
+    user = rows[0]
+  } catch (err) {
+    await client.query('ROLLBACK')
+    if (err.statusCode) {
+      if (err.statusCode === 401) await recordTwoFactorFailure(userId)
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    console.error('Two-factor login error:', err)
+    return res.status(500).json({ error: 'Login failed' })
+  } finally {
+    client.release()
+  }
+
+  try {
+    await recordTwoFactorSuccess(userId)
+    await completeLogin(req, res, user)
+  } catch (err) {
+    console.error('Two-factor login error:', err)
+    res.status(500).json({ error: 'Login failed' })
+  }
+})
+
+// ✅ POST /refresh — trade the refresh token for new tokens (the old one stops working)
+router.post('/refresh', async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refresh_token
+  if (!refreshToken) {
+    return res.status(401).json({ error: 'No refresh token provided' })
+  }
+
+  try {
+    const session = await rotateSession(pool, refreshToken, deviceOf(req))
+    setAuthCookies(res, session)
+    res.json({ success: true })
+  } catch (err) {
+    if (err.statusCode) {
+      clearAuthCookies(res)
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    console.error('Error refreshing session:', err)
+    res.status(500).json({ error: 'Could not refresh session' })
+  }
+})
+
+// ✅ GET /sessions — where the user is logged in
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    res.json(await listSessions(pool, req.user.id, req.user.sid))
+  } catch (err) {
+    console.error('Error listing sessions:', err)
+    res.status(500).json({ error: 'Could not list sessions' })
+  }
+})
+
+// ✅ DELETE /sessions/:id — log one device out
+router.delete('/sessions/:id', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeSession(pool, req.user.id, req.params.id)
+    if (!revoked) {
+      return res.status(404).json({ error: 'Session not found' })
+    }
+    if (Number(req.params.id) === req.user.sid) {
+      clearAuthCookies(res)
+    }
+    res.json({ success: true })
+  } catch (err) {
+    console.error('Error revoking session:', err)
+    res.status(500).json({ error: 'Could not revoke session' })
+  }
+})
+
+// ✅ POST /change-password — needs the current password; other devices are logged out
+// Body: { current_password, new_password }
+router.post('/change-password', verifyToken, async (req, res) => {
+  const { current_password, new_password } = req.body
+  if (!current_password || !new_password) {
+    return res.status(400).json({ error: 'Current and new password required' })
+  }
+
+  const client = await pool.connect()
+  try {
+    await client.query('BEGIN')
+    const { rows } = await client.query(
+      'SELECT id, email, password_hash FROM users WHERE id = $1 FOR UPDATE',
+      [req.user.id]
+    )
+    const user = rows[0]
+
+    // 🛡️ Guessing the current password counts as failed logins for the account
+    const attempt = { email: user.email.toLowerCase(), ip: req.ip }
+    const limit = await checkLogin(attempt)
+    if (!limit.allowed) {
+      await client.query('ROLLBACK')
+      return sendRateLimited(res, limit, 'password attempts')
+    }
+    if (!(await comparePasswords(current_password, user.password_hash))) {
+      await client.query('ROLLBACK')
+      await recordLoginFailure(attempt)
+      return res.status(400).json({ error: 'Current password is incorrect' })
+    }
+
+    await setPassword(client, user, new_password, { keepSessionId: req.user.sid })
+    await client.query('COMMIT')
+
+    await recordLoginSuccess(attempt)
+    res.json({ message: 'Password updated successfully' })
+  } catch (err) {
+    await client.query('ROLLBACK')
+    if (err.statusCode) {
+      return res.status(err.statusCode).json({ error: err.message })
+    }
+    console.error('Error changing password:', err)
+    res.status(500).json({ error: 'Could not change password' })
+  } finally {
+    client.release()
+  }
+})
+
+// ✅ POST /logout-all — log out everywhere, this device included
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(pool, req.user.id, 'logout_all')
+    clearAuthCookies(res)
+    res.json({ success: true, revoked })
+  } catch (err) {
+    console.error('Error revoking sessions:', err)
+    res.status(500).json({ error: 'Could not log out everywhere' })
+  }
+})
+
 // ✅ GET user by ID (for re-fetching after Stripe checkout success)
 router.get('/:userId', verifyToken, async (req, res) => {
   const { userId } = req.params
@@ -170,14 +438,26 @@ router.get('/:userId', verifyToken, async (req, res) => {
 })
 
 
-// ✅ LOGOUT: Clear httpOnly cookie
-router.post('/logout', (req, res) => {
-  res.clearCookie('authToken', {
-    httpOnly: true,
-    secure: true,
-    sameSite: 'Lax', 
-    path: '/', // <-- match the same path used in res.cookie
-  })
+// ✅ LOGOUT: End this session server-side and clear the cookies
+router.post('/logout', async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken || req.body?.refresh_token
+
+  try {
+    if (refreshToken) {
+      await revokeSessionByRefreshToken(pool, refreshToken)
+    } else {
+      // Clients that only hold an access token end the session it names
+      const bearer = req.headers.authorization?.startsWith('Bearer ') ? req.headers.authorization.slice(7) : null
+      const accessToken = req.cookies?.authToken || bearer
+      const decoded = accessToken ? jwt.verify(accessToken, process.env.JWT_SECRET) : null
+      if (decoded?.sid) {
+        await revokeSession(pool, decoded.id, decoded.sid, 'logout')
+      }
+    }
+  } catch (err) {
+    console.error('Error ending session on logout:', err)
+  }
+  clearAuthCookies(res)
   res.json({ success: true })
 })
 
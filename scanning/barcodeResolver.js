@@ -0,0 +1,90 @@
+// 📁 scanning/barcodeResolver.js
+// Resolve a scanned code to an inventory item through its primary barcode,
+// any alias in inventory_barcodes, or the GTIN inside a GS1 scan.
+import { parseGS1, gtinCandidates } from './gs1.js'
+
+/**
+ * Find the item a set of barcode strings belongs to
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {string[]} codes
+ * @returns {Promise<{ item: Object, alias: Object|null }|null>}
+ */
+const findByCodes = async (db, practiceId, codes) => {
+  const primary = await db.query(
+    'SELECT * FROM inventory WHERE barcode = ANY($1) AND practice_id = $2 LIMIT 1',
+    [codes, practiceId]
+  )
+  if (primary.rows.length > 0) {
+    return { item: primary.rows[0], alias: null }
+  }
+
+  const aliased = await db.query(
+    `SELECT inv.*,
+       ib.id AS alias_id,
+       ib.barcode AS alias_barcode,
+       ib.pack_quantity AS alias_pack_quantity,
+       ib.label AS alias_label
+     FROM inventory_barcodes ib
+     JOIN inventory inv ON ib.inventory_id = inv.id
+     WHERE ib.barcode = ANY($1) AND ib.practice_id = $2
+     LIMIT 1`,
+    [codes, practiceId]
+  )
+  if (aliased.rows.length > 0) {
+    const { alias_id, alias_barcode, alias_pack_quantity, alias_label, ...item } = aliased.rows[0]
+    return {
+      item,
+      alias: { id: alias_id, barcode: alias_barcode, pack_quantity: alias_pack_quantity, label: alias_label },
+    }
+  }
+
+  return null
+}
+
+/**
+ * Resolve a scan to an inventory item.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {string} barcode - Raw scan
+ * @returns {Promise<{ item: Object|null, alias: Object|null, gs1: Object|null, packQuantity: number }>}
+ */
+export async function resolveBarcode(db, practiceId, barcode) {
+  const exact = await findByCodes(db, practiceId, [barcode])
+  if (exact) {
+    return { ...exact, gs1: null, packQuantity: exact.alias?.pack_quantity ?? 1 }
+  }
+
+  const gs1 = parseGS1(barcode)
+  if (gs1?.gtin) {
+    const byGtin = await findByCodes(db, practiceId, gtinCandidates(gs1.gtin))
+    if (byGtin) {
+      return { ...byGtin, gs1, packQuantity: byGtin.alias?.pack_quantity ?? 1 }
+    }
+  }
+
+  return { item: null, alias: null, gs1, packQuantity: 1 }
+}
+
+/**
+ * Which item (if any other than exceptInventoryId) already uses a barcode,
+ * either as its primary code or as an alias
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {string} barcode
+ * @param {number} [exceptInventoryId]
+ * @returns {Promise<{ id: number, name: string }|null>}
+ */
+export async function findBarcodeConflict(db, practiceId, barcode, exceptInventoryId = null) {
+  const { rows } = await db.query(
+    `SELECT inv.id, inv.name FROM inventory inv
+     WHERE inv.practice_id = $1 AND inv.barcode = $2 AND ($3::int IS NULL OR inv.id <> $3)
+     UNION ALL
+     SELECT inv.id, inv.name FROM inventory_barcodes ib
+     JOIN inventory inv ON ib.inventory_id = inv.id
+     WHERE ib.practice_id = $1 AND ib.barcode = $2 AND ($3::int IS NULL OR inv.id <> $3)
+     LIMIT 1`,
+    [practiceId, barcode, exceptInventoryId]
+  )
+  return rows[0] ?? null
+}
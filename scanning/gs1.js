@@ -0,0 +1,185 @@
+// 📁 scanning/gs1.js
+// GS1 element string parser for GS1-128 / GS1 DataMatrix / GS1 QR scans.
+// Handles symbology identifiers (]C1, ]d2, ]Q3, ]e0), FNC1 transmitted as
+// the ASCII group separator, and the human readable "(01)...(17)..." form.
+
+const GROUP_SEPARATOR = '\u001d'
+
+// Application identifiers we understand: fixed `length` or variable up to `max`
+const AI_DEFINITIONS = {
+  '00': { name: 'sscc', length: 18 },
+  '01': { name: 'gtin', length: 14 },
+  '02': { name: 'content_gtin', length: 14 },
+  '10': { name: 'lot_number', max: 20 },
+  '11': { name: 'production_date', length: 6, date: true },
+  '12': { name: 'due_date', length: 6, date: true },
+  '13': { name: 'packaging_date', length: 6, date: true },
+  '15': { name: 'best_before_date', length: 6, date: true },
+  '16': { name: 'sell_by_date', length: 6, date: true },
+  '17': { name: 'expiration_date', length: 6, date: true },
+  '20': { name: 'variant', length: 2 },
+  '21': { name: 'serial_number', max: 20 },
+  '22': { name: 'consumer_product_variant', max: 20 },
+  '240': { name: 'additional_product_id', max: 30 },
+  '241': { name: 'customer_part_number', max: 30 },
+  '30': { name: 'count', max: 8 },
+  '37': { name: 'count_of_trade_items', max: 8 },
+  '400': { name: 'order_number', max: 30 },
+  '7003': { name: 'expiration_datetime', length: 10 },
+  '710': { name: 'nhrn_pzn', max: 20 },
+  '711': { name: 'nhrn_cip', max: 20 },
+  '712': { name: 'nhrn_cn', max: 20 },
+  '713': { name: 'nhrn_drn', max: 20 },
+}
+
+// Measures (310n-369n) are 4-digit AIs with 6 fixed digits; 90-99 are company internal
+const lookupAI = (data, pos) => {
+  for (const len of [2, 3, 4]) {
+    const ai = data.substr(pos, len)
+    if (AI_DEFINITIONS[ai]) return { ai, ...AI_DEFINITIONS[ai] }
+  }
+  const four = data.substr(pos, 4)
+  if (/^3[1-6]\d\d$/.test(four)) return { ai: four, name: `measure_${four}`, length: 6 }
+  const two = data.substr(pos, 2)
+  if (/^9\d$/.test(two)) return { ai: two, name: `internal_${two}`, max: 90 }
+  return null
+}
+
+/**
+ * Convert a GS1 YYMMDD date to YYYY-MM-DD.
+ * Century follows the GS1 general specifications sliding window; a day of
+ * "00" means the last day of the month.
+ * @param {string} yymmdd
+ * @param {Date} [today]
+ * @returns {string|null}
+ */
+export function gs1DateToISO(yymmdd, today = new Date()) {
+  if (!/^\d{6}$/.test(yymmdd)) return null
+  const yy = parseInt(yymmdd.slice(0, 2), 10)
+  const mm = parseInt(yymmdd.slice(2, 4), 10)
+  let dd = parseInt(yymmdd.slice(4, 6), 10)
+  if (mm < 1 || mm > 12) return null
+
+  const currentYear = today.getUTCFullYear()
+  const currentCentury = Math.floor(currentYear / 100) * 100
+  const diff = yy - (currentYear % 100)
+  let year = currentCentury + yy
+  if (diff >= 51) year -= 100
+  else if (diff <= -50) year += 100
+
+  const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate()
+  if (dd === 0) dd = lastDay
+  if (dd > lastDay) return null
+
+  return `${year}-${String(mm).padStart(2, '0')}-${String(dd).padStart(2, '0')}`
+}
+
+/**
+ * Strip symbology identifiers and normalise the human-readable form to a raw
+ * element string with GS separators.
+ * @param {string} input
+ * @returns {{ data: string, explicit: boolean }} explicit = input was unambiguously GS1
+ */
+const normalise = (input) => {
+  let data = String(input).trim()
+  let explicit = false
+
+  const symbology = data.match(/^\](C1|d2|Q3|e0|J1)/)
+  if (symbology) {
+    data = data.slice(3)
+    explicit = true
+  }
+
+  // Human readable: (01)00312345678906(17)250101(10)ABC
+  if (data.startsWith('(')) {
+    const parts = [...data.matchAll(/\((\d{2,4})\)([^(]*)/g)]
+    if (parts.length === 0) return { data, explicit }
+    data = parts.map(([, ai, value]) => {
+      const def = lookupAI(ai, 0)
+      return def && def.length ? `${ai}${value}` : `${ai}${value}${GROUP_SEPARATOR}`
+    }).join('')
+    explicit = true
+  }
+
+  if (data.includes(GROUP_SEPARATOR)) explicit = true
+  if (data.startsWith(GROUP_SEPARATOR)) data = data.slice(1)
+
+  return { data, explicit }
+}
+
+/**
+ * Parse a scanned GS1 barcode into its application identifiers.
+ * Returns null when the input is not a GS1 element string (e.g. a plain
+ * UPC/EAN), so callers can fall back to an exact barcode match.
+ * @param {string} input - Raw scan
+ * @returns {Object|null} { gtin, lot_number, expiration_date, serial_number, elements }
+ */
+export function parseGS1(input) {
+  if (!input) return null
+  const { data, explicit } = normalise(input)
+
+  const elements = {}
+  let pos = 0
+
+  while (pos < data.length) {
+    if (data[pos] === GROUP_SEPARATOR) {
+      pos += 1
+      continue
+    }
+
+    const def = lookupAI(data, pos)
+    if (!def) return null
+    pos += def.ai.length
+
+    let value
+    if (def.length) {
+      value = data.substr(pos, def.length)
+      if (value.length !== def.length) return null
+      pos += def.length
+    } else {
+      const end = data.indexOf(GROUP_SEPARATOR, pos)
+      const stop = end === -1 ? data.length : end
+      value = data.slice(pos, stop)
+      if (value.length === 0 || value.length > def.max) return null
+      pos = stop
+    }
+
+    elements[def.ai] = { name: def.name, value }
+  }
+
+  // Without a symbology identifier, separator or brackets only trust strings
+  // that lead with a GTIN/SSCC — plain UPC/EAN codes are all digits too.
+  if (!explicit && !elements['01'] && !elements['00']) return null
+  if (Object.keys(elements).length === 0) return null
+
+  const gtin = elements['01']?.value ?? null
+  if (gtin && !/^\d{14}$/.test(gtin)) return null
+
+  return {
+    gtin,
+    lot_number: elements['10']?.value ?? null,
+    expiration_date: elements['17'] ? gs1DateToISO(elements['17'].value) : null,
+    serial_number: elements['21']?.value ?? null,
+    elements: Object.fromEntries(
+      Object.entries(elements).map(([ai, { name, value }]) => [
+        ai,
+        { name, value, ...(AI_DEFINITIONS[ai]?.date ? { date: gs1DateToISO(value) } : {}) },
+      ])
+    ),
+  }
+}
+
+/**
+ * Barcode strings a GTIN-14 may have been stored as: GTIN-14, EAN-13,
+ * UPC-A (12) and EAN-8, derived by dropping leading zeros.
+ * @param {string} gtin - 14 digit GTIN
+ * @returns {string[]}
+ */
+export function gtinCandidates(gtin) {
+  const candidates = [gtin]
+  for (const len of [13, 12, 8]) {
+    const drop = gtin.length - len
+    if (/^0+$/.test(gtin.slice(0, drop))) candidates.push(gtin.slice(drop))
+  }
+  return candidates
+}
@@ -2,6 +2,13 @@
 import express from 'express'
 import pool from '../../db/index.js'
 import { verifyToken } from '../../auth/verifyToken.js'
+import { PERMISSIONS, requirePermission } from '../../auth/permissions.js'
+import { recordMovement, MOVEMENT_TYPES } from '../../services/inventoryLedger.js'
+import { receiveIntoLot, drawFromLots } from '../../services/inventoryLots.js'
+import { parseGS1 } from '../gs1.js'
+import { resolveBarcode, findBarcodeConflict } from '../barcodeResolver.js'
+import { toBaseQuantity } from '../../services/unitConversion.js'
+import { consumeStock } from '../../services/stockConsumption.js'
 
 const router = express.Router()
 router.use(verifyToken)
@@ -9,38 +16,165 @@ router.use(verifyToken)
 //
 // 🔍 Barcode Lookup
 //
+// Matches the primary barcode or any alias; GS1-128 / DataMatrix scans are
+// decoded and matched on their (01) GTIN, and the parsed lot and expiry come
+// back under `gs1` to pre-fill check-in. `pack_quantity` is how many units
+// one scan of this code represents.
 router.get('/lookup/:barcode', verifyToken, async (req, res) => {
   const { barcode } = req.params
-  const userId = req.user?.id
+  const practiceId = req.practice.id
+
+  try {
+    const { item, alias, gs1, packQuantity } = await resolveBarcode(pool, practiceId, barcode)
+
+    if (!item) {
+      return res.status(404).json({ error: 'Barcode not found', ...(gs1 ? { gs1 } : {}) })
+    }
+
+    res.json({
+      ...item,
+      pack_quantity: packQuantity,
+      ...(alias ? { alias } : {}),
+      ...(gs1 ? { gs1 } : {}),
+    })
+  } catch (err) {
+    console.error('Error looking up barcode:', err)
+    res.status(500).json({ error: 'Database error' })
+  }
+})
+
+//
+// 🔗 Assign barcode to existing inventory item
+//
+// Adds an alias instead of replacing the primary barcode. An item without a
+// primary barcode gets this one as its primary (when pack_quantity is 1).
+router.post('/assign', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { inventory_id, barcode, pack_quantity = 1, label } = req.body
+  const practiceId = req.practice.id
+
+  const packQty = Number(pack_quantity)
+  if (!barcode || !inventory_id) {
+    return res.status(400).json({ error: 'inventory_id and barcode are required' })
+  }
+  if (!Number.isInteger(packQty) || packQty <= 0) {
+    return res.status(400).json({ error: 'pack_quantity must be a positive whole number' })
+  }
+
+  try {
+    const { rows: invRows } = await pool.query(
+      'SELECT * FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventory_id, practiceId]
+    )
+    if (invRows.length === 0) {
+      return res.status(403).json({ error: 'Inventory does not belong to current practice.' })
+    }
+
+    const conflict = await findBarcodeConflict(pool, practiceId, barcode)
+    if (conflict) {
+      const message = conflict.id === invRows[0].id
+        ? `Barcode "${barcode}" is already assigned to this item`
+        : `Barcode "${barcode}" is already used by item "${conflict.name}"`
+      return res.status(400).json({ error: message })
+    }
+
+    if (!invRows[0].barcode && packQty === 1) {
+      const result = await pool.query(
+        'UPDATE inventory SET barcode = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+        [barcode, inventory_id]
+      )
+      return res.json(result.rows[0])
+    }
+
+    const alias = await pool.query(
+      `INSERT INTO inventory_barcodes (practice_id, user_id, inventory_id, barcode, pack_quantity, label)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [practiceId, req.user.id, inventory_id, barcode, packQty, label || null]
+    )
+    res.json({ ...invRows[0], alias: alias.rows[0] })
+  } catch (err) {
+    console.error('Error assigning barcode:', err)
+    if (err.code === '23505') {
+      return res.status(400).json({ error: `Barcode "${barcode}" is already in use` })
+    }
+    res.status(500).json({ error: 'Database error' })
+  }
+})
+
+//
+// 📋 List every barcode of an inventory item (primary + aliases)
+//
+router.get('/aliases/:inventoryId', async (req, res) => {
+  const { inventoryId } = req.params
+  const practiceId = req.practice.id
+
+  try {
+    const { rows: invRows } = await pool.query(
+      'SELECT id, barcode FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventoryId, practiceId]
+    )
+    if (invRows.length === 0) {
+      return res.status(404).json({ error: 'Inventory item not found' })
+    }
+
+    const result = await pool.query(
+      'SELECT * FROM inventory_barcodes WHERE inventory_id = $1 AND practice_id = $2 ORDER BY id',
+      [inventoryId, practiceId]
+    )
+    res.json({ primary: invRows[0].barcode, aliases: result.rows })
+  } catch (err) {
+    console.error('Error fetching barcode aliases:', err)
+    res.status(500).json({ error: 'Database error' })
+  }
+})
+
+//
+// ✏️ Update an alias's pack multiplier or label
+//
+router.patch('/aliases/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { id } = req.params
+  const { pack_quantity, label } = req.body
+  const practiceId = req.practice.id
+
+  if (pack_quantity !== undefined && (!Number.isInteger(Number(pack_quantity)) || Number(pack_quantity) <= 0)) {
+    return res.status(400).json({ error: 'pack_quantity must be a positive whole number' })
+  }
 
   try {
     const result = await pool.query(
-      'SELECT * FROM inventory WHERE barcode = $1 AND user_id = $2',
-      [barcode, userId]
+      `UPDATE inventory_barcodes
+       SET pack_quantity = COALESCE($1, pack_quantity), label = COALESCE($2, label)
+       WHERE id = $3 AND practice_id = $4
+       RETURNING *`,
+      [pack_quantity ?? null, label ?? null, id, practiceId]
     )
     if (result.rows.length === 0) {
-      return res.status(404).json({ error: 'Barcode not found' })
+      return res.status(404).json({ error: 'Barcode alias not found' })
     }
     res.json(result.rows[0])
   } catch (err) {
-    console.error('Error looking up barcode:', err)
+    console.error('Error updating barcode alias:', err)
     res.status(500).json({ error: 'Database error' })
   }
 })
 
 //
-// 🔗 Assign barcode to existing inventory item
+// 🗑️ Remove an alias
 //
-router.post('/assign', async (req, res) => {
-  const { inventory_id, barcode } = req.body
+router.delete('/aliases/:id', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
+  const { id } = req.params
+  const practiceId = req.practice.id
+
   try {
     const result = await pool.query(
-      'UPDATE inventory SET barcode = $1 WHERE id = $2 RETURNING *',
-      [barcode, inventory_id]
+      'DELETE FROM inventory_barcodes WHERE id = $1 AND practice_id = $2 RETURNING id',
+      [id, practiceId]
     )
-    res.json(result.rows[0])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Barcode alias not found' })
+    }
+    res.json({ success: true })
   } catch (err) {
-    console.error('Error assigning barcode:', err)
+    console.error('Error deleting barcode alias:', err)
     res.status(500).json({ error: 'Database error' })
   }
 })
@@ -48,9 +182,8 @@ router.post('/assign', async (req, res) => {
 //
 // ➕ Create new inventory item with barcode
 //
-router.post('/create', async (req, res) => {
+router.post('/create', requirePermission(PERMISSIONS.INVENTORY_MANAGE), async (req, res) => {
   const {
-    user_id,
     name,
     category_id,
     supplier_id,
@@ -59,16 +192,40 @@ router.post('/create', async (req, res) => {
     unit,
     barcode,
     location_id,
+    lot_number,
+    expiration_date,
   } = req.body
+  const practiceId = req.practice.id
+
+  if (quantity == null || quantity === '' || !location_id) {
+    return res.status(400).json({ error: 'quantity and location_id are required' })
+  }
 
   const client = await pool.connect()
   try {
+    // 🔐 Location must belong to this practice
+    const { rowCount: locationOk } = await client.query(
+      'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+      [location_id, practiceId]
+    )
+    if (locationOk === 0) {
+      return res.status(403).json({ error: 'Unauthorized: Location does not belong to this practice.' })
+    }
+
     await client.query('BEGIN')
 
+    if (barcode) {
+      const conflict = await findBarcodeConflict(client, practiceId, barcode)
+      if (conflict) {
+        await client.query('ROLLBACK')
+        return res.status(400).json({ error: `Barcode "${barcode}" is already used by item "${conflict.name}"` })
+      }
+    }
+
     const invResult = await client.query(
-      `INSERT INTO inventory (user_id, name, category_id, supplier_id, cost_per_unit, unit, barcode)
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
-      [user_id, name, category_id, supplier_id, cost_per_unit, unit, barcode]
+      `INSERT INTO inventory (practice_id, user_id, name, category_id, supplier_id, cost_per_unit, unit, barcode)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING id`,
+      [practiceId, req.user.id, name, category_id, supplier_id, cost_per_unit, unit, barcode]
     )
 
     const inventory_id = invResult.rows[0].id
@@ -79,6 +236,24 @@ router.post('/create', async (req, res) => {
       [inventory_id, location_id, quantity]
     )
 
+    const lot = await receiveIntoLot(client, {
+      inventoryId: inventory_id,
+      locationId: location_id,
+      lotNumber: lot_number,
+      expirationDate: expiration_date,
+      quantity,
+    })
+
+    await recordMovement(client, {
+      practiceId,
+      inventoryId: inventory_id,
+      locationId: location_id,
+      type: MOVEMENT_TYPES.RECEIVE,
+      quantityChange: quantity,
+      lots: lot ? [lot] : null,
+      createdBy: req.user.id,
+    })
+
     await client.query('COMMIT')
     res.json({ id: inventory_id, name })
   } catch (err) {
@@ -93,13 +268,46 @@ router.post('/create', async (req, res) => {
 //
 // 📥 Scan Check-In (adds to location_inventory)
 //
-router.post('/checkin', async (req, res) => {
-  const { inventory_id, quantity, location_id } = req.body
+// Lot and expiry may be sent explicitly or left to the raw GS1 `barcode` scan.
+// When `barcode` is an alias with a pack multiplier (e.g. case = 10 boxes),
+// `quantity` counts scans of that code and is multiplied automatically.
+// Otherwise `quantity_unit` names the unit `quantity` is in (default: base unit).
+router.post('/checkin', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { inventory_id, quantity, location_id, barcode, quantity_unit } = req.body
+  const gs1 = barcode ? parseGS1(barcode) : null
+  const lot_number = req.body.lot_number || gs1?.lot_number
+  const expiration_date = req.body.expiration_date || gs1?.expiration_date
   const client = await pool.connect()
 
   try {
-    const qty = parseInt(quantity, 10)
-    if (isNaN(qty)) return res.status(400).json({ error: 'Invalid quantity' })
+    const scannedQty = parseInt(quantity, 10)
+    if (isNaN(scannedQty)) return res.status(400).json({ error: 'Invalid quantity' })
+
+    // 🔐 Item and location must belong to this practice
+    const practiceId = req.practice.id
+    const { rowCount: inventoryOk } = await client.query(
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventory_id, practiceId]
+    )
+    if (inventoryOk === 0) {
+      return res.status(403).json({ error: 'Unauthorized: Inventory does not belong to this practice.' })
+    }
+    const { rowCount: locationOk } = await client.query(
+      'SELECT 1 FROM locations WHERE id = $1 AND practice_id = $2',
+      [location_id, practiceId]
+    )
+    if (locationOk === 0) {
+      return res.status(403).json({ error: 'Unauthorized: Location does not belong to this practice.' })
+    }
+
+    let packQuantity = 1
+    if (barcode) {
+      const resolved = await resolveBarcode(client, practiceId, barcode)
+      if (resolved.item && String(resolved.item.id) === String(inventory_id)) {
+        packQuantity = resolved.packQuantity
+      }
+    }
+    const qty = (await toBaseQuantity(client, inventory_id, scannedQty, quantity_unit)) * packQuantity
 
     await client.query('BEGIN')
 
@@ -116,6 +324,16 @@ router.post('/checkin', async (req, res) => {
       return res.status(400).json({ error: 'Insufficient quantity at location' })
     }
 
+    // 🏷️ A negative check-in takes stock back out, first-expiring first
+    let lots = null
+    if (qty < 0 && result.rowCount > 0) {
+      lots = await drawFromLots(client, {
+        inventoryId: inventory_id,
+        locationId: location_id,
+        quantity: -qty,
+      })
+    }
+
     if (result.rowCount > 0) {
       await client.query(
         'UPDATE location_inventory SET quantity = $1, updated_at = NOW() WHERE inventory_id = $2 AND location_id = $3',
@@ -133,69 +351,80 @@ router.post('/checkin', async (req, res) => {
       )
     }
 
+    if (qty > 0) {
+      const lot = await receiveIntoLot(client, {
+        inventoryId: inventory_id,
+        locationId: location_id,
+        lotNumber: lot_number,
+        expirationDate: expiration_date,
+        quantity: qty,
+      })
+      lots = lot ? [lot] : null
+    }
+
+    // 📒 A negative check-in is a correction, not a delivery
+    await recordMovement(client, {
+      practiceId,
+      inventoryId: inventory_id,
+      locationId: location_id,
+      type: qty >= 0 ? MOVEMENT_TYPES.RECEIVE : MOVEMENT_TYPES.ADJUST,
+      quantityChange: qty,
+      reason: qty >= 0 ? 'Scan check-in' : 'Scan check-in correction',
+      lots,
+      createdBy: req.user.id,
+    })
+
     await client.query('COMMIT')
-    res.json({ success: true })
+    res.json({ success: true, quantity: qty, pack_quantity: packQuantity, lots: lots ?? [] })
   } catch (err) {
     await client.query('ROLLBACK')
     console.error('Error in scan check-in:', err)
-    res.status(500).json({ error: 'Check-in failed' })
+    res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : 'Check-in failed' })
   } finally {
     client.release()
   }
 })
 
 // 📤 Scan Consume (subtracts from location_inventory)
-router.post('/consume', verifyToken, async (req, res) => {
-  const { inventory_id, quantity, location_id } = req.body
-  const client = await pool.connect()
-
-  try {
-    const qty = parseInt(quantity, 10)
-    if (isNaN(qty) || qty <= 0) {
-      return res.status(400).json({ error: 'Invalid quantity' })
-    }
-
-    await client.query('BEGIN')
+router.post('/consume', requirePermission(PERMISSIONS.INVENTORY_USE), async (req, res) => {
+  const { inventory_id, quantity, location_id, lot_id, quantity_unit } = req.body
+  const practiceId = req.practice.id
 
-    // 🔐 Optional: Ensure inventory belongs to this user
-    const userId = req.user?.id
-    const invCheck = await client.query(
-      'SELECT user_id FROM inventory WHERE id = $1',
-      [inventory_id]
-    )
-
-    if (invCheck.rows.length === 0 || invCheck.rows[0].user_id !== userId) {
-      await client.query('ROLLBACK')
-      return res.status(403).json({ error: 'Unauthorized: Inventory does not belong to this user.' })
-    }
+  const entered = parseInt(quantity, 10)
+  if (isNaN(entered) || entered <= 0) {
+    return res.status(400).json({ error: 'Invalid quantity' })
+  }
 
-    const result = await client.query(
-      'SELECT quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
-      [inventory_id, location_id]
+  const client = await pool.connect()
+  try {
+    // 🔐 Ensure inventory belongs to this practice before reading its units
+    const { rowCount: inventoryOk } = await client.query(
+      'SELECT 1 FROM inventory WHERE id = $1 AND practice_id = $2',
+      [inventory_id, practiceId]
     )
-
-    if (result.rowCount === 0) {
-      await client.query('ROLLBACK')
-      return res.status(400).json({ error: 'Inventory not found at this location' })
-    }
-
-    const currentQty = result.rows[0].quantity
-    if (currentQty < qty) {
-      await client.query('ROLLBACK')
-      return res.status(400).json({ error: 'Insufficient quantity at location' })
+    if (inventoryOk === 0) {
+      return res.status(403).json({ error: 'Unauthorized: Inventory does not belong to this practice.' })
     }
 
-    await client.query(
-      'UPDATE location_inventory SET quantity = quantity - $1, updated_at = NOW() WHERE inventory_id = $2 AND location_id = $3',
-      [qty, inventory_id, location_id]
-    )
+    const qty = await toBaseQuantity(client, inventory_id, entered, quantity_unit)
 
+    await client.query('BEGIN')
+    const lots = await consumeStock(client, {
+      practiceId,
+      inventoryId: inventory_id,
+      locationId: location_id,
+      quantity: qty,
+      lotId: lot_id,
+      reason: 'Scan consume',
+      createdBy: req.user.id,
+    })
     await client.query('COMMIT')
-    res.json({ success: true })
+
+    res.json({ success: true, lots })
   } catch (err) {
     await client.query('ROLLBACK')
     console.error('Error in scan consume:', err)
-    res.status(500).json({ error: 'Consume failed' })
+    res.status(err.statusCode || 500).json({ error: err.statusCode ? err.message : 'Consume failed' })
   } finally {
     client.release()
   }
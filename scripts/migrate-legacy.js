@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Legacy data migration
+ * Converts ops / supplies / op_supplies / supply_logs into locations /
+ * inventory / location_inventory / inventory_movements, one practice per
+ * transaction. Safe to re-run: records already carried over are skipped.
+ * Run `npm run db:migrate` first.
+ *
+ * Usage:
+ *   node scripts/migrate-legacy.js [--dry-run] [--practice <id>] [--json]
+ *
+ *   --dry-run  run everything, print the report, then roll back
+ *   --practice only migrate this practice
+ *   --json     print the report as JSON
+ */
+
+import pool from '../db/index.js'
+import { listLegacyPractices, migrateLegacyPractice } from '../services/legacyMigration.js'
+
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+}
+
+const log = (color, message) => {
+  console.log(`${color}${message}${colors.reset}`)
+}
+
+const parseArgs = (argv) => {
+  const options = { dryRun: false, practiceId: null, json: false }
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') options.dryRun = true
+    else if (argv[i] === '--json') options.json = true
+    else if (argv[i] === '--practice') options.practiceId = parseInt(argv[++i], 10)
+    else throw new Error(`Unknown argument: ${argv[i]}`)
+  }
+  if (options.practiceId !== null && !Number.isInteger(options.practiceId)) {
+    throw new Error('--practice needs a numeric id')
+  }
+  return options
+}
+
+const printReport = (report) => {
+  log(colors.blue, `\n🏥 Practice ${report.practice_id}`)
+  console.log(`   Locations:  ${report.locations.created} created, ${report.locations.matched} matched by name`)
+  console.log(`   Items:      ${report.items.created} created, ${report.items.matched} matched by barcode/name`)
+  console.log(`   Stock rows: ${report.stock.created} created, ${report.stock.merged} merged into existing rows, ` +
+    `${report.stock.skipped} skipped, ${report.stock.remainder_to_common_area} unassigned remainders moved to Common Area`)
+  console.log(`   History:    ${report.history.imported} log entries imported, ` +
+    `${report.history.opening_balances} opening balances, ${report.history.reconciliations} carry-over adjustments, ` +
+    `${report.history.not_migrated} not migrated`)
+  console.log(`   Procedures: ${report.procedure_supplies.linked} bill-of-materials rows linked to inventory`)
+  for (const warning of report.warnings) {
+    log(colors.yellow, `   ⚠️  ${warning}`)
+  }
+}
+
+const run = async () => {
+  const options = parseArgs(process.argv.slice(2))
+
+  const practices = options.practiceId !== null ? [options.practiceId] : await listLegacyPractices(pool)
+  if (!options.json) {
+    log(colors.blue, `🔁 Migrating legacy data for ${practices.length} practice(s)${options.dryRun ? ' (dry run)' : ''}`)
+  }
+
+  const reports = []
+  let failed = 0
+  for (const practiceId of practices) {
+    const client = await pool.connect()
+    try {
+      await client.query('BEGIN')
+      const report = await migrateLegacyPractice(client, practiceId)
+      await client.query(options.dryRun ? 'ROLLBACK' : 'COMMIT')
+      reports.push(report)
+      if (!options.json) printReport(report)
+    } catch (err) {
+      await client.query('ROLLBACK')
+      failed++
+      reports.push({ practice_id: practiceId, error: err.message })
+      if (!options.json) log(colors.red, `\n❌ Practice ${practiceId} failed and was rolled back: ${err.message}`)
+    } finally {
+      client.release()
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ dry_run: options.dryRun, practices: reports }, null, 2))
+  } else if (options.dryRun) {
+    log(colors.yellow, '\n🧪 Dry run: nothing was written.')
+  } else {
+    log(failed ? colors.red : colors.green, `\n${failed ? '⚠️' : '✅'} Done: ${practices.length - failed} migrated, ${failed} failed.`)
+  }
+
+  return failed
+}
+
+run()
+  .then((failed) => pool.end().then(() => process.exit(failed ? 1 : 0)))
+  .catch((err) => {
+    log(colors.red, `❌ ${err.message}`)
+    process.exit(1)
+  })
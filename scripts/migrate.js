@@ -0,0 +1,81 @@
+#!/usr/bin/env node
+
+/**
+ * Database schema migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>]   apply pending migrations
+ *   node scripts/migrate.js down [--steps <n>]    roll back the last n (default 1)
+ *   node scripts/migrate.js status                list migrations and whether they're applied
+ *
+ * Migrations live in db/migrations as NNNN_name.up.sql / NNNN_name.down.sql.
+ */
+
+import pool from '../db/index.js'
+import { migrateUp, migrateDown, migrationStatus } from '../db/migrator.js'
+
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m'
+}
+
+const log = (color, message) => {
+  console.log(`${color}${message}${colors.reset}`)
+}
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name)
+  return index === -1 ? null : args[index + 1]
+}
+
+const run = async (command, args) => {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp(pool, {
+        to: optionValue(args, '--to'),
+        log: (message) => log(colors.green, message),
+      })
+      log(colors.blue, applied.length ? `✅ Applied ${applied.length} migration(s)` : '✅ Already up to date')
+      break
+    }
+    case 'down': {
+      const steps = parseInt(optionValue(args, '--steps') ?? '1', 10)
+      if (!Number.isInteger(steps) || steps <= 0) {
+        throw new Error('--steps must be a positive integer')
+      }
+      const rolledBack = await migrateDown(pool, {
+        steps,
+        log: (message) => log(colors.yellow, message),
+      })
+      log(colors.blue, rolledBack.length ? `✅ Rolled back ${rolledBack.length} migration(s)` : '✅ Nothing to roll back')
+      break
+    }
+    case 'status': {
+      const status = await migrationStatus(pool)
+      log(colors.blue, '\n📜 Migrations')
+      for (const migration of status) {
+        const applied = migration.applied_at
+          ? `${colors.green}applied ${new Date(migration.applied_at).toISOString()}${colors.reset}`
+          : `${colors.yellow}pending${colors.reset}`
+        console.log(`   ${migration.version}_${migration.name}  ${applied}`)
+      }
+      const pending = status.filter((m) => !m.applied_at).length
+      log(pending ? colors.yellow : colors.green, `\n${pending} pending`)
+      break
+    }
+    default:
+      throw new Error(`Unknown command "${command ?? ''}". Use up, down or status.`)
+  }
+}
+
+const [command, ...args] = process.argv.slice(2)
+
+run(command, args)
+  .then(() => pool.end().then(() => process.exit(0)))
+  .catch((err) => {
+    log(colors.red, `❌ ${err.message}`)
+    process.exit(1)
+  })
@@ -1,7 +1,94 @@
 // ✅ /server/services/emailService.js
+// All outgoing mail goes through sendEmail(), which hands the message to the
+// active transport. MAIL_TRANSPORT picks it: resend (default in production),
+// console (default elsewhere) or file (writes each message as JSON under
+// MAIL_OUTBOX_DIR). Tests can swap in their own with setMailTransport().
+import fs from 'fs/promises'
+import path from 'path'
 import { Resend } from 'resend'
+import { escapeHtml } from './orderEmail.js'
 
-const resend = new Resend(process.env.RESEND_API_KEY)
+let resend = null
+
+const transports = {
+  async resend(message) {
+    resend ??= new Resend(process.env.RESEND_API_KEY)
+
+    const { data, error } = await resend.emails.send({
+      ...message,
+      attachments: message.attachments?.map(({ filename, content }) => ({ filename, content })),
+    })
+    if (error) {
+      throw new Error(error.message)
+    }
+    return { id: data?.id ?? null }
+  },
+
+  async console(message) {
+    console.log('📧 [mail]', {
+      to: message.to,
+      subject: message.subject,
+      attachments: message.attachments?.map((a) => a.filename) ?? [],
+    })
+    return { id: null }
+  },
+
+  async file(message) {
+    const dir = process.env.MAIL_OUTBOX_DIR || '.mail-outbox'
+    await fs.mkdir(dir, { recursive: true })
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    const serialized = {
+      ...message,
+      attachments: message.attachments?.map((a) => ({ ...a, content: String(a.content) })),
+    }
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(serialized, null, 2))
+    return { id }
+  },
+}
+
+let activeTransport = null
+
+/**
+ * Replace the mail transport, e.g. with a capturing function in tests.
+ * Pass null to go back to the MAIL_TRANSPORT setting.
+ * @param {((message: Object) => Promise<{ id: string|null }>)|null} transport
+ */
+export function setMailTransport(transport) {
+  activeTransport = transport
+}
+
+const resolveTransport = () => {
+  if (activeTransport) return activeTransport
+
+  const name = process.env.MAIL_TRANSPORT ||
+    (process.env.NODE_ENV === 'production' ? 'resend' : 'console')
+  const transport = transports[name]
+  if (!transport) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`)
+  }
+  return transport
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message
+ * @param {string|string[]} message.to
+ * @param {string} message.subject
+ * @param {string} message.html
+ * @param {string} [message.text]
+ * @param {string} [message.from] - Defaults to MAIL_FROM / RESET_EMAIL_FROM
+ * @param {string} [message.replyTo]
+ * @param {Array<{ filename: string, content: string|Buffer, contentType?: string }>} [message.attachments]
+ * @returns {Promise<{ id: string|null }>} Provider message id when available
+ */
+export async function sendEmail(message) {
+  const transport = resolveTransport()
+  return transport({
+    from: process.env.MAIL_FROM || process.env.RESET_EMAIL_FROM,
+    ...message,
+  })
+}
 
 export async function sendResetEmail(to, resetLink) {
 
@@ -18,13 +105,91 @@ export async function sendResetEmail(to, resetLink) {
 
 
   try {
-    const data = await resend.emails.send(emailPayload)
+    return await sendEmail(emailPayload)
+  } catch (error) {
+    console.error('Email send failed:', error.message)
+    throw new Error('Could not send email')
+  }
+}
 
-    if (!data?.id && !data?.messageId) {
-      // Email may not have been fully accepted by Resend
-    }
+/**
+ * Invite someone to join a practice
+ * @param {string} to
+ * @param {Object} params
+ * @param {string} params.practiceName
+ * @param {string} [params.inviterEmail] - Also used as reply-to
+ * @param {string} params.acceptLink
+ * @param {Date} params.expiresAt
+ * @returns {Promise<{ id: string|null }>}
+ */
+export async function sendInviteEmail(to, { practiceName, inviterEmail, acceptLink, expiresAt }) {
+  const inviter = inviterEmail ? `${escapeHtml(inviterEmail)} has` : 'You have been'
+  const emailPayload = {
+    to,
+    subject: `You're invited to join ${practiceName} on MolarStock`,
+    html: `
+      <p>${inviter} invited you to join <strong>${escapeHtml(practiceName)}</strong> on MolarStock.</p>
+      <p><a href="${acceptLink}">Accept the invitation</a></p>
+      <p>This link expires on ${expiresAt.toISOString().slice(0, 10)}.</p>
+    `,
+    replyTo: inviterEmail,
+  }
 
-    return data
+  try {
+    return await sendEmail(emailPayload)
+  } catch (error) {
+    console.error('Email send failed:', error.message)
+    throw new Error('Could not send email')
+  }
+}
+
+/**
+ * Tell a user their account was locked after repeated failed logins
+ * @param {string} to
+ * @param {Object} params
+ * @param {Date} params.lockedUntil
+ * @param {string} [params.ip] - Where the last failed attempt came from
+ * @returns {Promise<{ id: string|null }>}
+ */
+export async function sendLockoutEmail(to, { lockedUntil, ip }) {
+  const resetLink = `${process.env.FRONTEND_URL}/forgot-password`
+  const emailPayload = {
+    to,
+    subject: 'Your MolarStock account was temporarily locked',
+    html: `
+      <p>We locked your account after several failed sign-in attempts${ip ? ` (the last from ${escapeHtml(ip)})` : ''}.</p>
+      <p>You can try again after ${lockedUntil.toISOString().replace('T', ' ').slice(0, 16)} UTC.</p>
+      <p>If this wasn't you, <a href="${resetLink}">reset your password</a>.</p>
+    `,
+  }
+
+  try {
+    return await sendEmail(emailPayload)
+  } catch (error) {
+    console.error('Email send failed:', error.message)
+    throw new Error('Could not send email')
+  }
+}
+
+/**
+ * Ask a new user to confirm their address
+ * @param {string} to
+ * @param {string} verifyLink
+ * @returns {Promise<{ id: string|null }>}
+ */
+export async function sendVerificationEmail(to, verifyLink) {
+  const emailPayload = {
+    to,
+    subject: 'Confirm your email for MolarStock',
+    html: `
+      <p>Welcome to MolarStock! Please confirm this is your email address.</p>
+      <p><a href="${verifyLink}">Verify my email</a></p>
+      <p>This link expires in 24 hours.</p>
+    `,
+  }
+
+  try {
+    return await sendEmail(emailPayload)
   } catch (error) {
     console.error('Email send failed:', error.message)
     throw new Error('Could not send email')
@@ -0,0 +1,74 @@
+// ✅ /server/services/emailVerification.js
+// Confirms a user owns the address they registered with. The emailed link
+// carries a signed, expiring token naming the user and the address; it stops
+// working if the account's email is changed in the meantime.
+import jwt from 'jsonwebtoken'
+
+export const VERIFICATION_TOKEN_TTL = '24h'
+
+const TOKEN_PURPOSE = 'email_verify'
+
+export class EmailVerificationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = 'EmailVerificationError'
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Token for the link in the verification email
+ * @param {{ id: number, email: string }} user
+ * @returns {string}
+ */
+export function createVerificationToken(user) {
+  return jwt.sign(
+    { purpose: TOKEN_PURPOSE, id: user.id, email: user.email.toLowerCase() },
+    process.env.JWT_SECRET,
+    { expiresIn: VERIFICATION_TOKEN_TTL }
+  )
+}
+
+/**
+ * Link the user opens to verify their address
+ * @param {{ id: number, email: string }} user
+ * @returns {string}
+ */
+export function verificationLink(user) {
+  return `${process.env.FRONTEND_URL}/verify-email?token=${createVerificationToken(user)}`
+}
+
+/**
+ * Mark the address in a verification token as verified. Opening the link
+ * again afterwards is harmless.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} token
+ * @returns {Promise<{ id: number, email: string, email_verified_at: Date }>}
+ * @throws {EmailVerificationError} 400 when the token is invalid, expired or for an old address
+ */
+export async function verifyEmailToken(db, token) {
+  let payload
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (err) {
+    throw new EmailVerificationError(
+      err.name === 'TokenExpiredError'
+        ? 'This verification link has expired. Request a new one.'
+        : 'Invalid verification link'
+    )
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw new EmailVerificationError('Invalid verification link')
+  }
+
+  const { rows } = await db.query(
+    `UPDATE users SET email_verified_at = COALESCE(email_verified_at, NOW())
+     WHERE id = $1 AND LOWER(email) = $2
+     RETURNING id, email, email_verified_at`,
+    [payload.id, payload.email]
+  )
+  if (rows.length === 0) {
+    throw new EmailVerificationError('This verification link is for an address no longer on the account')
+  }
+  return rows[0]
+}
@@ -0,0 +1,60 @@
+// ✅ /server/services/inventoryLedger.js
+// Append-only movement ledger for location_inventory quantity changes.
+// Every helper takes the caller's transaction client so the ledger row is
+// written in the same transaction as the quantity change it describes.
+
+export const MOVEMENT_TYPES = {
+  RECEIVE: 'receive',
+  TRANSFER_OUT: 'transfer_out',
+  TRANSFER_IN: 'transfer_in',
+  CONSUME: 'consume',
+  ADJUST: 'adjust',
+  DELETE: 'delete',
+}
+
+/**
+ * Record a single quantity change for an item at a location.
+ * Call this AFTER location_inventory has been updated: `quantity_after` is
+ * read back from the row (0 when the row no longer exists).
+ * @param {import('pg').PoolClient} client - Client inside an open transaction
+ * @param {Object} movement
+ * @param {number} movement.practiceId - Practice that owns the inventory
+ * @param {number} movement.inventoryId
+ * @param {number} movement.locationId
+ * @param {string} movement.type - One of MOVEMENT_TYPES
+ * @param {number} movement.quantityChange - Signed delta applied to the row
+ * @param {string} [movement.reason]
+ * @param {Array<Object>} [movement.lots] - Lot portions touched (see inventoryLots.js)
+ * @param {number} [movement.createdBy] - User who performed the change
+ * @returns {Promise<Object>} Inserted ledger row
+ */
+export async function recordMovement(client, {
+  practiceId,
+  inventoryId,
+  locationId,
+  type,
+  quantityChange,
+  reason = null,
+  lots = null,
+  createdBy = null,
+}) {
+  const { rows } = await client.query(
+    `INSERT INTO inventory_movements
+       (practice_id, inventory_id, location_id, movement_type, quantity_change, quantity_after, reason, lots, created_by, user_id)
+     VALUES ($1, $2, $3, $4, $5,
+       COALESCE((SELECT quantity FROM location_inventory WHERE inventory_id = $2 AND location_id = $3), 0),
+       $6, $7, $8, $8)
+     RETURNING *`,
+    [
+      practiceId,
+      inventoryId,
+      locationId,
+      type,
+      quantityChange,
+      reason,
+      lots?.length ? JSON.stringify(lots) : null,
+      createdBy,
+    ]
+  )
+  return rows[0]
+}
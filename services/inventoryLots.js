@@ -0,0 +1,244 @@
+// ✅ /server/services/inventoryLots.js
+// Lot number / expiry tracking on top of location_inventory.
+// location_inventory.quantity remains the on-hand total; these helpers only
+// maintain the per-lot breakdown and leave the total to the caller. Every
+// helper takes the caller's transaction client.
+
+export class InsufficientStockError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'InsufficientStockError'
+    this.statusCode = 400
+  }
+}
+
+export class QuarantinedStockError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'QuarantinedStockError'
+    this.statusCode = 409
+  }
+}
+
+const LOT_COLUMNS = 'id AS lot_id, lot_number, expiration_date::text AS expiration_date, quantity'
+
+/**
+ * Add received stock to its lot, creating the lot if needed.
+ * Stock without a lot number or expiry is left unlotted (returns null).
+ * @param {import('pg').PoolClient} client
+ * @param {Object} params
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @param {string} [params.lotNumber]
+ * @param {string} [params.expirationDate] - YYYY-MM-DD
+ * @param {number} params.quantity
+ * @returns {Promise<Object|null>} Portion added ({ lot_id, lot_number, expiration_date, quantity })
+ */
+export async function receiveIntoLot(client, { inventoryId, locationId, lotNumber, expirationDate, quantity }) {
+  if (!lotNumber && !expirationDate) return null
+
+  const { rows } = await client.query(
+    `SELECT id FROM inventory_lots
+     WHERE inventory_id = $1 AND location_id = $2
+       AND lot_number IS NOT DISTINCT FROM $3
+       AND expiration_date IS NOT DISTINCT FROM $4::date
+     FOR UPDATE`,
+    [inventoryId, locationId, lotNumber || null, expirationDate || null]
+  )
+
+  let lotId
+  if (rows.length > 0) {
+    lotId = rows[0].id
+    await client.query(
+      'UPDATE inventory_lots SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
+      [quantity, lotId]
+    )
+  } else {
+    const insert = await client.query(
+      `INSERT INTO inventory_lots (inventory_id, location_id, lot_number, expiration_date, quantity, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW(), NOW()) RETURNING id`,
+      [inventoryId, locationId, lotNumber || null, expirationDate || null, quantity]
+    )
+    lotId = insert.rows[0].id
+  }
+
+  return {
+    lot_id: lotId,
+    lot_number: lotNumber || null,
+    expiration_date: expirationDate || null,
+    quantity: Number(quantity),
+  }
+}
+
+/**
+ * Take stock out of an item's lots at a location.
+ * Draws first-expiring-first-out by default; lots without an expiry come
+ * after dated lots and unlotted stock comes last. Pass lotId to draw from
+ * one specific lot only.
+ * @param {import('pg').PoolClient} client
+ * @param {Object} params
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @param {number} params.quantity
+ * @param {number} [params.lotId]
+ * @param {boolean} [params.allowExpired=true] - false skips quarantined (expired) lots
+ * @returns {Promise<Array<Object>>} Portions drawn; the unlotted portion has lot_id null
+ * @throws {InsufficientStockError} When the location (or lot) holds too little
+ * @throws {QuarantinedStockError} When lotId names an expired lot and allowExpired is false
+ */
+export async function drawFromLots(client, { inventoryId, locationId, quantity, lotId, allowExpired = true }) {
+  const needed = Number(quantity)
+
+  const { rows: liRows } = await client.query(
+    'SELECT quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
+    [inventoryId, locationId]
+  )
+  const onHand = liRows[0]?.quantity ?? 0
+
+  const { rows: lockedLots } = await client.query(
+    `SELECT ${LOT_COLUMNS}, (expiration_date < CURRENT_DATE) AS expired
+     FROM inventory_lots
+     WHERE inventory_id = $1 AND location_id = $2 AND quantity > 0
+     ORDER BY expiration_date ASC NULLS LAST, id ASC
+     FOR UPDATE`,
+    [inventoryId, locationId]
+  )
+  const lots = lockedLots.map(({ expired, ...lot }) => ({ ...lot, expired: expired === true }))
+
+  let candidates = lots
+  if (lotId) {
+    candidates = lots.filter((lot) => String(lot.lot_id) === String(lotId))
+    if (candidates.length === 0) {
+      throw new InsufficientStockError(`Lot ${lotId} has no stock at location ${locationId}`)
+    }
+    if (!allowExpired && candidates[0].expired) {
+      throw new QuarantinedStockError(
+        `Lot ${candidates[0].lot_number || lotId} expired on ${candidates[0].expiration_date} and is quarantined`
+      )
+    }
+    if (candidates[0].quantity < needed) {
+      throw new InsufficientStockError(`Not enough quantity in lot ${candidates[0].lot_number || lotId}`)
+    }
+  } else {
+    let available = onHand
+    if (!allowExpired) {
+      const expiredQty = lots.filter((lot) => lot.expired).reduce((sum, lot) => sum + lot.quantity, 0)
+      candidates = lots.filter((lot) => !lot.expired)
+      available -= expiredQty
+      if (available < needed && expiredQty > 0) {
+        throw new QuarantinedStockError(
+          `Only ${Math.max(available, 0)} of item ID ${inventoryId} at location ${locationId} is usable; ${expiredQty} is expired and quarantined`
+        )
+      }
+    }
+    if (available < needed) {
+      throw new InsufficientStockError(`Not enough quantity of item ID ${inventoryId} at location ${locationId}`)
+    }
+  }
+
+  const portions = []
+  let remaining = needed
+
+  for (const lot of candidates) {
+    if (remaining <= 0) break
+    const take = Math.min(lot.quantity, remaining)
+    await client.query(
+      'UPDATE inventory_lots SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2',
+      [take, lot.lot_id]
+    )
+    const { expired, ...portion } = lot
+    portions.push({ ...portion, quantity: take })
+    remaining -= take
+  }
+
+  // Whatever is left comes from unlotted stock
+  if (remaining > 0) {
+    portions.push({ lot_id: null, lot_number: null, expiration_date: null, quantity: remaining })
+  }
+
+  return portions
+}
+
+/**
+ * Re-add portions drawn elsewhere (e.g. the destination side of a transfer)
+ * so lot numbers and expiry dates travel with the stock.
+ * @param {import('pg').PoolClient} client
+ * @param {Object} params
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @param {Array<Object>} params.portions - As returned by drawFromLots
+ * @returns {Promise<Array<Object>>} Portions added at the destination
+ */
+export async function depositPortions(client, { inventoryId, locationId, portions }) {
+  const deposited = []
+  for (const portion of portions) {
+    const lot = await receiveIntoLot(client, {
+      inventoryId,
+      locationId,
+      lotNumber: portion.lot_number,
+      expirationDate: portion.expiration_date,
+      quantity: portion.quantity,
+    })
+    deposited.push(lot ?? portion)
+  }
+  return deposited
+}
+
+/**
+ * After the on-hand total was set directly (manual edit), shrink lots
+ * first-expiring-first so their sum never exceeds location_inventory.quantity.
+ * @param {import('pg').PoolClient} client
+ * @param {Object} params
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @returns {Promise<Array<Object>>} Portions removed from lots
+ */
+export async function trimLotsToOnHand(client, { inventoryId, locationId }) {
+  const { rows } = await client.query(
+    `SELECT
+       COALESCE((SELECT quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2), 0) AS on_hand,
+       COALESCE((SELECT SUM(quantity) FROM inventory_lots WHERE inventory_id = $1 AND location_id = $2), 0)::int AS lotted`,
+    [inventoryId, locationId]
+  )
+  const excess = rows[0].lotted - rows[0].on_hand
+  if (excess <= 0) return []
+
+  const { rows: lots } = await client.query(
+    `SELECT ${LOT_COLUMNS} FROM inventory_lots
+     WHERE inventory_id = $1 AND location_id = $2 AND quantity > 0
+     ORDER BY expiration_date ASC NULLS LAST, id ASC
+     FOR UPDATE`,
+    [inventoryId, locationId]
+  )
+
+  const portions = []
+  let remaining = excess
+  for (const lot of lots) {
+    if (remaining <= 0) break
+    const take = Math.min(lot.quantity, remaining)
+    await client.query(
+      'UPDATE inventory_lots SET quantity = quantity - $1, updated_at = NOW() WHERE id = $2',
+      [take, lot.lot_id]
+    )
+    portions.push({ ...lot, quantity: take })
+    remaining -= take
+  }
+  return portions
+}
+
+/**
+ * Drop every lot of an item at a location (the location row was deleted)
+ * @param {import('pg').PoolClient} client
+ * @param {Object} params
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @returns {Promise<Array<Object>>} Lots that still held stock
+ */
+export async function clearLots(client, { inventoryId, locationId }) {
+  const { rows } = await client.query(
+    `DELETE FROM inventory_lots WHERE inventory_id = $1 AND location_id = $2
+     RETURNING ${LOT_COLUMNS}`,
+    [inventoryId, locationId]
+  )
+  return rows.filter((lot) => lot.quantity > 0)
+}
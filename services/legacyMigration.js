@@ -0,0 +1,340 @@
+// ✅ /server/services/legacyMigration.js
+// Carries one practice's legacy data into the current model:
+//   ops → locations, supplies → inventory, op_supplies → location_inventory,
+//   supply_logs → inventory_movements, procedure_supplies.supply_id → inventory_id.
+// Everything runs on the caller's transaction; legacy_migration_map records
+// what has been carried over so a second run only picks up new records.
+import { findBarcodeConflict } from '../scanning/barcodeResolver.js'
+import { recordMovement, MOVEMENT_TYPES } from './inventoryLedger.js'
+
+const getMapped = async (client, table, legacyId) => {
+  const { rows } = await client.query(
+    'SELECT new_id FROM legacy_migration_map WHERE legacy_table = $1 AND legacy_id = $2',
+    [table, legacyId]
+  )
+  return rows[0]?.new_id ?? null
+}
+
+const setMapped = (client, table, legacyId, practiceId, newId) =>
+  client.query(
+    `INSERT INTO legacy_migration_map (legacy_table, legacy_id, practice_id, new_id)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (legacy_table, legacy_id) DO NOTHING`,
+    [table, legacyId, practiceId, newId]
+  )
+
+const toInt = (value) => Math.round(Number(value) || 0)
+
+/**
+ * Practice ids that have any legacy operatories or supplies
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @returns {Promise<number[]>}
+ */
+export async function listLegacyPractices(db) {
+  const { rows } = await db.query(
+    `SELECT practice_id FROM ops
+     UNION
+     SELECT practice_id FROM supplies
+     ORDER BY practice_id`
+  )
+  return rows.map((row) => row.practice_id)
+}
+
+/**
+ * Write an op/supply pair's supply_logs into the ledger with their original
+ * timestamps, then a final adjustment so the ledger ends on the migrated
+ * quantity. When the logs would dip below zero an opening balance is
+ * reconstructed before the first one.
+ */
+const importHistory = async (client, { practiceId, opId, supplyId, inventoryId, locationId, finalQuantity, report }) => {
+  const { rows: logs } = await client.query(
+    `SELECT l.id, l.user_id, l.quantity, l.action, l.created_at, p.name AS procedure_name
+     FROM supply_logs l
+     LEFT JOIN procedures p ON l.procedure_id = p.id
+     LEFT JOIN legacy_migration_map m ON m.legacy_table = 'supply_logs' AND m.legacy_id = l.id
+     WHERE l.practice_id = $1 AND l.op_id = $2 AND l.supply_id = $3 AND m.legacy_id IS NULL
+     ORDER BY l.created_at, l.id`,
+    [practiceId, opId, supplyId]
+  )
+
+  const changes = logs.map((log) => (log.action === 'use' ? -toInt(log.quantity) : toInt(log.quantity)))
+  let running = 0
+  let lowest = 0
+  for (const change of changes) {
+    running += change
+    lowest = Math.min(lowest, running)
+  }
+
+  const insert = (type, change, after, reason, createdAt, createdBy = null) =>
+    client.query(
+      `INSERT INTO inventory_movements
+         (practice_id, inventory_id, location_id, movement_type, quantity_change, quantity_after, reason, created_by, user_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, COALESCE($9, NOW()))`,
+      [practiceId, inventoryId, locationId, type, change, after, reason, createdBy, createdAt]
+    )
+
+  let balance = -lowest
+  if (balance > 0) {
+    await insert(MOVEMENT_TYPES.ADJUST, balance, balance, 'Opening balance reconstructed from legacy supply logs', logs[0].created_at, logs[0].user_id)
+    report.history.opening_balances++
+  }
+
+  for (let i = 0; i < logs.length; i++) {
+    balance += changes[i]
+    const log = logs[i]
+    const reason = `Legacy supply log #${log.id}${log.procedure_name ? ` (procedure: ${log.procedure_name})` : ''}`
+    await insert(
+      changes[i] < 0 ? MOVEMENT_TYPES.CONSUME : MOVEMENT_TYPES.RECEIVE,
+      changes[i],
+      balance,
+      reason,
+      log.created_at,
+      log.user_id
+    )
+    await setMapped(client, 'supply_logs', log.id, practiceId, inventoryId)
+    report.history.imported++
+  }
+
+  const carried = finalQuantity - balance
+  if (carried !== 0) {
+    await insert(MOVEMENT_TYPES.ADJUST, carried, finalQuantity, 'Balance carried over from legacy op_supplies', null)
+    report.history.reconciliations++
+  }
+}
+
+/**
+ * Migrate one practice's legacy data
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} practiceId
+ * @returns {Promise<Object>} Counts of what was created, matched and skipped, plus warnings
+ */
+export async function migrateLegacyPractice(client, practiceId) {
+  const report = {
+    practice_id: practiceId,
+    locations: { created: 0, matched: 0 },
+    items: { created: 0, matched: 0 },
+    stock: { created: 0, merged: 0, skipped: 0, remainder_to_common_area: 0 },
+    history: { imported: 0, opening_balances: 0, reconciliations: 0, not_migrated: 0 },
+    procedure_supplies: { linked: 0 },
+    warnings: [],
+  }
+
+  // 1️⃣ ops → locations (matched by name)
+  const { rows: ops } = await client.query(
+    'SELECT id, user_id, name FROM ops WHERE practice_id = $1 ORDER BY id',
+    [practiceId]
+  )
+  const locationFor = new Map()
+  for (const op of ops) {
+    let locationId = await getMapped(client, 'ops', op.id)
+    if (!locationId) {
+      const { rows } = await client.query(
+        'SELECT id FROM locations WHERE practice_id = $1 AND LOWER(name) = LOWER($2) ORDER BY id LIMIT 1',
+        [practiceId, op.name]
+      )
+      if (rows.length > 0) {
+        locationId = rows[0].id
+        report.locations.matched++
+      } else {
+        const insert = await client.query(
+          'INSERT INTO locations (practice_id, user_id, name, protected) VALUES ($1, $2, $3, false) RETURNING id',
+          [practiceId, op.user_id, op.name]
+        )
+        locationId = insert.rows[0].id
+        report.locations.created++
+      }
+      await setMapped(client, 'ops', op.id, practiceId, locationId)
+    }
+    locationFor.set(op.id, locationId)
+  }
+
+  // 2️⃣ supplies → inventory (matched by barcode, then name)
+  const { rows: supplies } = await client.query(
+    'SELECT * FROM supplies WHERE practice_id = $1 ORDER BY id',
+    [practiceId]
+  )
+  const itemFor = new Map()
+  for (const supply of supplies) {
+    let inventoryId = await getMapped(client, 'supplies', supply.id)
+    if (!inventoryId) {
+      const barcode = supply.barcode?.trim() || null
+      const byBarcode = barcode ? await findBarcodeConflict(client, practiceId, barcode) : null
+      const { rows: byName } = byBarcode
+        ? { rows: [] }
+        : await client.query(
+            'SELECT id FROM inventory WHERE practice_id = $1 AND LOWER(name) = LOWER($2) ORDER BY id LIMIT 1',
+            [practiceId, supply.name]
+          )
+
+      if (byBarcode || byName.length > 0) {
+        inventoryId = byBarcode?.id ?? byName[0].id
+        report.items.matched++
+      } else {
+        const insert = await client.query(
+          `INSERT INTO inventory (name, barcode, unit, cost_per_unit, category_id, supplier_id, practice_id, user_id, created_at, updated_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW(), NOW()) RETURNING id`,
+          [supply.name, barcode, supply.unit || null, supply.cost_per_unit || null, supply.category_id || null, supply.supplier_id || null, practiceId, supply.user_id]
+        )
+        inventoryId = insert.rows[0].id
+        report.items.created++
+      }
+      await setMapped(client, 'supplies', supply.id, practiceId, inventoryId)
+    }
+    itemFor.set(supply.id, inventoryId)
+  }
+
+  // 3️⃣ op_supplies → location_inventory, with each pair's supply_logs as history
+  const { rows: opSupplies } = await client.query(
+    `SELECT os.* FROM op_supplies os
+     JOIN ops o ON os.op_id = o.id
+     WHERE o.practice_id = $1
+     ORDER BY os.id`,
+    [practiceId]
+  )
+  for (const row of opSupplies) {
+    if (await getMapped(client, 'op_supplies', row.id)) continue
+
+    const locationId = locationFor.get(row.op_id)
+    const inventoryId = itemFor.get(row.supply_id)
+    if (!locationId || !inventoryId) {
+      report.warnings.push(`op_supplies #${row.id} references a supply from another practice; skipped`)
+      report.stock.skipped++
+      continue
+    }
+
+    const quantity = Math.max(toInt(row.quantity), 0)
+    const { rows: existing } = await client.query(
+      'SELECT id FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
+      [inventoryId, locationId]
+    )
+    if (existing.length > 0) {
+      // Item was already stocked here (matched by name or barcode): add the
+      // legacy quantity on top. Its supply_logs are folded into that one
+      // adjustment, since replaying them would break the row's running balance.
+      if (quantity > 0) {
+        await client.query(
+          'UPDATE location_inventory SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
+          [quantity, existing[0].id]
+        )
+        await recordMovement(client, {
+          practiceId,
+          inventoryId,
+          locationId,
+          type: MOVEMENT_TYPES.ADJUST,
+          quantityChange: quantity,
+          reason: `Legacy op_supplies #${row.id} merged into existing stock`,
+        })
+      }
+      const { rows: logs } = await client.query(
+        'SELECT id FROM supply_logs WHERE practice_id = $1 AND op_id = $2 AND supply_id = $3',
+        [practiceId, row.op_id, row.supply_id]
+      )
+      for (const log of logs) {
+        await setMapped(client, 'supply_logs', log.id, practiceId, inventoryId)
+      }
+      await setMapped(client, 'op_supplies', row.id, practiceId, existing[0].id)
+      report.stock.merged++
+      continue
+    }
+
+    const { rows: created } = await client.query(
+      `INSERT INTO location_inventory (inventory_id, location_id, quantity, low_stock_threshold, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id`,
+      [inventoryId, locationId, quantity, row.low_stock_threshold ?? null]
+    )
+    await importHistory(client, {
+      practiceId,
+      opId: row.op_id,
+      supplyId: row.supply_id,
+      inventoryId,
+      locationId,
+      finalQuantity: quantity,
+      report,
+    })
+    await setMapped(client, 'op_supplies', row.id, practiceId, created[0].id)
+    report.stock.created++
+  }
+
+  // 4️⃣ Stock counted on the supply but not assigned to any operatory goes to Common Area
+  let { rows: commonRows } = await client.query(
+    "SELECT id FROM locations WHERE practice_id = $1 AND name = 'Common Area'",
+    [practiceId]
+  )
+  if (commonRows.length === 0) {
+    commonRows = (await client.query(
+      'INSERT INTO locations (practice_id, name, protected) VALUES ($1, $2, true) RETURNING id',
+      [practiceId, 'Common Area']
+    )).rows
+    report.locations.created++
+  }
+  const commonAreaId = commonRows[0].id
+
+  for (const supply of supplies) {
+    if (await getMapped(client, 'supplies_remainder', supply.id)) continue
+
+    const { rows } = await client.query(
+      'SELECT COALESCE(SUM(quantity), 0) AS assigned FROM op_supplies WHERE supply_id = $1',
+      [supply.id]
+    )
+    const remainder = toInt(supply.quantity) - toInt(rows[0].assigned)
+    if (remainder <= 0) continue
+
+    const inventoryId = itemFor.get(supply.id)
+    const { rows: existing } = await client.query(
+      'SELECT id FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
+      [inventoryId, commonAreaId]
+    )
+    let locationInventoryId = existing[0]?.id
+    if (locationInventoryId) {
+      await client.query(
+        'UPDATE location_inventory SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
+        [remainder, locationInventoryId]
+      )
+    } else {
+      const { rows: created } = await client.query(
+        `INSERT INTO location_inventory (inventory_id, location_id, quantity, low_stock_threshold, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, NOW(), NOW()) RETURNING id`,
+        [inventoryId, commonAreaId, remainder, supply.low_stock_threshold ?? null]
+      )
+      locationInventoryId = created[0].id
+    }
+    await recordMovement(client, {
+      practiceId,
+      inventoryId,
+      locationId: commonAreaId,
+      type: MOVEMENT_TYPES.ADJUST,
+      quantityChange: remainder,
+      reason: 'Unassigned legacy supply quantity',
+      createdBy: supply.user_id,
+    })
+    await setMapped(client, 'supplies_remainder', supply.id, practiceId, locationInventoryId)
+    report.stock.remainder_to_common_area++
+  }
+
+  // 5️⃣ Point procedure bills of materials at the migrated items
+  const linked = await client.query(
+    `UPDATE procedure_supplies ps SET inventory_id = m.new_id
+     FROM procedures p, legacy_migration_map m
+     WHERE ps.procedure_id = p.id AND p.practice_id = $1
+       AND m.legacy_table = 'supplies' AND m.legacy_id = ps.supply_id
+       AND ps.inventory_id IS NULL`,
+    [practiceId]
+  )
+  report.procedure_supplies.linked = linked.rowCount
+
+  const { rows: leftover } = await client.query(
+    `SELECT COUNT(*)::int AS count
+     FROM supply_logs l
+     LEFT JOIN legacy_migration_map m ON m.legacy_table = 'supply_logs' AND m.legacy_id = l.id
+     WHERE l.practice_id = $1 AND m.legacy_id IS NULL`,
+    [practiceId]
+  )
+  report.history.not_migrated = leftover[0].count
+  if (leftover[0].count > 0) {
+    report.warnings.push(
+      `${leftover[0].count} supply log(s) have no matching op_supplies row (or were skipped) and were not migrated`
+    )
+  }
+
+  return report
+}
@@ -0,0 +1,170 @@
+// ✅ /server/services/loginProtection.js
+// Brute-force limits for login, two-factor codes, password-reset and
+// verification-email requests, built on services/rateLimiter.js. Login
+// failures are counted per email (so one account can't be guessed at from
+// many addresses) and per IP (so one address can't spray many accounts).
+// Six-digit codes are counted per user. Reset and verification-email
+// requests count every request.
+import { createRateLimiter } from './rateLimiter.js'
+
+const MINUTE = 60 * 1000
+
+const limiters = {
+  loginEmail: createRateLimiter({
+    name: 'login_email',
+    freeAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * MINUTE,
+    windowMs: 15 * MINUTE,
+  }),
+  loginIp: createRateLimiter({
+    name: 'login_ip',
+    freeAttempts: 20,
+    baseDelayMs: 1000,
+    maxDelayMs: 60 * 1000,
+    lockoutAfter: 100,
+    lockoutMs: 15 * MINUTE,
+    windowMs: 15 * MINUTE,
+  }),
+  twoFactor: createRateLimiter({
+    name: 'two_factor',
+    freeAttempts: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000,
+    lockoutAfter: 10,
+    lockoutMs: 15 * MINUTE,
+    windowMs: 15 * MINUTE,
+  }),
+  resetEmail: createRateLimiter({
+    name: 'reset_email',
+    freeAttempts: 3,
+    baseDelayMs: MINUTE,
+    maxDelayMs: 15 * MINUTE,
+    windowMs: 60 * MINUTE,
+  }),
+  resetIp: createRateLimiter({
+    name: 'reset_ip',
+    freeAttempts: 10,
+    baseDelayMs: MINUTE,
+    maxDelayMs: 15 * MINUTE,
+    lockoutAfter: 30,
+    lockoutMs: 60 * MINUTE,
+    windowMs: 60 * MINUTE,
+  }),
+  verificationResend: createRateLimiter({
+    name: 'verify_resend',
+    freeAttempts: 3,
+    baseDelayMs: MINUTE,
+    maxDelayMs: 15 * MINUTE,
+    windowMs: 60 * MINUTE,
+  }),
+}
+
+// The status that makes the caller wait longest
+const strictest = (statuses) =>
+  statuses.reduce((worst, status) => (status.retryAfterMs > worst.retryAfterMs ? status : worst))
+
+/**
+ * Whether a login attempt may go ahead
+ * @param {{ email: string, ip: string }} attempt
+ * @returns {Promise<import('./rateLimiter.js').RateLimitStatus>}
+ */
+export async function checkLogin({ email, ip }) {
+  return strictest([await limiters.loginEmail.check(email), await limiters.loginIp.check(ip)])
+}
+
+/**
+ * Count a failed login
+ * @param {{ email: string, ip: string }} attempt
+ * @returns {Promise<{ accountLockedNow: boolean, lockedUntil: Date|null }>} accountLockedNow is
+ *   true for the failure that locked the email, so the owner can be told once
+ */
+export async function recordLoginFailure({ email, ip }) {
+  const byEmail = await limiters.loginEmail.hit(email)
+  await limiters.loginIp.hit(ip)
+  return {
+    accountLockedNow: byEmail.lockedNow,
+    lockedUntil: byEmail.locked ? new Date(Date.now() + byEmail.retryAfterMs) : null,
+  }
+}
+
+/**
+ * Clear an email's failures after a successful login. The IP's count stays,
+ * so logging in to one account doesn't reset guessing at others.
+ * @param {{ email: string }} attempt
+ */
+export async function recordLoginSuccess({ email }) {
+  await limiters.loginEmail.reset(email)
+}
+
+/**
+ * Whether a user may try another two-factor code
+ * @param {number} userId
+ * @returns {Promise<import('./rateLimiter.js').RateLimitStatus>}
+ */
+export async function checkTwoFactor(userId) {
+  return limiters.twoFactor.check(userId)
+}
+
+/**
+ * Count a wrong two-factor or recovery code
+ * @param {number} userId
+ */
+export async function recordTwoFactorFailure(userId) {
+  await limiters.twoFactor.hit(userId)
+}
+
+/**
+ * Clear a user's wrong codes after a right one
+ * @param {number} userId
+ */
+export async function recordTwoFactorSuccess(userId) {
+  await limiters.twoFactor.reset(userId)
+}
+
+/**
+ * Count a password-reset request and say whether it may go ahead
+ * @param {{ email: string, ip: string }} request
+ * @returns {Promise<import('./rateLimiter.js').RateLimitStatus>}
+ */
+export async function checkResetRequest({ email, ip }) {
+  const before = strictest([await limiters.resetEmail.check(email), await limiters.resetIp.check(ip)])
+  if (!before.allowed) return before
+
+  await limiters.resetEmail.hit(email)
+  await limiters.resetIp.hit(ip)
+  return before
+}
+
+/**
+ * Count a request to resend the verification email and say whether it may go ahead
+ * @param {number} userId
+ * @returns {Promise<import('./rateLimiter.js').RateLimitStatus>}
+ */
+export async function checkVerificationResend(userId) {
+  const before = await limiters.verificationResend.check(userId)
+  if (!before.allowed) return before
+
+  await limiters.verificationResend.hit(userId)
+  return before
+}
+
+/**
+ * Answer a limited request with 429 and a Retry-After header
+ * @param {import('express').Response} res
+ * @param {import('./rateLimiter.js').RateLimitStatus} status
+ * @param {string} [action='attempts']
+ */
+export function sendRateLimited(res, status, action = 'attempts') {
+  const retryAfter = Math.ceil(status.retryAfterMs / 1000)
+  res.set('Retry-After', String(retryAfter))
+  return res.status(429).json({
+    error: status.locked
+      ? `Too many ${action}. Locked for ${Math.ceil(retryAfter / 60)} minute(s).`
+      : `Too many ${action}. Try again in ${retryAfter} second(s).`,
+    code: status.locked ? 'LOCKED_OUT' : 'RATE_LIMITED',
+    retry_after: retryAfter,
+  })
+}
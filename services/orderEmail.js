@@ -0,0 +1,95 @@
+// ✅ /server/services/orderEmail.js
+// Builds the reorder request sent to a supplier: an HTML table for the body
+// and the same lines as a CSV attachment for the supplier's order system.
+
+export const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+
+const escapeCsv = (value) => {
+  const text = String(value ?? '')
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * @param {Array<{ sku?: string, name: string, quantity: number, unit?: string }>} lines
+ * @returns {string}
+ */
+export function buildOrderCsv(lines) {
+  const rows = [['SKU', 'Item', 'Quantity', 'Unit']]
+  for (const line of lines) {
+    rows.push([line.sku, line.name, line.quantity, line.unit])
+  }
+  return rows.map((row) => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n'
+}
+
+/**
+ * Compose the order request email
+ * @param {Object} params
+ * @param {{ name: string, poc?: string }} params.supplier
+ * @param {string} [params.practiceName]
+ * @param {Array<{ sku?: string, name: string, quantity: number, unit?: string }>} params.lines
+ * @param {string} [params.notes]
+ * @returns {{ subject: string, html: string, text: string, csv: string, filename: string }}
+ */
+export function buildOrderEmail({ supplier, practiceName, lines, notes }) {
+  const from = practiceName || 'our practice'
+  const date = new Date().toISOString().slice(0, 10)
+  const subject = `Order request from ${from} — ${date}`
+
+  const rowsHtml = lines
+    .map(
+      (line) => `
+        <tr>
+          <td style="padding:4px 8px;border:1px solid #ddd">${escapeHtml(line.sku)}</td>
+          <td style="padding:4px 8px;border:1px solid #ddd">${escapeHtml(line.name)}</td>
+          <td style="padding:4px 8px;border:1px solid #ddd;text-align:right">${escapeHtml(line.quantity)}</td>
+          <td style="padding:4px 8px;border:1px solid #ddd">${escapeHtml(line.unit)}</td>
+        </tr>`
+    )
+    .join('')
+
+  const html = `
+    <p>Hello${supplier.poc ? ` ${escapeHtml(supplier.poc)}` : ''},</p>
+    <p>${escapeHtml(from)} would like to order the following items from ${escapeHtml(supplier.name)}:</p>
+    <table style="border-collapse:collapse">
+      <thead>
+        <tr>
+          <th style="padding:4px 8px;border:1px solid #ddd;text-align:left">SKU</th>
+          <th style="padding:4px 8px;border:1px solid #ddd;text-align:left">Item</th>
+          <th style="padding:4px 8px;border:1px solid #ddd;text-align:right">Quantity</th>
+          <th style="padding:4px 8px;border:1px solid #ddd;text-align:left">Unit</th>
+        </tr>
+      </thead>
+      <tbody>${rowsHtml}
+      </tbody>
+    </table>
+    ${notes ? `<p>${escapeHtml(notes).replace(/\n/g, '<br>')}</p>` : ''}
+    <p>The same list is attached as a CSV file. Please reply to confirm availability and delivery date.</p>
+    <p>Thank you,<br>${escapeHtml(from)}</p>
+  `
+
+  const text = [
+    `Hello${supplier.poc ? ` ${supplier.poc}` : ''},`,
+    '',
+    `${from} would like to order the following items from ${supplier.name}:`,
+    '',
+    ...lines.map((line) => `- ${line.quantity} ${line.unit ?? ''} ${line.name}${line.sku ? ` (SKU ${line.sku})` : ''}`.replace(/ +/g, ' ')),
+    '',
+    ...(notes ? [notes, ''] : []),
+    'Thank you,',
+    from,
+  ].join('\n')
+
+  return {
+    subject,
+    html,
+    text,
+    csv: buildOrderCsv(lines),
+    filename: `order-${date}.csv`,
+  }
+}
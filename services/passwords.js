@@ -0,0 +1,82 @@
+// ✅ /server/services/passwords.js
+// Changing a password, by reset link or from a logged-in session. Reset
+// links carry a random single-use token kept only as a hash; setting a new
+// password discards any still unused and logs the user's other devices out.
+import crypto from 'crypto'
+import { hashPassword } from '../auth/hash.js'
+import { assertPasswordPolicy } from '../auth/passwordPolicy.js'
+import { revokeAllSessions } from './sessions.js'
+
+export const RESET_TOKEN_TTL_MINUTES = 15
+
+export class PasswordResetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = 'PasswordResetError'
+    this.statusCode = statusCode
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex')
+
+const discardUnusedResetTokens = (db, userId) =>
+  db.query('DELETE FROM password_reset_tokens WHERE user_id = $1 AND used_at IS NULL', [userId])
+
+/**
+ * Issue a reset token for the link in a reset email. Earlier unused ones stop working.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+export async function createResetToken(db, userId) {
+  const token = crypto.randomBytes(32).toString('base64url')
+  const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000)
+
+  await discardUnusedResetTokens(db, userId)
+  await db.query(
+    'INSERT INTO password_reset_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [userId, hashToken(token), expiresAt]
+  )
+  return { token, expiresAt }
+}
+
+/**
+ * Use up a reset token
+ * @param {import('pg').PoolClient} client - Inside an open transaction, so a
+ *   rejected new password leaves the token usable
+ * @param {string} token
+ * @returns {Promise<number>} The user it was issued to
+ * @throws {PasswordResetError} 400 when it's unknown, used or expired
+ */
+export async function consumeResetToken(client, token) {
+  const { rows } = await client.query(
+    `UPDATE password_reset_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND used_at IS NULL
+     RETURNING user_id, expires_at`,
+    [hashToken(token)]
+  )
+  if (rows.length === 0) {
+    throw new PasswordResetError('This reset link is invalid or has already been used')
+  }
+  if (new Date(rows[0].expires_at) <= new Date()) {
+    throw new PasswordResetError('This reset link has expired. Request a new one.')
+  }
+  return rows[0].user_id
+}
+
+/**
+ * Give a user a new password that meets the policy
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {{ id: number, email: string }} user
+ * @param {string} newPassword
+ * @param {Object} [options]
+ * @param {number} [options.keepSessionId] - The session making the change, left logged in
+ * @throws {import('../auth/passwordPolicy.js').PasswordPolicyError} 400 when the password is too weak
+ */
+export async function setPassword(client, user, newPassword, { keepSessionId } = {}) {
+  assertPasswordPolicy(newPassword, { email: user.email })
+
+  await client.query('UPDATE users SET password_hash = $1 WHERE id = $2', [await hashPassword(newPassword), user.id])
+  await discardUnusedResetTokens(client, user.id)
+  await revokeAllSessions(client, user.id, 'password_change', { exceptSessionId: keepSessionId })
+}
@@ -0,0 +1,240 @@
+// ✅ /server/services/practiceInvites.js
+// Email invitations to join a practice. The accept link carries a JWT
+// naming the invite and its nonce; resending rotates the nonce so only the
+// latest link works, and an invite closes once accepted or revoked.
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { PRACTICE_ROLES } from '../auth/permissions.js'
+import { hashPassword, comparePasswords } from '../auth/hash.js'
+import { assertPasswordPolicy } from '../auth/passwordPolicy.js'
+
+export const INVITE_TTL_DAYS = 7
+
+const TOKEN_PURPOSE = 'practice_invite'
+
+export class InviteError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = 'InviteError'
+    this.statusCode = statusCode
+  }
+}
+
+const newNonce = () => crypto.randomBytes(16).toString('hex')
+
+const expiresFromNow = () => new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const signInviteToken = (invite) =>
+  jwt.sign(
+    { purpose: TOKEN_PURPOSE, invite_id: invite.id, nonce: invite.token_nonce },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((new Date(invite.expires_at) - Date.now()) / 1000)) }
+  )
+
+// What callers outside this module get to see of an invite
+const publicInvite = ({ token_nonce, ...invite }) => ({
+  ...invite,
+  expired: new Date(invite.expires_at) <= new Date(),
+})
+
+/**
+ * Open an invite for `email` to join a practice
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {number} params.practiceId
+ * @param {string} params.email
+ * @param {string} [params.role='staff'] - One of PRACTICE_ROLES
+ * @param {number} params.invitedBy
+ * @returns {Promise<{ invite: Object, token: string }>}
+ * @throws {InviteError} 400 for an unknown role, 409 when they're already a member or invited
+ */
+export async function createInvite(client, { practiceId, email, role = 'staff', invitedBy }) {
+  if (!PRACTICE_ROLES.includes(role)) {
+    throw new InviteError(`role must be one of: ${PRACTICE_ROLES.join(', ')}`)
+  }
+  const address = email.trim().toLowerCase()
+
+  const { rowCount: isMember } = await client.query(
+    `SELECT 1 FROM practice_members pm
+     JOIN users u ON pm.user_id = u.id
+     WHERE pm.practice_id = $1 AND LOWER(u.email) = $2`,
+    [practiceId, address]
+  )
+  if (isMember) {
+    throw new InviteError('That user is already a member of this practice', 409)
+  }
+
+  const { rows } = await client.query(
+    `INSERT INTO practice_invites (practice_id, email, role, token_nonce, invited_by, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (practice_id, LOWER(email)) WHERE accepted_at IS NULL AND revoked_at IS NULL
+     DO NOTHING
+     RETURNING *`,
+    [practiceId, address, role, newNonce(), invitedBy, expiresFromNow()]
+  )
+  if (rows.length === 0) {
+    throw new InviteError('That address already has an open invite; resend it instead', 409)
+  }
+
+  return { invite: publicInvite(rows[0]), token: signInviteToken(rows[0]) }
+}
+
+/**
+ * Invites that haven't been accepted or revoked, newest first
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @returns {Promise<Object[]>} Each with `expired` set once past expires_at
+ */
+export async function listOpenInvites(db, practiceId) {
+  const { rows } = await db.query(
+    `SELECT i.*, u.email AS invited_by_email
+     FROM practice_invites i
+     LEFT JOIN users u ON i.invited_by = u.id
+     WHERE i.practice_id = $1 AND i.accepted_at IS NULL AND i.revoked_at IS NULL
+     ORDER BY i.created_at DESC, i.id DESC`,
+    [practiceId]
+  )
+  return rows.map(publicInvite)
+}
+
+/**
+ * Issue a fresh link for an open invite. Earlier links stop working and
+ * the expiry restarts, so this also revives an expired invite.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {number} inviteId
+ * @returns {Promise<{ invite: Object, token: string }>}
+ * @throws {InviteError} 404 when there's no open invite with that id
+ */
+export async function resendInvite(db, practiceId, inviteId) {
+  const { rows } = await db.query(
+    `UPDATE practice_invites
+     SET token_nonce = $3, expires_at = $4, last_sent_at = NOW(), send_count = send_count + 1
+     WHERE id = $1 AND practice_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL
+     RETURNING *`,
+    [inviteId, practiceId, newNonce(), expiresFromNow()]
+  )
+  if (rows.length === 0) {
+    throw new InviteError('Invite not found', 404)
+  }
+  return { invite: publicInvite(rows[0]), token: signInviteToken(rows[0]) }
+}
+
+/**
+ * Close an open invite so its link no longer works
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {number} inviteId
+ * @throws {InviteError} 404 when there's no open invite with that id
+ */
+export async function revokeInvite(db, practiceId, inviteId) {
+  const { rowCount } = await db.query(
+    `UPDATE practice_invites SET revoked_at = NOW()
+     WHERE id = $1 AND practice_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL`,
+    [inviteId, practiceId]
+  )
+  if (rowCount === 0) {
+    throw new InviteError('Invite not found', 404)
+  }
+}
+
+/**
+ * The open invite a token points at, with the practice name
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} token
+ * @param {Object} [options]
+ * @param {boolean} [options.forUpdate=false]
+ * @returns {Promise<Object>}
+ * @throws {InviteError} 400 when the token is invalid, expired, superseded or the invite is closed
+ */
+export async function findInviteByToken(db, token, { forUpdate = false } = {}) {
+  let payload
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (err) {
+    throw new InviteError(err.name === 'TokenExpiredError' ? 'This invitation has expired' : 'Invalid invitation link')
+  }
+  if (payload.purpose !== TOKEN_PURPOSE) {
+    throw new InviteError('Invalid invitation link')
+  }
+
+  const { rows } = await db.query(
+    `SELECT i.*, p.name AS practice_name
+     FROM practice_invites i
+     JOIN practices p ON i.practice_id = p.id
+     WHERE i.id = $1 ${forUpdate ? 'FOR UPDATE OF i' : ''}`,
+    [payload.invite_id]
+  )
+  const invite = rows[0]
+  if (!invite || invite.token_nonce !== payload.nonce) {
+    throw new InviteError('This invitation link has been replaced by a newer one')
+  }
+  if (invite.revoked_at) {
+    throw new InviteError('This invitation has been revoked')
+  }
+  if (invite.accepted_at) {
+    throw new InviteError('This invitation has already been accepted')
+  }
+  if (new Date(invite.expires_at) <= new Date()) {
+    throw new InviteError('This invitation has expired')
+  }
+  return publicInvite(invite)
+}
+
+/**
+ * Accept an invite. Someone new gets a login of their own; an existing
+ * user proves it's them with their password. Either way they join the
+ * practice with the invited role and it becomes their active practice.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {string} params.token
+ * @param {string} params.password
+ * @returns {Promise<{ user: Object, practice: { id: number, name: string, role: string }, created: boolean }>}
+ * @throws {InviteError} 400 for a bad token, 401 for the wrong password
+ * @throws {import('../auth/passwordPolicy.js').PasswordPolicyError} 400 when a new user's password is too weak
+ */
+export async function acceptInvite(client, { token, password }) {
+  const invite = await findInviteByToken(client, token, { forUpdate: true })
+
+  const { rows: existing } = await client.query(
+    'SELECT * FROM users WHERE LOWER(email) = $1',
+    [invite.email]
+  )
+
+  let user
+  let created = false
+  if (existing.length > 0) {
+    user = existing[0]
+    if (!(await comparePasswords(password, user.password_hash))) {
+      throw new InviteError('Incorrect password for the existing account with this email', 401)
+    }
+  } else {
+    assertPasswordPolicy(password, { email: invite.email })
+    const { rows } = await client.query(
+      // Opening the invite link proves the address, so it starts out verified
+      `INSERT INTO users (email, password_hash, practice_name, email_verified_at)
+       VALUES ($1, $2, $3, NOW()) RETURNING *`,
+      [invite.email, await hashPassword(password), invite.practice_name]
+    )
+    user = rows[0]
+    created = true
+  }
+
+  await client.query(
+    `INSERT INTO practice_members (practice_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (practice_id, user_id) DO NOTHING`,
+    [invite.practice_id, user.id, invite.role]
+  )
+  await client.query(
+    'UPDATE practice_invites SET accepted_at = NOW(), accepted_by = $2 WHERE id = $1',
+    [invite.id, user.id]
+  )
+  await client.query('UPDATE users SET active_practice_id = $1 WHERE id = $2', [invite.practice_id, user.id])
+
+  return {
+    user: { id: user.id, email: user.email, practice_name: user.practice_name },
+    practice: { id: invite.practice_id, name: invite.practice_name, role: invite.role },
+    created,
+  }
+}
@@ -0,0 +1,218 @@
+// ✅ /server/services/practices.js
+// Practices own the inventory data; users reach it through memberships.
+// A user's requests act on their active practice (users.active_practice_id,
+// or their first membership when that's unset or no longer theirs).
+import { PRACTICE_ROLES } from '../auth/permissions.js'
+
+export class PracticeAccessError extends Error {
+  constructor(message, statusCode = 403) {
+    super(message)
+    this.name = 'PracticeAccessError'
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Create a practice with its protected Common Area and make `ownerId` its owner
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {string} params.name
+ * @param {number} params.ownerId
+ * @returns {Promise<Object>} The practice row
+ */
+export async function createPractice(client, { name, ownerId }) {
+  const { rows } = await client.query(
+    'INSERT INTO practices (name) VALUES ($1) RETURNING *',
+    [name]
+  )
+  const practice = rows[0]
+
+  await client.query(
+    "INSERT INTO practice_members (practice_id, user_id, role) VALUES ($1, $2, 'owner')",
+    [practice.id, ownerId]
+  )
+  await client.query(
+    'INSERT INTO locations (practice_id, user_id, name, protected) VALUES ($1, $2, $3, true)',
+    [practice.id, ownerId, 'Common Area']
+  )
+  await client.query(
+    'UPDATE users SET active_practice_id = COALESCE(active_practice_id, $1) WHERE id = $2',
+    [practice.id, ownerId]
+  )
+  return practice
+}
+
+/**
+ * Every practice a user belongs to, with their role and which one is active
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @returns {Promise<Array<{ id: number, name: string, role: string, active: boolean }>>}
+ */
+export async function listMemberships(db, userId) {
+  const active = await resolveActivePractice(db, userId)
+  const { rows } = await db.query(
+    `SELECT p.id, p.name, pm.role, pm.created_at AS joined_at
+     FROM practice_members pm
+     JOIN practices p ON pm.practice_id = p.id
+     WHERE pm.user_id = $1
+     ORDER BY pm.id`,
+    [userId]
+  )
+  return rows.map((row) => ({ ...row, active: row.id === active?.id }))
+}
+
+/**
+ * The practice a user's requests act on
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @returns {Promise<{ id: number, name: string, role: string }|null>} null when the user has no membership
+ */
+export async function resolveActivePractice(db, userId) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.name, pm.role
+     FROM practice_members pm
+     JOIN practices p ON pm.practice_id = p.id
+     JOIN users u ON pm.user_id = u.id
+     WHERE pm.user_id = $1
+     ORDER BY (pm.practice_id = u.active_practice_id) DESC NULLS LAST, pm.id
+     LIMIT 1`,
+    [userId]
+  )
+  return rows[0] ?? null
+}
+
+/**
+ * Make one of the user's practices the active one
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @param {number} practiceId
+ * @throws {PracticeAccessError} When the user isn't a member
+ */
+export async function setActivePractice(db, userId, practiceId) {
+  const { rowCount } = await db.query(
+    'SELECT 1 FROM practice_members WHERE practice_id = $1 AND user_id = $2',
+    [practiceId, userId]
+  )
+  if (rowCount === 0) {
+    throw new PracticeAccessError('You are not a member of this practice')
+  }
+  await db.query('UPDATE users SET active_practice_id = $1 WHERE id = $2', [practiceId, userId])
+}
+
+/**
+ * Members of a practice, owners first
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @returns {Promise<Array<{ user_id: number, email: string, role: string, joined_at: Date }>>}
+ */
+export async function listMembers(db, practiceId) {
+  const { rows } = await db.query(
+    `SELECT u.id AS user_id, u.email, pm.role, pm.created_at AS joined_at
+     FROM practice_members pm
+     JOIN users u ON pm.user_id = u.id
+     WHERE pm.practice_id = $1
+     ORDER BY (pm.role = 'owner') DESC, pm.id`,
+    [practiceId]
+  )
+  return rows
+}
+
+// A practice is never left without someone who can manage it
+const assertNotLastOwner = async (client, practiceId, userId) => {
+  const { rows: owners } = await client.query(
+    "SELECT user_id FROM practice_members WHERE practice_id = $1 AND role = 'owner' FOR UPDATE",
+    [practiceId]
+  )
+  if (owners.length === 1 && owners[0].user_id === Number(userId)) {
+    throw new PracticeAccessError('A practice needs at least one owner', 400)
+  }
+}
+
+/**
+ * Add an existing user to a practice
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {Object} params
+ * @param {string} params.email
+ * @param {string} [params.role='staff']
+ * @returns {Promise<Object>} The membership row
+ * @throws {PracticeAccessError} 400 for an unknown role, 404 when no user has that email,
+ *   409 when they're already a member
+ */
+export async function addMember(db, practiceId, { email, role = 'staff' }) {
+  if (!PRACTICE_ROLES.includes(role)) {
+    throw new PracticeAccessError(`role must be one of: ${PRACTICE_ROLES.join(', ')}`, 400)
+  }
+
+  const { rows: users } = await db.query(
+    'SELECT id FROM users WHERE LOWER(email) = LOWER($1)',
+    [email]
+  )
+  if (users.length === 0) {
+    throw new PracticeAccessError('No user with that email', 404)
+  }
+
+  const { rows } = await db.query(
+    `INSERT INTO practice_members (practice_id, user_id, role)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (practice_id, user_id) DO NOTHING
+     RETURNING *`,
+    [practiceId, users[0].id, role]
+  )
+  if (rows.length === 0) {
+    throw new PracticeAccessError('That user is already a member of this practice', 409)
+  }
+  return rows[0]
+}
+
+/**
+ * Change a member's role. The last owner can't be demoted.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} practiceId
+ * @param {number} userId
+ * @param {string} role - One of PRACTICE_ROLES
+ * @returns {Promise<Object>} The membership row
+ * @throws {PracticeAccessError} 400 for an unknown role or the last owner, 404 when they aren't a member
+ */
+export async function updateMemberRole(client, practiceId, userId, role) {
+  if (!PRACTICE_ROLES.includes(role)) {
+    throw new PracticeAccessError(`role must be one of: ${PRACTICE_ROLES.join(', ')}`, 400)
+  }
+  if (role !== 'owner') {
+    await assertNotLastOwner(client, practiceId, userId)
+  }
+
+  const { rows } = await client.query(
+    'UPDATE practice_members SET role = $3 WHERE practice_id = $1 AND user_id = $2 RETURNING *',
+    [practiceId, userId, role]
+  )
+  if (rows.length === 0) {
+    throw new PracticeAccessError('Member not found', 404)
+  }
+  return rows[0]
+}
+
+/**
+ * Remove a user from a practice. The last owner can't be removed.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} practiceId
+ * @param {number} userId
+ * @throws {PracticeAccessError} 404 when they aren't a member, 400 for the last owner
+ */
+export async function removeMember(client, practiceId, userId) {
+  await assertNotLastOwner(client, practiceId, userId)
+
+  const { rowCount } = await client.query(
+    'DELETE FROM practice_members WHERE practice_id = $1 AND user_id = $2',
+    [practiceId, userId]
+  )
+  if (rowCount === 0) {
+    throw new PracticeAccessError('Member not found', 404)
+  }
+
+  // Their next request falls back to another membership
+  await client.query(
+    'UPDATE users SET active_practice_id = NULL WHERE id = $1 AND active_practice_id = $2',
+    [userId, practiceId]
+  )
+}
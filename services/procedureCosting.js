@@ -0,0 +1,82 @@
+// ✅ /server/services/procedureCosting.js
+// Prices a procedure's bill of materials. Two bases are supported:
+// cost_per_unit (the item's current cost) and last_purchase (the unit price
+// on the most recent receipt for the item, falling back to cost_per_unit).
+
+export const COST_BASES = ['cost_per_unit', 'last_purchase']
+
+/**
+ * Estimated supply cost of one procedure
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {number} procedureId
+ * @param {Object} [options]
+ * @param {string} [options.basis='cost_per_unit'] - One of COST_BASES
+ * @returns {Promise<Object|null>} null when the procedure isn't the practice's
+ */
+export async function priceProcedure(db, practiceId, procedureId, { basis = 'cost_per_unit' } = {}) {
+  const { rows: procRows } = await db.query(
+    'SELECT id, name FROM procedures WHERE id = $1 AND practice_id = $2',
+    [procedureId, practiceId]
+  )
+  if (procRows.length === 0) return null
+
+  const { rows } = await db.query(
+    `SELECT
+       ps.id,
+       ps.inventory_id,
+       ps.supply_id,
+       ps.quantity,
+       COALESCE(inv.name, s.name) AS name,
+       COALESCE(inv.unit, s.unit) AS unit,
+       COALESCE(inv.cost_per_unit, s.cost_per_unit) AS cost_per_unit,
+       last.unit_price AS last_purchase_price,
+       last.received_at AS last_purchased_at
+     FROM procedure_supplies ps
+     LEFT JOIN inventory inv ON ps.inventory_id = inv.id
+     LEFT JOIN supplies s ON ps.supply_id = s.id
+     LEFT JOIN LATERAL (
+       SELECT rl.unit_price, r.received_at
+       FROM receipt_lines rl
+       JOIN receipts r ON rl.receipt_id = r.id
+       WHERE rl.inventory_id = ps.inventory_id AND r.practice_id = $2 AND rl.unit_price IS NOT NULL
+       ORDER BY r.received_at DESC
+       LIMIT 1
+     ) last ON true
+     WHERE ps.procedure_id = $1
+     ORDER BY ps.id`,
+    [procedureId, practiceId]
+  )
+
+  let total = 0
+  const lines = rows.map((row) => {
+    const useLastPurchase = basis === 'last_purchase' && row.last_purchase_price != null
+    const unitPrice = useLastPurchase
+      ? parseFloat(row.last_purchase_price)
+      : row.cost_per_unit != null ? parseFloat(row.cost_per_unit) : null
+    const lineCost = Math.round(Number(row.quantity) * (unitPrice ?? 0) * 100) / 100
+    total += lineCost
+
+    return {
+      procedure_supply_id: row.id,
+      inventory_id: row.inventory_id,
+      supply_id: row.supply_id,
+      name: row.name,
+      unit: row.unit,
+      quantity: Number(row.quantity),
+      unit_price: unitPrice,
+      price_source: unitPrice == null ? null : useLastPurchase ? 'last_purchase' : 'cost_per_unit',
+      last_purchased_at: useLastPurchase ? row.last_purchased_at : null,
+      line_cost: lineCost,
+    }
+  })
+
+  return {
+    procedure_id: procRows[0].id,
+    procedure_name: procRows[0].name,
+    basis,
+    lines,
+    unpriced_lines: lines.filter((line) => line.unit_price == null).length,
+    total_cost: Math.round(total * 100) / 100,
+  }
+}
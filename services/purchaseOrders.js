@@ -0,0 +1,192 @@
+// ✅ /server/services/purchaseOrders.js
+// Shared purchase order helpers: status workflow, loading a PO with its
+// lines and totals, and validating/replacing line items.
+import { getCatalogUnitPrice } from './supplierCatalog.js'
+
+export const PO_STATUSES = ['draft', 'sent', 'partially_received', 'received', 'cancelled']
+
+// Which status a PO may move to from its current one. Receiving statuses are
+// normally set by receipts; they are allowed here for manual corrections.
+const TRANSITIONS = {
+  draft: ['sent', 'cancelled'],
+  sent: ['draft', 'partially_received', 'received', 'cancelled'],
+  partially_received: ['received', 'cancelled'],
+  received: [],
+  cancelled: [],
+}
+
+export class PurchaseOrderError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = 'PurchaseOrderError'
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * @param {string} from
+ * @param {string} to
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] ?? []).includes(to)
+}
+
+/**
+ * Items at or below their low stock threshold, summed across locations, with
+ * the quantity that brings each back up to twice its threshold. Expired lots
+ * don't count as stock, same as GET /api/low-stock/below-threshold.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {number} [supplierId] - Limit to one supplier's items
+ * @returns {Promise<Array<{ inventory_id: number, name: string, unit: string, supplier_id: number|null, quantity: number }>>}
+ */
+export async function findLowStockShortages(db, practiceId, supplierId = null) {
+  const values = [practiceId]
+  let supplierFilter = ''
+  if (supplierId) {
+    values.push(supplierId)
+    supplierFilter = 'AND inv.supplier_id = $2'
+  }
+
+  const { rows } = await db.query(
+    `SELECT
+       inv.id AS inventory_id,
+       inv.name,
+       inv.unit,
+       inv.supplier_id,
+       SUM(GREATEST(li.low_stock_threshold * 2 - (li.quantity - COALESCE(exp.expired_quantity, 0)), 1))::int AS quantity
+     FROM location_inventory li
+     JOIN inventory inv ON li.inventory_id = inv.id
+     JOIN locations l ON li.location_id = l.id
+     LEFT JOIN LATERAL (
+       SELECT SUM(lot.quantity) AS expired_quantity
+       FROM inventory_lots lot
+       WHERE lot.inventory_id = li.inventory_id AND lot.location_id = li.location_id
+         AND lot.quantity > 0 AND lot.expiration_date < CURRENT_DATE
+     ) exp ON true
+     WHERE l.practice_id = $1
+       AND li.quantity - COALESCE(exp.expired_quantity, 0) <= li.low_stock_threshold
+       ${supplierFilter}
+     GROUP BY inv.id, inv.name, inv.unit, inv.supplier_id
+     ORDER BY inv.name ASC`,
+    values
+  )
+  return rows
+}
+
+/**
+ * Load a purchase order owned by the practice with supplier, lines and totals
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} poId
+ * @param {number} practiceId
+ * @returns {Promise<Object|null>}
+ */
+export async function loadPurchaseOrder(db, poId, practiceId) {
+  const { rows } = await db.query(
+    `SELECT po.*, s.name AS supplier_name, s.email AS supplier_email
+     FROM purchase_orders po
+     JOIN suppliers s ON po.supplier_id = s.id
+     WHERE po.id = $1 AND po.practice_id = $2`,
+    [poId, practiceId]
+  )
+  if (rows.length === 0) return null
+
+  const { rows: lines } = await db.query(
+    `SELECT
+       pol.*,
+       inv.unit,
+       (pol.quantity_ordered * COALESCE(pol.unit_price, 0))::numeric(12, 2) AS line_total,
+       GREATEST(pol.quantity_ordered - pol.quantity_received, 0) AS quantity_outstanding
+     FROM purchase_order_lines pol
+     LEFT JOIN inventory inv ON pol.inventory_id = inv.id
+     WHERE pol.purchase_order_id = $1
+     ORDER BY pol.id`,
+    [poId]
+  )
+
+  const total = lines.reduce((sum, line) => sum + parseFloat(line.line_total), 0)
+  return { ...rows[0], lines, total: Math.round(total * 100) / 100 }
+}
+
+/**
+ * Replace every line of a PO. Items must belong to the practice; unit_price
+ * defaults to the supplier's catalog price, then the item's cost_per_unit.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} poId
+ * @param {number} practiceId
+ * @param {Array<{ inventory_id: number, quantity: number, unit_price?: number, notes?: string }>} lines
+ * @throws {PurchaseOrderError} On invalid quantities or foreign items
+ */
+export async function replaceLines(client, poId, practiceId, lines) {
+  if (!Array.isArray(lines)) {
+    throw new PurchaseOrderError('lines must be an array')
+  }
+
+  await client.query('DELETE FROM purchase_order_lines WHERE purchase_order_id = $1', [poId])
+  const { rows: poRows } = await client.query('SELECT supplier_id FROM purchase_orders WHERE id = $1', [poId])
+  const supplierId = poRows[0]?.supplier_id
+
+  for (const line of lines) {
+    const quantity = Number(line.quantity)
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new PurchaseOrderError(`Invalid quantity for item ID ${line.inventory_id}`)
+    }
+
+    const { rows } = await client.query(
+      'SELECT name, cost_per_unit FROM inventory WHERE id = $1 AND practice_id = $2',
+      [line.inventory_id, practiceId]
+    )
+    if (rows.length === 0) {
+      throw new PurchaseOrderError(`Unauthorized access to item ID ${line.inventory_id}`, 403)
+    }
+
+    const unitPrice = line.unit_price ??
+      (supplierId ? await getCatalogUnitPrice(client, supplierId, line.inventory_id) : null) ??
+      rows[0].cost_per_unit ??
+      null
+
+    await client.query(
+      `INSERT INTO purchase_order_lines (purchase_order_id, inventory_id, item_name, quantity_ordered, unit_price, notes)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [poId, line.inventory_id, rows[0].name, quantity, unitPrice, line.notes || null]
+    )
+  }
+}
+
+/**
+ * Add delivered quantities to a PO's lines and move the PO to
+ * partially_received / received accordingly
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} poId
+ * @param {Array<{ purchase_order_line_id: number, quantity: number }>} received
+ * @returns {Promise<string>} The PO's new status
+ */
+export async function applyReceiptToPurchaseOrder(client, poId, received) {
+  for (const { purchase_order_line_id, quantity } of received) {
+    if (quantity <= 0) continue
+    await client.query(
+      `UPDATE purchase_order_lines SET quantity_received = quantity_received + $1
+       WHERE id = $2 AND purchase_order_id = $3`,
+      [quantity, purchase_order_line_id, poId]
+    )
+  }
+
+  const { rows } = await client.query(
+    `SELECT
+       BOOL_AND(quantity_received >= quantity_ordered) AS complete,
+       BOOL_OR(quantity_received > 0) AS started
+     FROM purchase_order_lines WHERE purchase_order_id = $1`,
+    [poId]
+  )
+  const status = rows[0].complete ? 'received' : rows[0].started ? 'partially_received' : 'sent'
+
+  await client.query(
+    `UPDATE purchase_orders
+     SET status = $1::varchar, updated_at = NOW(),
+         received_at = CASE WHEN $1::varchar = 'received' THEN NOW() ELSE received_at END
+     WHERE id = $2`,
+    [status, poId]
+  )
+  return status
+}
@@ -0,0 +1,148 @@
+// ✅ /server/services/rateLimiter.js
+// Failure-counting rate limiter used to slow down password guessing.
+// Each key (an email, an IP…) gets a few free attempts; after that every
+// further hit pushes the next allowed attempt out exponentially, and enough
+// of them lock the key for a while. State lives in a store: in memory by
+// default, or anything with the same async get/set/delete shape (Redis, the
+// database…) via setRateLimitStore() so several server processes can share it.
+
+/**
+ * Default store: a Map whose entries expire. Fine for a single process;
+ * counts reset when the server restarts.
+ */
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.entries = new Map()
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs)
+    this.sweeper.unref?.()
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return null
+    }
+    return entry.value
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+  }
+
+  async delete(key) {
+    this.entries.delete(key)
+  }
+
+  sweep() {
+    const now = Date.now()
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key)
+    }
+  }
+}
+
+let activeStore = null
+
+const resolveStore = () => {
+  activeStore ??= new MemoryStore()
+  return activeStore
+}
+
+/**
+ * Replace the backing store for every limiter. It needs async
+ * get(key) → value|null, set(key, value, ttlMs) and delete(key).
+ * Pass null to go back to a fresh in-memory store.
+ * @param {{ get: Function, set: Function, delete: Function }|null} store
+ */
+export function setRateLimitStore(store) {
+  activeStore = store
+}
+
+/**
+ * @typedef {Object} RateLimitStatus
+ * @property {boolean} allowed
+ * @property {boolean} locked - Over the lockout threshold, not just delayed
+ * @property {number} retryAfterMs - 0 when allowed
+ * @property {number} failures
+ */
+
+/**
+ * Create a limiter. Keys are namespaced by `name`, so limiters can share a store.
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {number} options.freeAttempts - Hits allowed before any delay
+ * @param {number} options.baseDelayMs - Delay after the first hit past the free ones; doubles per hit
+ * @param {number} options.maxDelayMs
+ * @param {number} [options.lockoutAfter] - Hits that lock the key; omit for delays only
+ * @param {number} [options.lockoutMs]
+ * @param {number} options.windowMs - Hits are forgotten once this long passes without one
+ */
+export function createRateLimiter({
+  name,
+  freeAttempts,
+  baseDelayMs,
+  maxDelayMs,
+  lockoutAfter = null,
+  lockoutMs = 0,
+  windowMs,
+}) {
+  const storeKey = (key) => `${name}:${String(key).toLowerCase()}`
+
+  const statusOf = (state, now = Date.now()) => {
+    const failures = state?.failures ?? 0
+    if (state?.lockedUntil > now) {
+      return { allowed: false, locked: true, retryAfterMs: state.lockedUntil - now, failures }
+    }
+    if (state?.nextAttemptAt > now) {
+      return { allowed: false, locked: false, retryAfterMs: state.nextAttemptAt - now, failures }
+    }
+    return { allowed: true, locked: false, retryAfterMs: 0, failures }
+  }
+
+  return {
+    name,
+
+    /**
+     * Whether `key` may try now
+     * @returns {Promise<RateLimitStatus>}
+     */
+    async check(key) {
+      return statusOf(await resolveStore().get(storeKey(key)))
+    },
+
+    /**
+     * Count a failed (or, for plain rate limits, any) attempt
+     * @returns {Promise<RateLimitStatus & { lockedNow: boolean }>} lockedNow is true for the hit that triggered a lockout
+     */
+    async hit(key) {
+      const store = resolveStore()
+      const now = Date.now()
+      const previous = await store.get(storeKey(key))
+      const failures = (previous?.failures ?? 0) + 1
+
+      const state = { failures, nextAttemptAt: 0, lockedUntil: 0 }
+      let lockedNow = false
+      if (previous?.lockedUntil > now) {
+        state.lockedUntil = previous.lockedUntil
+      } else if (lockoutAfter && failures >= lockoutAfter) {
+        state.lockedUntil = now + lockoutMs
+        lockedNow = true
+      } else if (failures > freeAttempts) {
+        state.nextAttemptAt = now + Math.min(baseDelayMs * 2 ** (failures - freeAttempts - 1), maxDelayMs)
+      }
+
+      // A lockout's entry expires with it, so the count starts over afterwards
+      await store.set(storeKey(key), state, state.lockedUntil ? state.lockedUntil - now : windowMs)
+      return { ...statusOf(state, now), lockedNow }
+    },
+
+    /**
+     * Forget `key`'s failures, e.g. after a successful login
+     */
+    async reset(key) {
+      await resolveStore().delete(storeKey(key))
+    },
+  }
+}
@@ -0,0 +1,116 @@
+// ✅ /server/services/reorderSuggestions.js
+// Reorder suggestion engine. Per item it totals usable stock across every
+// location, adds what is already on open purchase orders, and compares that
+// with the summed par levels plus the consumption expected before a new
+// delivery arrives.
+
+const DEFAULT_USAGE_DAYS = 30
+const DEFAULT_LEAD_TIME_DAYS = 7
+
+/**
+ * Compute recommended order quantities for a practice's items
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} practiceId
+ * @param {Object} [options]
+ * @param {number} [options.usageDays=30] - Window for the consumption rate
+ * @param {number} [options.leadTimeDays=7] - Days of usage to cover until delivery
+ * @param {boolean} [options.includeAll=false] - Also return items that don't need reordering
+ * @returns {Promise<Array<Object>>} One row per item, most urgent first
+ */
+export async function computeReorderSuggestions(db, practiceId, {
+  usageDays = DEFAULT_USAGE_DAYS,
+  leadTimeDays = DEFAULT_LEAD_TIME_DAYS,
+  includeAll = false,
+} = {}) {
+  const { rows } = await db.query(
+    `WITH stock AS (
+       SELECT
+         li.inventory_id,
+         SUM(li.quantity - COALESCE(exp.expired_quantity, 0))::int AS on_hand,
+         SUM(COALESCE(li.par_min, li.low_stock_threshold, 0))::int AS par_min,
+         SUM(COALESCE(li.par_max, COALESCE(li.par_min, li.low_stock_threshold, 0) * 2))::int AS par_max
+       FROM location_inventory li
+       JOIN locations l ON li.location_id = l.id
+       LEFT JOIN LATERAL (
+         SELECT SUM(lot.quantity) AS expired_quantity
+         FROM inventory_lots lot
+         WHERE lot.inventory_id = li.inventory_id AND lot.location_id = li.location_id
+           AND lot.quantity > 0 AND lot.expiration_date < CURRENT_DATE
+       ) exp ON true
+       WHERE l.practice_id = $1
+       GROUP BY li.inventory_id
+     ),
+     usage AS (
+       SELECT inventory_id, SUM(-quantity_change)::int AS consumed
+       FROM inventory_movements
+       WHERE practice_id = $1
+         AND movement_type = 'consume'
+         AND created_at >= NOW() - make_interval(days => $2)
+       GROUP BY inventory_id
+     ),
+     on_order AS (
+       SELECT pol.inventory_id, SUM(GREATEST(pol.quantity_ordered - pol.quantity_received, 0))::int AS on_order
+       FROM purchase_order_lines pol
+       JOIN purchase_orders po ON pol.purchase_order_id = po.id
+       WHERE po.practice_id = $1 AND po.status IN ('sent', 'partially_received')
+       GROUP BY pol.inventory_id
+     )
+     SELECT
+       inv.id AS inventory_id,
+       inv.name,
+       inv.unit,
+       inv.cost_per_unit,
+       s.id AS supplier_id,
+       s.name AS supplier_name,
+       s.email AS supplier_email,
+       stock.on_hand,
+       stock.par_min,
+       stock.par_max,
+       COALESCE(usage.consumed, 0) AS consumed,
+       COALESCE(on_order.on_order, 0) AS on_order
+     FROM stock
+     JOIN inventory inv ON stock.inventory_id = inv.id
+     LEFT JOIN suppliers s ON inv.supplier_id = s.id
+     LEFT JOIN usage ON usage.inventory_id = inv.id
+     LEFT JOIN on_order ON on_order.inventory_id = inv.id
+     WHERE inv.practice_id = $1
+     ORDER BY inv.name ASC`,
+    [practiceId, usageDays]
+  )
+
+  const suggestions = rows.map((row) => {
+    const dailyUsage = row.consumed / usageDays
+    const leadTimeUsage = Math.ceil(dailyUsage * leadTimeDays)
+    const available = row.on_hand + row.on_order
+
+    // Reorder once stock would dip below par_min before a delivery lands,
+    // then refill to par_max plus what gets used while waiting
+    const reorderPoint = row.par_min + leadTimeUsage
+    const needsReorder = (row.par_min > 0 || dailyUsage > 0) && available <= reorderPoint
+    const suggested = needsReorder ? Math.max(row.par_max + leadTimeUsage - available, 0) : 0
+
+    return {
+      inventory_id: row.inventory_id,
+      name: row.name,
+      unit: row.unit,
+      supplier_id: row.supplier_id,
+      supplier_name: row.supplier_name,
+      supplier_email: row.supplier_email,
+      on_hand: row.on_hand,
+      on_order: row.on_order,
+      par_min: row.par_min,
+      par_max: row.par_max,
+      daily_usage: Math.round(dailyUsage * 100) / 100,
+      days_of_stock: dailyUsage > 0 ? Math.floor(row.on_hand / dailyUsage) : null,
+      reorder_point: reorderPoint,
+      suggested_quantity: suggested,
+      estimated_cost: row.cost_per_unit != null
+        ? Math.round(suggested * parseFloat(row.cost_per_unit) * 100) / 100
+        : null,
+    }
+  })
+
+  return suggestions
+    .filter((s) => includeAll || s.suggested_quantity > 0)
+    .sort((a, b) => (a.days_of_stock ?? Infinity) - (b.days_of_stock ?? Infinity))
+}
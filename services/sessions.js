@@ -0,0 +1,214 @@
+// ✅ /server/services/sessions.js
+// Login sessions: a short-lived access token (JWT carrying the session id)
+// plus a long-lived refresh token that rotates on every use. Sessions live
+// in user_sessions so they can be listed and revoked from the server.
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60
+export const REFRESH_TOKEN_TTL_DAYS = 30
+
+// last_seen_at is bumped at most this often, so most requests don't write
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000
+
+export class SessionError extends Error {
+  constructor(message, statusCode = 401) {
+    super(message)
+    this.name = 'SessionError'
+    this.statusCode = statusCode
+  }
+}
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex')
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url')
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+
+const signAccessToken = (user, sessionId) =>
+  jwt.sign(
+    { id: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  )
+
+const parseRefreshToken = (token) => {
+  const [id, secret] = String(token ?? '').split('.')
+  const sessionId = Number(id)
+  if (!Number.isInteger(sessionId) || !secret) return null
+  return { sessionId, secret }
+}
+
+/**
+ * Open a session for a user who just proved who they are
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {{ id: number, email: string }} user
+ * @param {Object} [device]
+ * @param {string} [device.userAgent]
+ * @param {string} [device.ip]
+ * @returns {Promise<{ sessionId: number, accessToken: string, refreshToken: string, refreshExpiresAt: Date }>}
+ */
+export async function createSession(db, user, { userAgent = null, ip = null } = {}) {
+  const secret = newSecret()
+  const expiresAt = refreshExpiry()
+  const { rows } = await db.query(
+    `INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip, expires_at)
+     VALUES ($1, $2, $3, $4, $5) RETURNING id`,
+    [user.id, hashSecret(secret), userAgent?.slice(0, 512) ?? null, ip, expiresAt]
+  )
+  const sessionId = rows[0].id
+  return {
+    sessionId,
+    accessToken: signAccessToken(user, sessionId),
+    refreshToken: `${sessionId}.${secret}`,
+    refreshExpiresAt: expiresAt,
+  }
+}
+
+/**
+ * Trade a refresh token for a new access token and a new refresh token.
+ * The old refresh token stops working; using it again revokes the session.
+ * Not meant for a caller's transaction: a reuse revocation must stick even
+ * though the refresh itself fails.
+ * @param {import('pg').Pool} db
+ * @param {string} refreshToken
+ * @param {Object} [device]
+ * @param {string} [device.userAgent]
+ * @param {string} [device.ip]
+ * @returns {Promise<{ sessionId: number, accessToken: string, refreshToken: string, refreshExpiresAt: Date }>}
+ * @throws {SessionError} When the token is unknown, expired, revoked or reused
+ */
+export async function rotateSession(db, refreshToken, { userAgent = null, ip = null } = {}) {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) {
+    throw new SessionError('Invalid refresh token')
+  }
+  const presented = hashSecret(parsed.secret)
+  const secret = newSecret()
+  const expiresAt = refreshExpiry()
+
+  // Compare-and-swap: only the holder of the current secret gets to rotate it
+  const { rows } = await db.query(
+    `UPDATE user_sessions s
+     SET previous_token_hash = s.refresh_token_hash, refresh_token_hash = $3,
+         expires_at = $4, last_seen_at = NOW(),
+         user_agent = COALESCE($5, s.user_agent), ip = COALESCE($6, s.ip)
+     FROM users u
+     WHERE s.id = $1 AND s.refresh_token_hash = $2 AND u.id = s.user_id
+       AND s.revoked_at IS NULL AND s.expires_at > NOW()
+     RETURNING s.id, s.user_id, u.email`,
+    [parsed.sessionId, presented, hashSecret(secret), expiresAt, userAgent?.slice(0, 512) ?? null, ip]
+  )
+
+  if (rows.length === 0) {
+    const { rowCount: reused } = await db.query(
+      `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'token_reuse'
+       WHERE id = $1 AND previous_token_hash = $2 AND revoked_at IS NULL`,
+      [parsed.sessionId, presented]
+    )
+    throw new SessionError(reused
+      ? 'Refresh token was already used. Please log in again.'
+      : 'Session has ended. Please log in again.')
+  }
+
+  const session = rows[0]
+  return {
+    sessionId: session.id,
+    accessToken: signAccessToken({ id: session.user_id, email: session.email }, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    refreshExpiresAt: expiresAt,
+  }
+}
+
+/**
+ * Whether an access token's session is still live; bumps last_seen_at
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @param {number} sessionId
+ * @returns {Promise<boolean>}
+ */
+export async function touchSession(db, userId, sessionId) {
+  const { rows } = await db.query(
+    `SELECT last_seen_at FROM user_sessions
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId, userId]
+  )
+  if (rows.length === 0) return false
+
+  if (Date.now() - new Date(rows[0].last_seen_at).getTime() > LAST_SEEN_RESOLUTION_MS) {
+    await db.query('UPDATE user_sessions SET last_seen_at = NOW() WHERE id = $1', [sessionId])
+  }
+  return true
+}
+
+/**
+ * The user's live sessions, most recently used first
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @param {number} [currentSessionId] - Flagged with `current: true`
+ * @returns {Promise<Array<{ id: number, user_agent: string|null, ip: string|null, created_at: Date, last_seen_at: Date, expires_at: Date, current: boolean }>>}
+ */
+export async function listSessions(db, userId, currentSessionId = null) {
+  const { rows } = await db.query(
+    `SELECT id, user_agent, ip, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC, id DESC`,
+    [userId]
+  )
+  return rows.map((row) => ({ ...row, current: row.id === currentSessionId }))
+}
+
+/**
+ * End one of a user's sessions
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @param {number} sessionId
+ * @param {string} [reason='user']
+ * @returns {Promise<boolean>} false when there was no live session with that id
+ */
+export async function revokeSession(db, userId, sessionId, reason = 'user') {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [sessionId, userId, reason]
+  )
+  return rowCount > 0
+}
+
+/**
+ * End every session a user has, e.g. after their password changes
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @param {string} reason
+ * @param {Object} [options]
+ * @param {number} [options.exceptSessionId] - Keep this one
+ * @returns {Promise<number>} How many were revoked
+ */
+export async function revokeAllSessions(db, userId, reason, { exceptSessionId = null } = {}) {
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2
+     WHERE user_id = $1 AND revoked_at IS NULL AND ($3::int IS NULL OR id <> $3)`,
+    [userId, reason, exceptSessionId]
+  )
+  return rowCount
+}
+
+/**
+ * End the session a refresh token belongs to; used on logout, where the
+ * access token may already have expired
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {string} refreshToken
+ * @returns {Promise<boolean>} false when the token doesn't match a live session
+ */
+export async function revokeSessionByRefreshToken(db, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return false
+
+  const { rowCount } = await db.query(
+    `UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = 'logout'
+     WHERE id = $1 AND refresh_token_hash = $2 AND revoked_at IS NULL`,
+    [parsed.sessionId, hashSecret(parsed.secret)]
+  )
+  return rowCount > 0
+}
@@ -0,0 +1,80 @@
+// ✅ /server/services/stockConsumption.js
+// Take stock out of a location for use: check and lower location_inventory,
+// draw the lots first-expiring-first-out (expired lots are quarantined) and
+// write the ledger row, all on the caller's transaction.
+import { recordMovement, MOVEMENT_TYPES } from './inventoryLedger.js'
+import { drawFromLots, InsufficientStockError } from './inventoryLots.js'
+
+export class StockNotFoundError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'StockNotFoundError'
+    this.statusCode = 404
+  }
+}
+
+/**
+ * Consume stock (in base units) of an item at a location
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {number} params.practiceId
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @param {number} params.quantity - Base units, > 0
+ * @param {number} [params.lotId] - Draw from this lot instead of FEFO
+ * @param {string} [params.reason]
+ * @param {number} [params.createdBy]
+ * @returns {Promise<Array<Object>>} Lot portions drawn (unlotted stock has lot_id null)
+ * @throws {StockNotFoundError} When the item isn't stocked at the location
+ * @throws {InsufficientStockError} When the location holds less than requested
+ */
+export async function consumeStock(client, {
+  practiceId,
+  inventoryId,
+  locationId,
+  quantity,
+  lotId,
+  reason = null,
+  createdBy = null,
+}) {
+  const { rows } = await client.query(
+    `SELECT id, quantity FROM location_inventory
+     WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE`,
+    [inventoryId, locationId]
+  )
+
+  if (!rows.length) {
+    throw new StockNotFoundError(`Item ID ${inventoryId} not found at location ${locationId}`)
+  }
+  if (rows[0].quantity < quantity) {
+    throw new InsufficientStockError(`Not enough quantity of item ID ${inventoryId} at location ${locationId}`)
+  }
+
+  const portions = await drawFromLots(client, {
+    inventoryId,
+    locationId,
+    quantity,
+    lotId,
+    allowExpired: false,
+  })
+
+  await client.query(
+    `UPDATE location_inventory
+     SET quantity = quantity - $1, updated_at = NOW()
+     WHERE id = $2`,
+    [quantity, rows[0].id]
+  )
+
+  await recordMovement(client, {
+    practiceId,
+    inventoryId,
+    locationId,
+    type: MOVEMENT_TYPES.CONSUME,
+    quantityChange: -quantity,
+    reason,
+    lots: portions,
+    createdBy,
+  })
+
+  return portions
+}
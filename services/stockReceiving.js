@@ -0,0 +1,66 @@
+// ✅ /server/services/stockReceiving.js
+// Deposit received stock into a location: bump location_inventory, file it
+// under its lot and write the ledger row, all on the caller's transaction.
+import { recordMovement, MOVEMENT_TYPES } from './inventoryLedger.js'
+import { receiveIntoLot } from './inventoryLots.js'
+
+/**
+ * Add received stock (in base units) to an item at a location
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {number} params.practiceId
+ * @param {number} params.inventoryId
+ * @param {number} params.locationId
+ * @param {number} params.quantity - Base units, > 0
+ * @param {string} [params.lotNumber]
+ * @param {string} [params.expirationDate] - YYYY-MM-DD
+ * @param {string} [params.reason] - Ledger note, e.g. the receipt reference
+ * @param {number} [params.createdBy]
+ * @returns {Promise<Object>} Ledger row written for the deposit
+ */
+export async function receiveStock(client, {
+  practiceId,
+  inventoryId,
+  locationId,
+  quantity,
+  lotNumber,
+  expirationDate,
+  reason = null,
+  createdBy = null,
+}) {
+  const { rows: locRows } = await client.query(
+    'SELECT id FROM location_inventory WHERE inventory_id = $1 AND location_id = $2 FOR UPDATE',
+    [inventoryId, locationId]
+  )
+
+  if (locRows.length > 0) {
+    await client.query(
+      'UPDATE location_inventory SET quantity = quantity + $1, updated_at = NOW() WHERE id = $2',
+      [quantity, locRows[0].id]
+    )
+  } else {
+    await client.query(
+      'INSERT INTO location_inventory (inventory_id, location_id, quantity, created_at, updated_at) VALUES ($1, $2, $3, NOW(), NOW())',
+      [inventoryId, locationId, quantity]
+    )
+  }
+
+  const lot = await receiveIntoLot(client, {
+    inventoryId,
+    locationId,
+    lotNumber,
+    expirationDate,
+    quantity,
+  })
+
+  return recordMovement(client, {
+    practiceId,
+    inventoryId,
+    locationId,
+    type: MOVEMENT_TYPES.RECEIVE,
+    quantityChange: quantity,
+    reason,
+    lots: lot ? [lot] : null,
+    createdBy,
+  })
+}
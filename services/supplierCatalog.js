@@ -0,0 +1,97 @@
+// ✅ /server/services/supplierCatalog.js
+// Supplier catalog helpers: price changes always go through here so that
+// supplier_catalog_prices stays a complete history.
+
+/**
+ * Set a catalog entry's price/pack size, appending a history row when it changed
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {number} params.catalogItemId
+ * @param {number|string|null} params.price - Per pack
+ * @param {number} params.packSize - Base units per pack
+ * @param {string} [params.source='manual'] - manual | receipt
+ * @param {number} [params.receiptId]
+ * @param {number} [params.recordedBy]
+ * @returns {Promise<boolean>} Whether a history row was written
+ */
+export async function setCatalogPrice(client, {
+  catalogItemId,
+  price,
+  packSize,
+  source = 'manual',
+  receiptId = null,
+  recordedBy = null,
+}) {
+  const { rows } = await client.query(
+    'SELECT price, pack_size FROM supplier_catalog_items WHERE id = $1 FOR UPDATE',
+    [catalogItemId]
+  )
+  if (rows.length === 0) return false
+
+  const current = rows[0]
+  const samePrice = (current.price === null && price == null) ||
+    (current.price !== null && price != null && Number(current.price) === Number(price))
+  if (samePrice && current.pack_size === packSize) return false
+
+  await client.query(
+    'UPDATE supplier_catalog_items SET price = $1, pack_size = $2, updated_at = NOW() WHERE id = $3',
+    [price ?? null, packSize, catalogItemId]
+  )
+
+  if (price == null) return false
+
+  await client.query(
+    `INSERT INTO supplier_catalog_prices (catalog_item_id, price, pack_size, source, receipt_id, recorded_by)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [catalogItemId, price, packSize, source, receiptId, recordedBy]
+  )
+  return true
+}
+
+/**
+ * Record the price paid on a receipt line against the supplier's catalog
+ * entry for the item. No-op when the item isn't in that supplier's catalog.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {Object} params
+ * @param {number} params.supplierId
+ * @param {number} params.inventoryId
+ * @param {number|string} params.unitPrice - Per base unit, as on receipt lines
+ * @param {number} params.receiptId
+ * @param {number} [params.recordedBy]
+ */
+export async function recordReceiptPrice(client, { supplierId, inventoryId, unitPrice, receiptId, recordedBy = null }) {
+  // Multiplied in SQL so the pack price keeps the unit price's precision
+  const { rows } = await client.query(
+    `SELECT id, pack_size, $3::numeric * pack_size AS pack_price
+     FROM supplier_catalog_items WHERE supplier_id = $1 AND inventory_id = $2`,
+    [supplierId, inventoryId, unitPrice]
+  )
+  if (rows.length === 0) return
+
+  await setCatalogPrice(client, {
+    catalogItemId: rows[0].id,
+    price: rows[0].pack_price,
+    packSize: rows[0].pack_size,
+    source: 'receipt',
+    receiptId,
+    recordedBy,
+  })
+}
+
+/**
+ * Current per-base-unit catalog price for an item from one supplier. Not
+ * rounded: it is often a fraction of a cent.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} supplierId
+ * @param {number} inventoryId
+ * @returns {Promise<number|null>}
+ */
+export async function getCatalogUnitPrice(db, supplierId, inventoryId) {
+  const { rows } = await db.query(
+    `SELECT price / pack_size AS unit_price
+     FROM supplier_catalog_items
+     WHERE supplier_id = $1 AND inventory_id = $2 AND price IS NOT NULL`,
+    [supplierId, inventoryId]
+  )
+  return rows.length > 0 ? Number(rows[0].unit_price) : null
+}
@@ -0,0 +1,231 @@
+// ✅ /server/services/twoFactor.js
+// Optional TOTP two-factor authentication: enrollment, code and recovery
+// code checks, and the short-lived challenge token that carries a login
+// from the password step to the code step.
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { generateTotpSecret, otpauthUri, verifyTotp } from '../auth/totp.js'
+
+export const RECOVERY_CODE_COUNT = 10
+
+const CHALLENGE_PURPOSE = '2fa_login'
+const CHALLENGE_TTL = '5m'
+
+export class TwoFactorError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message)
+    this.name = 'TwoFactorError'
+    this.statusCode = statusCode
+  }
+}
+
+const hashRecoveryCode = (code) =>
+  crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex')
+
+// xxxxx-xxxxx from an unambiguous alphabet (no 0/o, 1/l)
+const newRecoveryCode = () => {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789'
+  const chars = Array.from(crypto.randomBytes(10), (byte) => alphabet[byte % alphabet.length]).join('')
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`
+}
+
+const loadUser = async (db, userId, { forUpdate = false } = {}) => {
+  const { rows } = await db.query(
+    `SELECT id, email, totp_secret, totp_enabled_at, totp_last_step
+     FROM users WHERE id = $1 ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [userId]
+  )
+  if (rows.length === 0) {
+    throw new TwoFactorError('User not found', 404)
+  }
+  return rows[0]
+}
+
+const replaceRecoveryCodes = async (client, userId) => {
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId])
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, newRecoveryCode)
+  await client.query(
+    `INSERT INTO user_recovery_codes (user_id, code_hash)
+     SELECT $1, UNNEST($2::text[])`,
+    [userId, codes.map(hashRecoveryCode)]
+  )
+  return codes
+}
+
+// Accepts a code from the authenticator once; returns false for a wrong or replayed one
+const acceptTotp = async (client, user, code) => {
+  const step = verifyTotp(user.totp_secret, code)
+  if (step === null || (user.totp_last_step !== null && step <= Number(user.totp_last_step))) {
+    return false
+  }
+  await client.query('UPDATE users SET totp_last_step = $1 WHERE id = $2', [step, user.id])
+  return true
+}
+
+const acceptRecoveryCode = async (client, userId, recoveryCode) => {
+  const { rowCount } = await client.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE id = (
+       SELECT id FROM user_recovery_codes
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       LIMIT 1
+     )`,
+    [userId, hashRecoveryCode(recoveryCode)]
+  )
+  return rowCount > 0
+}
+
+/**
+ * Whether 2FA is on, and how many unused recovery codes remain
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @returns {Promise<{ enabled: boolean, enrollment_pending: boolean, recovery_codes_remaining: number }>}
+ */
+export async function getTwoFactorStatus(db, userId) {
+  const user = await loadUser(db, userId)
+  const { rows } = await db.query(
+    'SELECT COUNT(*)::int AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  )
+  return {
+    enabled: Boolean(user.totp_enabled_at),
+    enrollment_pending: Boolean(user.totp_secret && !user.totp_enabled_at),
+    recovery_codes_remaining: user.totp_enabled_at ? rows[0].remaining : 0,
+  }
+}
+
+/**
+ * Start (or restart) enrollment with a new secret. 2FA isn't on until
+ * enableTwoFactor() sees a code from it.
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} userId
+ * @returns {Promise<{ secret: string, otpauth_uri: string }>}
+ * @throws {TwoFactorError} 409 when 2FA is already on
+ */
+export async function startEnrollment(db, userId) {
+  const user = await loadUser(db, userId)
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409)
+  }
+
+  const secret = generateTotpSecret()
+  await db.query(
+    'UPDATE users SET totp_secret = $1, totp_last_step = NULL WHERE id = $2',
+    [secret, userId]
+  )
+  return { secret, otpauth_uri: otpauthUri({ secret, accountName: user.email }) }
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} Recovery codes, shown to the user this once
+ * @throws {TwoFactorError} 409 when already on or not started, 401 for a wrong code
+ */
+export async function enableTwoFactor(client, userId, code) {
+  const user = await loadUser(client, userId, { forUpdate: true })
+  if (user.totp_enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is already enabled', 409)
+  }
+  if (!user.totp_secret) {
+    throw new TwoFactorError('Start two-factor setup first', 409)
+  }
+  if (!(await acceptTotp(client, user, code))) {
+    throw new TwoFactorError('Invalid authentication code', 401)
+  }
+
+  await client.query('UPDATE users SET totp_enabled_at = NOW() WHERE id = $1', [userId])
+  return replaceRecoveryCodes(client, userId)
+}
+
+/**
+ * Check a second factor: an authenticator code, or failing that a recovery
+ * code (which is used up)
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} userId
+ * @param {Object} proof
+ * @param {string} [proof.code]
+ * @param {string} [proof.recoveryCode]
+ * @returns {Promise<'totp'|'recovery_code'>} Which one matched
+ * @throws {TwoFactorError} 400 when 2FA is off or nothing was given, 401 when it doesn't match
+ */
+export async function verifySecondFactor(client, userId, { code, recoveryCode }) {
+  const user = await loadUser(client, userId, { forUpdate: true })
+  if (!user.totp_enabled_at) {
+    throw new TwoFactorError('Two-factor authentication is not enabled')
+  }
+  if (!code && !recoveryCode) {
+    throw new TwoFactorError('An authentication code or recovery code is required')
+  }
+
+  if (code && (await acceptTotp(client, user, code))) return 'totp'
+  if (recoveryCode && (await acceptRecoveryCode(client, userId, recoveryCode))) return 'recovery_code'
+  throw new TwoFactorError(recoveryCode ? 'Invalid recovery code' : 'Invalid authentication code', 401)
+}
+
+/**
+ * Turn 2FA off. Needs a fresh authenticator code, or a recovery code for
+ * someone who lost their device.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} userId
+ * @param {{ code?: string, recoveryCode?: string }} proof
+ */
+export async function disableTwoFactor(client, userId, proof) {
+  await verifySecondFactor(client, userId, proof)
+  await client.query(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  )
+  await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId])
+}
+
+/**
+ * Replace all recovery codes. Needs a fresh authenticator code.
+ * @param {import('pg').PoolClient} client - Inside an open transaction
+ * @param {number} userId
+ * @param {string} code
+ * @returns {Promise<string[]>} The new codes
+ */
+export async function regenerateRecoveryCodes(client, userId, code) {
+  if (!code) {
+    throw new TwoFactorError('An authentication code is required')
+  }
+  await verifySecondFactor(client, userId, { code })
+  return replaceRecoveryCodes(client, userId)
+}
+
+/**
+ * Whether a user has to pass the code step to log in
+ * @param {{ totp_enabled_at?: Date|null }} user - A users row
+ * @returns {boolean}
+ */
+export function requiresSecondFactor(user) {
+  return Boolean(user.totp_enabled_at)
+}
+
+/**
+ * Token proving the password step passed; exchanged with a code at /login/2fa
+ * @param {{ id: number }} user
+ * @returns {string}
+ */
+export function createLoginChallenge(user) {
+  return jwt.sign({ purpose: CHALLENGE_PURPOSE, id: user.id }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL })
+}
+
+/**
+ * The user a login challenge was issued for
+ * @param {string} token
+ * @returns {number}
+ * @throws {TwoFactorError} 401 when it's invalid or expired
+ */
+export function readLoginChallenge(token) {
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET)
+    if (payload.purpose === CHALLENGE_PURPOSE) return payload.id
+  } catch {
+    // fall through
+  }
+  throw new TwoFactorError('Login challenge is invalid or has expired. Please log in again.', 401)
+}
@@ -0,0 +1,128 @@
+// ✅ /server/services/unitConversion.js
+// Convert quantities between an item's purchase/usage units and its base
+// unit (inventory.unit). Stock is always stored in whole base units.
+
+export class UnitConversionError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UnitConversionError'
+    this.statusCode = 400
+  }
+}
+
+const sameUnit = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase()
+
+/**
+ * All units configured for an item, base unit first
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} inventoryId
+ * @returns {Promise<Array<{ unit: string|null, factor: number, base: boolean }>>}
+ */
+export async function getUnits(db, inventoryId) {
+  const { rows } = await db.query(
+    `SELECT inv.unit AS base_unit, u.unit_name, u.factor
+     FROM inventory inv
+     LEFT JOIN inventory_units u ON u.inventory_id = inv.id
+     WHERE inv.id = $1
+     ORDER BY u.factor ASC`,
+    [inventoryId]
+  )
+  if (rows.length === 0) return []
+
+  return [
+    { unit: rows[0].base_unit, factor: 1, base: true },
+    ...rows.filter((row) => row.unit_name).map((row) => ({ unit: row.unit_name, factor: row.factor, base: false })),
+  ]
+}
+
+/**
+ * How many base units one `unit` of an item holds
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} inventoryId
+ * @param {string} [unit] - Omitted or the base unit → 1
+ * @returns {Promise<number>}
+ * @throws {UnitConversionError} When the unit is not configured for the item
+ */
+export async function getUnitFactor(db, inventoryId, unit) {
+  if (!unit) return 1
+
+  const units = await getUnits(db, inventoryId)
+  const match = units.find((u) => sameUnit(u.unit, unit))
+  if (!match) {
+    throw new UnitConversionError(`Unit "${unit}" is not configured for item ID ${inventoryId}`)
+  }
+  return match.factor
+}
+
+/**
+ * Convert a quantity given in `unit` to whole base units
+ * @param {import('pg').Pool|import('pg').PoolClient} db
+ * @param {number} inventoryId
+ * @param {number|string} quantity
+ * @param {string} [unit]
+ * @returns {Promise<number>}
+ * @throws {UnitConversionError} Unknown unit or a result that is not a whole base unit
+ */
+export async function toBaseQuantity(db, inventoryId, quantity, unit) {
+  const factor = await getUnitFactor(db, inventoryId, unit)
+  const base = Number(quantity) * factor
+  if (!Number.isInteger(base)) {
+    throw new UnitConversionError(`${quantity} ${unit || 'units'} is not a whole number of base units`)
+  }
+  return base
+}
+
+/**
+ * Resolve a list of unit definitions to base-unit factors. Each entry is
+ * `{ unit, factor, of? }` meaning one `unit` = `factor` × `of` (default the
+ * base unit), so chains like case → box → piece can be declared directly.
+ * @param {string|null} baseUnit
+ * @param {Array<{ unit: string, factor: number, of?: string }>} definitions
+ * @returns {Array<{ unit: string, factor: number }>} Factors in base units
+ * @throws {UnitConversionError} On unknown, circular or non-integer definitions
+ */
+export function resolveUnitDefinitions(baseUnit, definitions) {
+  const resolved = new Map()
+  let pending = [...definitions]
+
+  for (const def of pending) {
+    if (!def?.unit || !Number.isInteger(Number(def.factor)) || Number(def.factor) <= 0) {
+      throw new UnitConversionError('Each unit needs a name and a positive whole-number factor')
+    }
+    if (sameUnit(def.unit, baseUnit)) {
+      throw new UnitConversionError(`"${def.unit}" is already the base unit`)
+    }
+  }
+
+  while (pending.length > 0) {
+    const next = []
+    for (const def of pending) {
+      if (!def.of || sameUnit(def.of, baseUnit)) {
+        resolved.set(def.unit.trim().toLowerCase(), { unit: def.unit.trim(), factor: Number(def.factor) })
+        continue
+      }
+      const parent = resolved.get(def.of.trim().toLowerCase())
+      if (parent) {
+        resolved.set(def.unit.trim().toLowerCase(), { unit: def.unit.trim(), factor: Number(def.factor) * parent.factor })
+      } else {
+        next.push(def)
+      }
+    }
+    if (next.length === pending.length) {
+      throw new UnitConversionError(`Cannot resolve unit "${next[0].unit}": unknown or circular "${next[0].of}"`)
+    }
+    pending = next
+  }
+
+  return [...resolved.values()]
+}
+
+/**
+ * Express a base quantity in another unit (may be fractional)
+ * @param {number} baseQuantity
+ * @param {number} factor - Base units per display unit
+ * @returns {number}
+ */
+export function fromBaseQuantity(baseQuantity, factor) {
+  return Math.round((baseQuantity / factor) * 1000) / 1000
+}
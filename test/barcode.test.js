@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('barcode scanning', () => {
+  let app, pool, teardown, auth, user, common, itemId
+
+  const quantityAt = async (inventoryId, locationId) => {
+    const { rows } = await pool.query(
+      'SELECT quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2',
+      [inventoryId, locationId]
+    )
+    return rows[0]?.quantity ?? null
+  }
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    ;({ auth, user } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+  })
+  after(() => teardown())
+
+  it('creates an item from a scan', async () => {
+    const res = await request(app)
+      .post('/api/barcode/create')
+      .set(auth)
+      .send({ name: 'Composite A2', quantity: 3, unit: 'syringe', barcode: '0123456789012', location_id: common.id })
+    assert.equal(res.status, 200)
+    itemId = res.body.id
+    assert.equal(await quantityAt(itemId, common.id), 3)
+  })
+
+  it('looks up the primary barcode', async () => {
+    const res = await request(app).get('/api/barcode/lookup/0123456789012').set(auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.id, itemId)
+    assert.equal(res.body.pack_quantity, 1)
+  })
+
+  it('returns 404 for an unknown code and for another user', async () => {
+    await request(app).get('/api/barcode/lookup/999').set(auth).expect(404)
+
+    const other = await registerAndLogin(app)
+    await request(app).get('/api/barcode/lookup/0123456789012').set(other.auth).expect(404)
+  })
+
+  it('assigns a case barcode as an alias with a pack multiplier', async () => {
+    const res = await request(app)
+      .post('/api/barcode/assign')
+      .set(auth)
+      .send({ inventory_id: itemId, barcode: 'CASE-10', pack_quantity: 10, label: 'Case' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.alias.pack_quantity, 10)
+
+    const lookup = await request(app).get('/api/barcode/lookup/CASE-10').set(auth)
+    assert.equal(lookup.body.id, itemId)
+    assert.equal(lookup.body.pack_quantity, 10)
+  })
+
+  it('refuses a barcode that is already in use', async () => {
+    const res = await request(app)
+      .post('/api/barcode/assign')
+      .set(auth)
+      .send({ inventory_id: itemId, barcode: '0123456789012' })
+    assert.equal(res.status, 400)
+  })
+
+  it('multiplies check-ins of a case barcode by its pack size', async () => {
+    const res = await request(app)
+      .post('/api/barcode/checkin')
+      .set(auth)
+      .send({ inventory_id: itemId, location_id: common.id, quantity: 2, barcode: 'CASE-10' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.quantity, 20)
+    assert.equal(await quantityAt(itemId, common.id), 23)
+  })
+
+  it('takes lot and expiry from a GS1 scan', async () => {
+    await request(app)
+      .post('/api/barcode/assign')
+      .set(auth)
+      .send({ inventory_id: itemId, barcode: '00312345678906' })
+      .expect(200)
+
+    const scan = '010031234567890617300101' + '10GS1LOT'
+    const lookup = await request(app).get(`/api/barcode/lookup/${scan}`).set(auth)
+    assert.equal(lookup.status, 200)
+    assert.equal(lookup.body.id, itemId)
+    assert.equal(lookup.body.gs1.lot_number, 'GS1LOT')
+
+    const res = await request(app)
+      .post('/api/barcode/checkin')
+      .set(auth)
+      .send({ inventory_id: itemId, location_id: common.id, quantity: 1, barcode: scan })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.lots[0].lot_number, 'GS1LOT')
+  })
+
+  it('consumes a scan and refuses more than is on hand', async () => {
+    await request(app)
+      .post('/api/barcode/consume')
+      .set(auth)
+      .send({ inventory_id: itemId, location_id: common.id, quantity: 4 })
+      .expect(200)
+    assert.equal(await quantityAt(itemId, common.id), 20)
+
+    const res = await request(app)
+      .post('/api/barcode/consume')
+      .set(auth)
+      .send({ inventory_id: itemId, location_id: common.id, quantity: 500 })
+    assert.equal(res.status, 400)
+    assert.equal(await quantityAt(itemId, common.id), 20)
+
+    const other = await registerAndLogin(app)
+    await request(app)
+      .post('/api/barcode/consume')
+      .set(other.auth)
+      .send({ inventory_id: itemId, location_id: common.id, quantity: 1 })
+      .expect(403)
+    assert.equal(await quantityAt(itemId, common.id), 20)
+  })
+
+  it("refuses to check in another practice's item or location", async () => {
+    const other = await registerAndLogin(app)
+    const otherCommon = await commonArea(app, other.auth)
+
+    await request(app)
+      .post('/api/barcode/checkin')
+      .set(other.auth)
+      .send({ inventory_id: itemId, location_id: otherCommon.id, quantity: 5 })
+      .expect(403)
+    await request(app)
+      .post('/api/barcode/checkin')
+      .set(auth)
+      .send({ inventory_id: itemId, location_id: otherCommon.id, quantity: 5 })
+      .expect(403)
+
+    assert.equal(await quantityAt(itemId, otherCommon.id), null)
+    assert.equal(await quantityAt(itemId, common.id), 20)
+  })
+
+  it("refuses to create an item in another practice's location", async () => {
+    const other = await registerAndLogin(app)
+    const otherCommon = await commonArea(app, other.auth)
+
+    await request(app)
+      .post('/api/barcode/create')
+      .set(auth)
+      .send({ name: 'Bonding Agent', quantity: 2, barcode: 'BOND-1', location_id: otherCommon.id })
+      .expect(403)
+    await request(app).get('/api/barcode/lookup/BOND-1').set(auth).expect(404)
+
+    const missing = await request(app).post('/api/barcode/create').set(auth).send({ name: 'Bonding Agent', quantity: 2 })
+    assert.equal(missing.status, 400)
+  })
+
+  it('requires a token', async () => {
+    await request(app).get('/api/barcode/lookup/0123456789012').expect(401)
+  })
+})
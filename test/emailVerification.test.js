@@ -0,0 +1,114 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import jwt from 'jsonwebtoken'
+import { setupTestApp, registerAndLogin, authTokenFrom } from './helpers/testApp.js'
+import { setMailTransport } from '../services/emailService.js'
+import { setRateLimitStore, MemoryStore } from '../services/rateLimiter.js'
+
+describe('email verification', () => {
+  let app, pool, teardown
+  const sent = []
+
+  const tokenIn = (message) => decodeURIComponent(message.html.match(/token=([^"&]+)/)[1])
+  const tokenMailedTo = (email) => {
+    const message = sent.filter((m) => m.to === email).at(-1)
+    assert.ok(message, `no email sent to ${email}`)
+    return tokenIn(message)
+  }
+  const verify = (token) => request(app).post('/api/users/verify-email').send({ token })
+  const me = (auth) => request(app).get('/api/users/me').set(auth)
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    setMailTransport(async (message) => {
+      sent.push(message)
+      return { id: null }
+    })
+  })
+  beforeEach(() => setRateLimitStore(new MemoryStore()))
+  after(async () => {
+    setMailTransport(null)
+    setRateLimitStore(null)
+    await teardown()
+  })
+
+  it('mails a link on registration and marks the address verified when it is opened', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'new@example.com' })
+
+    assert.equal((await me(auth)).body.user.email_verified, false)
+    const token = tokenMailedTo('new@example.com')
+
+    const res = await verify(token)
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { email: 'new@example.com', email_verified: true })
+    assert.equal((await me(auth)).body.user.email_verified, true)
+
+    // Opening the link again is fine
+    await verify(token).expect(200)
+  })
+
+  it('reports the flag at login and on /api/auth/me', async () => {
+    await registerAndLogin(app, { email: 'flag@example.com', password: 'correct horse battery staple' })
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'flag@example.com', password: 'correct horse battery staple' })
+    assert.equal(login.body.user.email_verified, false)
+
+    const res = await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${authTokenFrom(login)}` })
+    assert.equal(res.body.user.email_verified, false)
+  })
+
+  it('rejects expired, forged and other-purpose tokens', async () => {
+    const { user } = await registerAndLogin(app, { email: 'tokens@example.com' })
+    const sign = (payload, options) => jwt.sign(payload, process.env.JWT_SECRET, options)
+
+    const expired = await verify(sign({ purpose: 'email_verify', id: user.id, email: user.email }, { expiresIn: -10 }))
+    assert.equal(expired.status, 400)
+    assert.match(expired.body.error, /expired/)
+
+    await verify(jwt.sign({ purpose: 'email_verify', id: user.id, email: user.email }, 'wrong-secret')).expect(400)
+    await verify(sign({ id: user.id, email: user.email })).expect(400)
+    await verify(undefined).expect(400)
+  })
+
+  it('refuses a link for an address the account no longer has', async () => {
+    const { user } = await registerAndLogin(app, { email: 'before@example.com' })
+    const token = tokenMailedTo('before@example.com')
+    await pool.query('UPDATE users SET email = $1 WHERE id = $2', ['after@example.com', user.id])
+
+    await verify(token).expect(400)
+  })
+
+  it('resends the link, with a limit, until the address is verified', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'resend@example.com' })
+    const resend = () => request(app).post('/api/users/verify-email/resend').set(auth)
+
+    const statuses = []
+    for (let i = 0; i < 5; i++) statuses.push((await resend()).status)
+    assert.deepEqual(statuses, [200, 200, 200, 200, 429])
+
+    await verify(tokenMailedTo('resend@example.com')).expect(200)
+    setRateLimitStore(new MemoryStore())
+    await resend().expect(409)
+  })
+
+  it('treats users who joined through an invite as verified', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'inviter@example.com' })
+    await request(app)
+      .post('/api/practices/current/invites')
+      .set(auth)
+      .send({ email: 'invited@example.com', role: 'staff' })
+      .expect(201)
+    const inviteToken = tokenIn(sent.at(-1))
+
+    await request(app)
+      .post('/api/invites/accept')
+      .send({ token: inviteToken, password: 'correct horse battery staple' })
+      .expect(201)
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'invited@example.com', password: 'correct horse battery staple' })
+    assert.equal(login.body.user.email_verified, true)
+  })
+})
@@ -0,0 +1,186 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('inventory', () => {
+  let app, teardown, auth, common, operatory, gloves
+
+  const stockAt = async (inventoryId, locationId) => {
+    const res = await request(app).get('/api/inventory').set(auth).expect(200)
+    const row = res.body.find((r) => r.inventory_id === inventoryId && r.location_id === locationId)
+    return row ?? null
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    operatory = (await request(app).post('/api/locations').set(auth).send({ name: 'Operatory 1' })).body
+  })
+  after(() => teardown())
+
+  it('adds a new item into Common Area as a lot', async () => {
+    const res = await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({
+        destination: 'common_area',
+        supplies: [{ isNew: true, name: 'Nitrile Gloves', quantity: 10, unit: 'box', lot_number: 'LATE', expiration_date: '2031-01-01' }],
+      })
+    assert.equal(res.status, 200)
+
+    const items = await request(app).get('/api/inventory').set(auth).query({ search: 'nitrile' })
+    assert.equal(items.body.length, 1)
+    gloves = items.body[0].inventory_id
+
+    const row = await stockAt(gloves, common.id)
+    assert.equal(row.quantity, 10)
+    assert.deepEqual(row.lots.map((l) => [l.lot_number, l.quantity]), [['LATE', 10]])
+  })
+
+  it('adds more of an existing item as a second lot', async () => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({
+        destination: 'common_area',
+        supplies: [{ inventory_id: gloves, quantity: 5, lot_number: 'EARLY', expiration_date: '2030-01-01' }],
+      })
+      .expect(200)
+
+    const row = await stockAt(gloves, common.id)
+    assert.equal(row.quantity, 15)
+    assert.deepEqual(row.lots.map((l) => l.lot_number), ['EARLY', 'LATE'])
+  })
+
+  it('transfers first-expiring stock to another location', async () => {
+    const res = await request(app)
+      .post('/api/inventory/transfer')
+      .set(auth)
+      .send({ inventory_id: gloves, source_location_id: common.id, destination_location_id: operatory.id, quantity: 6 })
+    assert.equal(res.status, 200)
+
+    assert.equal((await stockAt(gloves, common.id)).quantity, 9)
+    const moved = await stockAt(gloves, operatory.id)
+    assert.equal(moved.quantity, 6)
+    assert.deepEqual(moved.lots.map((l) => [l.lot_number, l.quantity]), [['EARLY', 5], ['LATE', 1]])
+  })
+
+  it('refuses to transfer more than the source holds', async () => {
+    const res = await request(app)
+      .post('/api/inventory/transfer')
+      .set(auth)
+      .send({ inventory_id: gloves, source_location_id: common.id, destination_location_id: operatory.id, quantity: 100 })
+    assert.equal(res.status, 400)
+    assert.equal((await stockAt(gloves, common.id)).quantity, 9)
+  })
+
+  it('consumes stock and refuses to go below zero', async () => {
+    await request(app)
+      .post('/api/inventory/consume')
+      .set(auth)
+      .send({ location: operatory.id, supplies: [{ inventory_id: gloves, quantity: 2 }] })
+      .expect(200)
+    assert.equal((await stockAt(gloves, operatory.id)).quantity, 4)
+
+    const res = await request(app)
+      .post('/api/inventory/consume')
+      .set(auth)
+      .send({ location: operatory.id, supplies: [{ inventory_id: gloves, quantity: 50 }] })
+    assert.equal(res.status, 400)
+    assert.equal((await stockAt(gloves, operatory.id)).quantity, 4)
+  })
+
+  it('keeps items private to their owner', async () => {
+    const other = await registerAndLogin(app)
+    const res = await request(app)
+      .post('/api/inventory/consume')
+      .set(other.auth)
+      .send({ location: operatory.id, supplies: [{ inventory_id: gloves, quantity: 1 }] })
+    assert.equal(res.status, 403)
+
+    await request(app).get(`/api/inventory/${gloves}/history`).set(other.auth).expect(404)
+  })
+
+  it('records every change in the movement history', async () => {
+    const res = await request(app).get(`/api/inventory/${gloves}/history`).set(auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.name, 'Nitrile Gloves')
+    assert.deepEqual(
+      res.body.movements.map((m) => [m.movement_type, m.location_name, m.quantity_change, m.quantity_after]),
+      [
+        ['receive', 'Common Area', 10, 10],
+        ['receive', 'Common Area', 5, 15],
+        ['transfer_out', 'Common Area', -6, 9],
+        ['transfer_in', 'Operatory 1', 6, 6],
+        ['consume', 'Operatory 1', -2, 4],
+      ]
+    )
+  })
+
+  it('rejects malformed history dates', async () => {
+    for (const query of [{ from: 'yesterday-ish' }, { from: '2024-02-30T25:00' }, { to: '2025-13-45' }, { as_of: 'soon' }]) {
+      const res = await request(app).get(`/api/inventory/${gloves}/history`).set(auth).query(query)
+      assert.equal(res.status, 400)
+      assert.match(res.body.error, /valid date/)
+    }
+    await request(app).get(`/api/inventory/${gloves}/history`).set(auth).query({ from: '2020-01-01', as_of: new Date().toISOString() }).expect(200)
+  })
+
+  it('disposes only expired lots', async () => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({
+        destination: 'common_area',
+        supplies: [{ isNew: true, name: 'Saliva Ejectors', quantity: 4, lot_number: 'OLD', expiration_date: '2020-01-01' }],
+      })
+      .expect(200)
+    const items = await request(app).get('/api/inventory').set(auth).query({ search: 'saliva' })
+    const ejectors = items.body[0].inventory_id
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ inventory_id: ejectors, quantity: 6, lot_number: 'NEW', expiration_date: '2031-01-01' }] })
+      .expect(200)
+
+    const lots = Object.fromEntries((await stockAt(ejectors, common.id)).lots.map((l) => [l.lot_number, l.lot_id]))
+    const fresh = await request(app).post(`/api/inventory/lots/${lots.NEW}/dispose`).set(auth).send({})
+    assert.equal(fresh.status, 400)
+    assert.match(fresh.body.error, /expired/)
+
+    await request(app).post(`/api/inventory/lots/${lots.OLD}/dispose`).set(auth).send({}).expect(200)
+    const row = await stockAt(ejectors, common.id)
+    assert.equal(row.quantity, 6)
+    assert.deepEqual(row.lots.map((l) => l.lot_number), ['NEW'])
+  })
+
+  it("refuses to stock or adjust another practice's locations", async () => {
+    const other = await registerAndLogin(app)
+    const otherCommon = await commonArea(app, other.auth)
+    const before = await stockAt(gloves, common.id)
+
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'location', location: otherCommon.id, supplies: [{ inventory_id: gloves, quantity: 1 }] })
+      .expect(403)
+    await request(app)
+      .post('/api/inventory/transfer')
+      .set(auth)
+      .send({ inventory_id: gloves, source_location_id: common.id, destination_location_id: otherCommon.id, quantity: 1 })
+      .expect(403)
+    await request(app)
+      .patch(`/api/low-stock/${gloves}/location/${common.id}`)
+      .set(other.auth)
+      .send({ low_stock_threshold: 99 })
+      .expect(404)
+
+    const after = await stockAt(gloves, common.id)
+    assert.equal(after.quantity, before.quantity)
+    assert.equal(after.location_low_stock_threshold, before.location_low_stock_threshold)
+    const lowStock = await request(app).get('/api/low-stock/all').set(other.auth)
+    assert.deepEqual(lowStock.body, [])
+  })
+})
@@ -0,0 +1,160 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+import { setMailTransport } from '../services/emailService.js'
+
+describe('practice invites', () => {
+  let app, pool, teardown, owner
+  const sent = []
+
+  const tokenFrom = (message) => decodeURIComponent(/token=([^"&]+)/.exec(message.html)[1])
+
+  const invite = async (email, role) => {
+    const res = await request(app)
+      .post('/api/practices/current/invites')
+      .set(owner.auth)
+      .send({ email, role })
+    assert.equal(res.status, 201)
+    return { invite: res.body, token: tokenFrom(sent.at(-1)) }
+  }
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    setMailTransport(async (message) => {
+      sent.push(message)
+      return { id: null }
+    })
+    owner = await registerAndLogin(app, { email: 'boss@example.com', practice_name: 'Invite Dental' })
+  })
+  after(async () => {
+    setMailTransport(null)
+    await teardown()
+  })
+
+  it('emails an invite and lets the invitee create their own login', async () => {
+    const { invite: created, token } = await invite('New.Hire@example.com', 'staff')
+    assert.equal(created.email, 'new.hire@example.com')
+    assert.equal(created.token_nonce, undefined)
+    assert.equal(sent.at(-1).to, 'new.hire@example.com')
+    assert.match(sent.at(-1).subject, /Invite Dental/)
+
+    const preview = await request(app).get('/api/invites/preview').query({ token })
+    assert.equal(preview.status, 200)
+    assert.deepEqual(
+      [preview.body.practice_name, preview.body.role, preview.body.has_account],
+      ['Invite Dental', 'staff', false]
+    )
+
+    const accepted = await request(app)
+      .post('/api/invites/accept')
+      .send({ token, password: 'hygienist-password' })
+    assert.equal(accepted.status, 201)
+    assert.equal(accepted.body.practice.name, 'Invite Dental')
+
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'new.hire@example.com', password: 'hygienist-password' })
+      .expect(200)
+    const me = await request(app).get('/api/users/me').set('Cookie', login.headers['set-cookie'])
+    assert.equal(me.body.practice.name, 'Invite Dental')
+    assert.equal(me.body.practice.role, 'staff')
+
+    // A used link can't be replayed
+    await request(app).post('/api/invites/accept').send({ token, password: 'x' }).expect(400)
+  })
+
+  it('adds an existing user once they confirm their password', async () => {
+    await registerAndLogin(app, { email: 'existing@example.com', password: 'their-own-password' })
+    const { token } = await invite('existing@example.com', 'manager')
+
+    await request(app).post('/api/invites/accept').send({ token, password: 'wrong' }).expect(401)
+    const res = await request(app)
+      .post('/api/invites/accept')
+      .send({ token, password: 'their-own-password' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.practice.role, 'manager')
+  })
+
+  it('lists open invites and refuses duplicates and members', async () => {
+    await invite('pending@example.com')
+    await request(app)
+      .post('/api/practices/current/invites')
+      .set(owner.auth)
+      .send({ email: 'PENDING@example.com' })
+      .expect(409)
+    await request(app)
+      .post('/api/practices/current/invites')
+      .set(owner.auth)
+      .send({ email: 'new.hire@example.com' })
+      .expect(409)
+
+    const res = await request(app).get('/api/practices/current/invites').set(owner.auth)
+    assert.deepEqual(res.body.map((i) => [i.email, i.expired]), [['pending@example.com', false]])
+  })
+
+  it('resends with a new link that replaces the old one', async () => {
+    const { invite: created, token: oldToken } = await invite('resend@example.com')
+    const res = await request(app)
+      .post(`/api/practices/current/invites/${created.id}/resend`)
+      .set(owner.auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.send_count, 2)
+    const newToken = tokenFrom(sent.at(-1))
+
+    const stale = await request(app).post('/api/invites/accept').send({ token: oldToken, password: 'pw-123456' })
+    assert.equal(stale.status, 400)
+    assert.match(stale.body.error, /replaced/)
+    await request(app).post('/api/invites/accept').send({ token: newToken, password: 'pw-123456' }).expect(201)
+  })
+
+  it('revokes an invite so its link stops working', async () => {
+    const { invite: created, token } = await invite('revoked@example.com')
+    await request(app).delete(`/api/practices/current/invites/${created.id}`).set(owner.auth).expect(200)
+
+    const res = await request(app).post('/api/invites/accept').send({ token, password: 'pw-123456' })
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /revoked/)
+    await request(app).delete(`/api/practices/current/invites/${created.id}`).set(owner.auth).expect(404)
+  })
+
+  it('rejects expired invites', async () => {
+    const { invite: created, token } = await invite('late@example.com')
+    await pool.query("UPDATE practice_invites SET expires_at = NOW() - INTERVAL '1 minute' WHERE id = $1", [created.id])
+
+    const res = await request(app).post('/api/invites/accept').send({ token, password: 'pw-123456' })
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /expired/)
+  })
+
+  it('rolls back the invite when the email fails', async () => {
+    setMailTransport(async () => { throw new Error('provider down') })
+    try {
+      const res = await request(app)
+        .post('/api/practices/current/invites')
+        .set(owner.auth)
+        .send({ email: 'bounce@example.com' })
+      assert.equal(res.status, 502)
+    } finally {
+      setMailTransport(async (message) => {
+        sent.push(message)
+        return { id: null }
+      })
+    }
+    const { rowCount } = await pool.query("SELECT 1 FROM practice_invites WHERE email = 'bounce@example.com'")
+    assert.equal(rowCount, 0)
+  })
+
+  it('only lets owners invite', async () => {
+    const { token } = await invite('staffer@example.com', 'staff')
+    await request(app).post('/api/invites/accept').send({ token, password: 'staff-password' }).expect(201)
+    const login = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'staffer@example.com', password: 'staff-password' })
+    await request(app)
+      .post('/api/practices/current/invites')
+      .set('Cookie', login.headers['set-cookie'])
+      .send({ email: 'friend@example.com' })
+      .expect(403)
+  })
+})
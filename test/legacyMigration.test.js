@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import { promisify } from 'node:util'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+import { migrateLegacyPractice } from '../services/legacyMigration.js'
+
+describe('legacy data migration', () => {
+  let app, pool, teardown, auth, user, practiceId, operatory, gloves
+
+  const migrate = async () => {
+    const client = await pool.connect()
+    try {
+      await client.query('BEGIN')
+      const report = await migrateLegacyPractice(client, practiceId)
+      await client.query('COMMIT')
+      return report
+    } finally {
+      client.release()
+    }
+  }
+
+  const quantityAt = async (inventoryId, locationId) => {
+    const { rows } = await pool.query(
+      'SELECT quantity FROM location_inventory WHERE inventory_id = $1 AND location_id = $2',
+      [inventoryId, locationId]
+    )
+    return rows[0]?.quantity ?? null
+  }
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    ;({ auth, user } = await registerAndLogin(app))
+    practiceId = (await request(app).get('/api/users/me').set(auth)).body.practice.id
+    operatory = (await request(app).post('/api/locations').set(auth).send({ name: 'Op 1' })).body
+
+    // Gloves are already stocked in Op 1 under the current model
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'location', location: operatory.id, supplies: [{ isNew: true, name: 'Gloves', quantity: 4 }] })
+      .expect(200)
+    gloves = (await request(app).get('/api/inventory').set(auth).query({ search: 'Gloves' })).body[0].inventory_id
+
+    // ...and the legacy tables still hold Op 1's gloves from before
+    const insert = async (sql, values) => (await pool.query(`${sql} RETURNING id`, values)).rows[0].id
+    const op = await insert('INSERT INTO ops (user_id, practice_id, name) VALUES ($1, $2, $3)', [user.id, practiceId, 'Op 1'])
+    const supply = await insert(
+      'INSERT INTO supplies (user_id, practice_id, name, quantity) VALUES ($1, $2, $3, $4)',
+      [user.id, practiceId, 'gloves', 10]
+    )
+    await insert('INSERT INTO op_supplies (op_id, supply_id, quantity) VALUES ($1, $2, $3)', [op, supply, 6])
+    await insert(
+      'INSERT INTO supply_logs (user_id, practice_id, op_id, supply_id, quantity, action) VALUES ($1, $2, $3, $4, $5, $6)',
+      [user.id, practiceId, op, supply, 2, 'use']
+    )
+  })
+  after(() => teardown())
+
+  it('writes nothing on a dry run', async () => {
+    const { stdout } = await promisify(execFile)(
+      process.execPath,
+      ['scripts/migrate-legacy.js', '--dry-run', '--json', '--practice', String(practiceId)],
+      { env: process.env, timeout: 60 * 1000 }
+    )
+    // db/index.js logs pool events to stdout around the report
+    const output = JSON.parse(stdout.slice(stdout.indexOf('{\n'), stdout.lastIndexOf('}') + 1))
+    assert.equal(output.dry_run, true)
+    assert.equal(output.practices[0].stock.merged, 1)
+
+    assert.equal(await quantityAt(gloves, operatory.id), 4)
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM legacy_migration_map')
+    assert.equal(rows[0].count, 0)
+  })
+
+  it('adds legacy stock to an item already stocked at the location', async () => {
+    const report = await migrate()
+    assert.equal(report.items.matched, 1)
+    assert.equal(report.stock.merged, 1)
+    assert.equal(report.stock.remainder_to_common_area, 1)
+    assert.equal(report.history.not_migrated, 0)
+    assert.deepEqual(report.warnings, [])
+    assert.equal(await quantityAt(gloves, operatory.id), 10)
+
+    const history = await request(app).get(`/api/inventory/${gloves}/history`).set(auth).query({ location_id: operatory.id })
+    assert.deepEqual(
+      history.body.movements.map((m) => [m.movement_type, m.quantity_change, m.quantity_after]),
+      [['receive', 4, 4], ['adjust', 6, 10]]
+    )
+  })
+
+  it('leaves merged stock alone on a second run', async () => {
+    const report = await migrate()
+    assert.equal(report.stock.merged, 0)
+    assert.deepEqual(report.warnings, [])
+    assert.equal(await quantityAt(gloves, operatory.id), 10)
+  })
+})
@@ -0,0 +1,146 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+import { createRateLimiter, setRateLimitStore, MemoryStore } from '../services/rateLimiter.js'
+import { setMailTransport } from '../services/emailService.js'
+
+describe('rate limiter', () => {
+  // Any object with async get/set/delete can back the limiters
+  const mapStore = () => {
+    const map = new Map()
+    return {
+      map,
+      get: async (key) => map.get(key) ?? null,
+      set: async (key, value) => { map.set(key, value) },
+      delete: async (key) => { map.delete(key) },
+    }
+  }
+
+  let store
+  beforeEach(() => {
+    store = mapStore()
+    setRateLimitStore(store)
+  })
+  after(() => setRateLimitStore(null))
+
+  const limiter = () => createRateLimiter({
+    name: 'unit',
+    freeAttempts: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 4000,
+    lockoutAfter: 6,
+    lockoutMs: 60000,
+    windowMs: 60000,
+  })
+
+  it('delays progressively after the free attempts, then locks', async () => {
+    const unit = limiter()
+    const delays = []
+    for (let i = 0; i < 6; i++) {
+      const status = await unit.hit('Someone@Example.com')
+      delays.push(status.locked ? 'locked' : Math.round(status.retryAfterMs / 1000))
+    }
+    assert.deepEqual(delays, [0, 0, 1, 2, 4, 'locked'])
+    assert.ok(store.map.has('unit:someone@example.com'))
+
+    const status = await unit.check('someone@example.com')
+    assert.equal(status.allowed, false)
+    assert.equal(status.locked, true)
+  })
+
+  it('reports the lockout only on the hit that caused it', async () => {
+    const unit = limiter()
+    const lockedNow = []
+    for (let i = 0; i < 8; i++) lockedNow.push((await unit.hit('k')).lockedNow)
+    assert.deepEqual(lockedNow, [false, false, false, false, false, true, false, false])
+  })
+
+  it('forgets a key on reset', async () => {
+    const unit = limiter()
+    for (let i = 0; i < 4; i++) await unit.hit('k')
+    assert.equal((await unit.check('k')).allowed, false)
+    await unit.reset('k')
+    assert.deepEqual(await unit.check('k'), { allowed: true, locked: false, retryAfterMs: 0, failures: 0 })
+  })
+})
+
+describe('login brute-force protection', () => {
+  let app, teardown, store
+  const sent = []
+
+  const attempt = (email, password) => request(app).post('/api/users/login').send({ email, password })
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    setMailTransport(async (message) => {
+      sent.push(message)
+      return { id: null }
+    })
+  })
+  beforeEach(() => {
+    store = new MemoryStore()
+    setRateLimitStore(store)
+  })
+  after(async () => {
+    setMailTransport(null)
+    setRateLimitStore(null)
+    await teardown()
+  })
+
+  it('makes the client wait after repeated failures', async () => {
+    await registerAndLogin(app, { email: 'slow@example.com', password: 'the right password' })
+    for (let i = 0; i < 6; i++) {
+      await attempt('slow@example.com', 'wrong').expect(401)
+    }
+
+    const res = await attempt('slow@example.com', 'the right password')
+    assert.equal(res.status, 429)
+    assert.equal(res.body.code, 'RATE_LIMITED')
+    assert.ok(Number(res.headers['retry-after']) >= 1)
+  })
+
+  it('clears the count on a successful login', async () => {
+    await registerAndLogin(app, { email: 'recovers@example.com', password: 'the right password' })
+    for (let i = 0; i < 4; i++) {
+      await attempt('recovers@example.com', 'wrong').expect(401)
+    }
+    await attempt('recovers@example.com', 'the right password').expect(200)
+    for (let i = 0; i < 5; i++) {
+      await attempt('recovers@example.com', 'wrong').expect(401)
+    }
+  })
+
+  it('locks the account and emails its owner', async () => {
+    await registerAndLogin(app, { email: 'locked@example.com', password: 'the right password' })
+    sent.length = 0 // drop the verification email
+    // Nine earlier failures, past their delays
+    await store.set('login_email:locked@example.com', { failures: 9, nextAttemptAt: 0, lockedUntil: 0 }, 60000)
+
+    await attempt('locked@example.com', 'wrong').expect(401)
+    const lockoutEmail = sent.find((m) => m.to === 'locked@example.com')
+    assert.ok(lockoutEmail)
+    assert.match(lockoutEmail.subject, /locked/)
+
+    const res = await attempt('locked@example.com', 'the right password')
+    assert.equal(res.status, 429)
+    assert.equal(res.body.code, 'LOCKED_OUT')
+    assert.ok(Number(res.headers['retry-after']) > 14 * 60)
+  })
+
+  it('limits by IP across many emails', async () => {
+    for (let i = 0; i < 21; i++) {
+      await attempt(`spray${i}@example.com`, 'guess').expect(401)
+    }
+    const res = await attempt('spray-next@example.com', 'guess')
+    assert.equal(res.status, 429)
+  })
+
+  it('limits password reset requests', async () => {
+    const results = []
+    for (let i = 0; i < 5; i++) {
+      results.push((await request(app).post('/api/password/request-reset').send({ email: 'who@example.com' })).status)
+    }
+    assert.deepEqual(results, [200, 200, 200, 200, 429])
+  })
+})
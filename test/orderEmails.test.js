@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+import { setMailTransport } from '../services/emailService.js'
+
+describe('supplier order emails', () => {
+  let app, teardown, auth, supplier, gloves
+  const sent = []
+  const toSupplier = () => sent.filter((m) => m.to === 'orders@depot.example')
+  let failNext = false
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    setMailTransport(async (message) => {
+      if (failNext) {
+        failNext = false
+        throw new Error('mailbox unavailable')
+      }
+      sent.push(message)
+      return { id: `msg-${sent.length}` }
+    })
+    ;({ auth } = await registerAndLogin(app, { practice_name: 'Bright Smiles' }))
+    supplier = (await request(app).post('/api/suppliers').set(auth).send({ name: 'Dental Depot', email: 'orders@depot.example' })).body
+
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Gloves <L>', quantity: 1, unit: 'box', supplier_id: supplier.id }] })
+      .expect(200)
+    gloves = (await request(app).get('/api/inventory').set(auth).query({ search: 'Gloves' })).body[0].inventory_id
+    await request(app)
+      .post('/api/supplier-catalog')
+      .set(auth)
+      .send({ supplier_id: supplier.id, inventory_id: gloves, sku: 'GL-100' })
+      .expect(200)
+  })
+  after(async () => {
+    setMailTransport(null)
+    await teardown()
+  })
+
+  it('emails the order as HTML with a CSV attachment and logs it', async () => {
+    const res = await request(app)
+      .post(`/api/suppliers/${supplier.id}/order-email`)
+      .set(auth)
+      .send({ lines: [{ inventory_id: gloves, quantity: 4 }], notes: 'Deliver to back door' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.status, 'sent')
+    assert.match(res.body.provider_message_id, /^msg-/)
+
+    const [message] = toSupplier()
+    assert.equal(message.to, 'orders@depot.example')
+    assert.match(message.subject, /^Order request from Bright Smiles/)
+    assert.match(message.html, /Gloves &lt;L&gt;/)
+    assert.equal(message.attachments[0].content, 'SKU,Item,Quantity,Unit\r\nGL-100,Gloves <L>,4,box\r\n')
+  })
+
+  it('logs a failed send and reports it', async () => {
+    failNext = true
+    const res = await request(app)
+      .post(`/api/suppliers/${supplier.id}/order-email`)
+      .set(auth)
+      .send({ lines: [{ inventory_id: gloves, quantity: 2 }] })
+    assert.equal(res.status, 502)
+    assert.equal(res.body.order_email.status, 'failed')
+    assert.equal(res.body.order_email.error, 'mailbox unavailable')
+
+    const history = await request(app).get(`/api/suppliers/${supplier.id}/order-emails`).set(auth)
+    assert.deepEqual(history.body.map((e) => e.status), ['failed', 'sent'])
+  })
+
+  it('refuses items from another practice', async () => {
+    const other = await registerAndLogin(app)
+    const theirs = (await request(app).post('/api/suppliers').set(other.auth).send({ name: 'Theirs', email: 'x@example.com' })).body
+    await request(app)
+      .post(`/api/suppliers/${theirs.id}/order-email`)
+      .set(other.auth)
+      .send({ lines: [{ inventory_id: gloves, quantity: 1 }] })
+      .expect(403)
+    assert.equal(toSupplier().length, 1)
+    assert.equal(sent.filter((m) => m.to === 'x@example.com').length, 0)
+  })
+})
@@ -0,0 +1,161 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+import { assertPasswordPolicy } from '../auth/passwordPolicy.js'
+import { setMailTransport } from '../services/emailService.js'
+import { setRateLimitStore, MemoryStore } from '../services/rateLimiter.js'
+
+describe('password policy', () => {
+  it('accepts a long enough password', () => {
+    assert.doesNotThrow(() => assertPasswordPolicy('correct horse battery staple', { email: 'a@example.com' }))
+  })
+
+  it('rejects short, overlong, repetitive and common passwords', () => {
+    for (const password of ['short', 'x'.repeat(73), 'abababababab', 'Password123', undefined]) {
+      assert.throws(() => assertPasswordPolicy(password), { name: 'PasswordPolicyError', statusCode: 400 })
+    }
+  })
+
+  it('rejects the email address or its local part', () => {
+    assert.throws(() => assertPasswordPolicy('Dr.Smith@Example.com', { email: 'dr.smith@example.com' }), /email/)
+    assert.throws(() => assertPasswordPolicy('dr.smith', { email: 'dr.smith@example.com' }), /email/)
+  })
+})
+
+describe('password reset and change', () => {
+  let app, pool, teardown
+  const sent = []
+  const password = 'correct horse battery staple'
+
+  const requestReset = (email) => request(app).post('/api/password/request-reset').send({ email })
+  const resetPassword = (token, newPassword) =>
+    request(app).post('/api/password/reset-password').send({ token, newPassword })
+  const login = (email, pw) => request(app).post('/api/users/login').send({ email, password: pw })
+  const changePassword = (auth, body) => request(app).post('/api/users/change-password').set(auth).send(body)
+
+  const resetTokenFor = async (email) => {
+    await requestReset(email).expect(200)
+    const message = sent.filter((m) => m.to === email).at(-1)
+    return decodeURIComponent(message.html.match(/token=([^"&]+)/)[1])
+  }
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    setMailTransport(async (message) => {
+      sent.push(message)
+      return { id: null }
+    })
+  })
+  beforeEach(() => setRateLimitStore(new MemoryStore()))
+  after(async () => {
+    setMailTransport(null)
+    setRateLimitStore(null)
+    await teardown()
+  })
+
+  it('rejects a weak password at registration', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ email: 'weak@example.com', password: 'password', practice_name: 'Weak' })
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /too common/)
+  })
+
+  it('accepts a reset link once', async () => {
+    await registerAndLogin(app, { email: 'once@example.com', password })
+    const token = await resetTokenFor('once@example.com')
+
+    await resetPassword(token, 'a brand new password').expect(200)
+    await login('once@example.com', 'a brand new password').expect(200)
+
+    const replay = await resetPassword(token, 'yet another password')
+    assert.equal(replay.status, 400)
+    assert.match(replay.body.error, /already been used/)
+    await login('once@example.com', 'a brand new password').expect(200)
+  })
+
+  it('keeps the link usable when the new password is refused', async () => {
+    await registerAndLogin(app, { email: 'retry@example.com', password })
+    const token = await resetTokenFor('retry@example.com')
+
+    const weak = await resetPassword(token, 'short')
+    assert.equal(weak.status, 400)
+    assert.match(weak.body.error, /at least 8/)
+
+    await resetPassword(token, 'a long enough password').expect(200)
+  })
+
+  it('only honours the latest link', async () => {
+    await registerAndLogin(app, { email: 'latest@example.com', password })
+    const first = await resetTokenFor('latest@example.com')
+    const second = await resetTokenFor('latest@example.com')
+
+    await resetPassword(first, 'a brand new password').expect(400)
+    await resetPassword(second, 'a brand new password').expect(200)
+  })
+
+  it('invalidates outstanding links when the password is changed', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'changer@example.com', password })
+    const token = await resetTokenFor('changer@example.com')
+
+    await changePassword(auth, { current_password: password, new_password: 'changed in settings' }).expect(200)
+    await resetPassword(token, 'a brand new password').expect(400)
+  })
+
+  it('refuses a made-up or expired token', async () => {
+    await resetPassword('not-a-real-token', 'a brand new password').expect(400)
+    await resetPassword(undefined, 'a brand new password').expect(400)
+
+    const { user } = await registerAndLogin(app, { email: 'expired@example.com', password })
+    const token = await resetTokenFor('expired@example.com')
+    await pool.query(
+      "UPDATE password_reset_tokens SET expires_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1",
+      [user.id]
+    )
+    const res = await resetPassword(token, 'a brand new password')
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /expired/)
+  })
+
+  it('changes the password when the current one is given, logging out other devices', async () => {
+    const here = await registerAndLogin(app, { email: 'settings@example.com', password })
+    const elsewhere = await login('settings@example.com', password).expect(200)
+    const elsewhereCookies = elsewhere.headers['set-cookie']
+
+    const wrong = await changePassword(here.auth, { current_password: 'not my password', new_password: 'changed in settings' })
+    assert.equal(wrong.status, 400)
+    assert.match(wrong.body.error, /incorrect/)
+
+    const weak = await changePassword(here.auth, { current_password: password, new_password: 'settings@example.com' })
+    assert.equal(weak.status, 400)
+    assert.match(weak.body.error, /email/)
+
+    await changePassword(here.auth, { current_password: password, new_password: 'changed in settings' }).expect(200)
+
+    await request(app).get('/api/users/me').set(here.auth).expect(200)
+    await request(app).get('/api/users/me').set('Cookie', elsewhereCookies).expect(401)
+    await login('settings@example.com', password).expect(401)
+    await login('settings@example.com', 'changed in settings').expect(200)
+  })
+
+  it('requires a login to change the password', async () => {
+    await request(app)
+      .post('/api/users/change-password')
+      .send({ current_password: password, new_password: 'changed in settings' })
+      .expect(401)
+  })
+
+  it('applies the policy to new accounts made from an invite', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'owner@example.com', password })
+    await request(app)
+      .post('/api/practices/current/invites')
+      .set(auth)
+      .send({ email: 'hire@example.com' })
+      .expect(201)
+    const token = decodeURIComponent(sent.at(-1).html.match(/token=([^"&]+)/)[1])
+
+    await request(app).post('/api/invites/accept').send({ token, password: '12345678' }).expect(400)
+    await request(app).post('/api/invites/accept').send({ token, password: 'hygienist password' }).expect(201)
+  })
+})
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('practice roles', () => {
+  let app, teardown, owner, common, glovesId
+  const members = {}
+
+  // Register a user, add them to the owner's practice with `role` and switch them to it
+  const joinAs = async (role) => {
+    const member = await registerAndLogin(app, { email: `${role}@example.com` })
+    await request(app)
+      .post('/api/practices/current/members')
+      .set(owner.auth)
+      .send({ email: `${role}@example.com`, role })
+      .expect(201)
+    const practices = await request(app).get('/api/practices').set(member.auth)
+    const shared = practices.body.find((p) => p.name === 'Role Dental')
+    await request(app).put('/api/practices/active').set(member.auth).send({ practice_id: shared.id }).expect(200)
+    return member
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    owner = await registerAndLogin(app, { email: 'role-owner@example.com', practice_name: 'Role Dental' })
+    common = await commonArea(app, owner.auth)
+    for (const role of ['manager', 'staff', 'read_only']) {
+      members[role] = await joinAs(role)
+    }
+
+    await request(app)
+      .post('/api/inventory/add')
+      .set(owner.auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Gloves', quantity: 20, unit: 'box' }] })
+      .expect(200)
+    glovesId = (await request(app).get('/api/inventory').set(owner.auth)).body[0].inventory_id
+  })
+  after(() => teardown())
+
+  it('lets every role read inventory', async () => {
+    for (const member of Object.values(members)) {
+      const res = await request(app).get('/api/inventory').set(member.auth)
+      assert.equal(res.status, 200)
+      assert.equal(res.body[0].name, 'Gloves')
+    }
+  })
+
+  it('lets staff consume and receive stock but not edit items', async () => {
+    const { auth } = members.staff
+    await request(app)
+      .post('/api/inventory/consume')
+      .set(auth)
+      .send({ location: common.id, supplies: [{ inventory_id: glovesId, quantity: 2 }] })
+      .expect(200)
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ inventory_id: glovesId, quantity: 1 }] })
+      .expect(200)
+
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Masks', quantity: 1 }] })
+      .expect(403)
+    await request(app).put(`/api/inventory/${glovesId}`).set(auth).send({ cost_per_unit: 0.01 }).expect(403)
+    await request(app).delete(`/api/inventory/${glovesId}/location/${common.id}`).set(auth).expect(403)
+    await request(app).post('/api/suppliers').set(auth).send({ name: 'Henry Schein' }).expect(403)
+    await request(app).post('/api/categories').set(auth).send({ name: 'PPE' }).expect(403)
+    await request(app).post('/api/locations').set(auth).send({ name: 'Op 2' }).expect(403)
+  })
+
+  it('keeps read-only members from changing anything', async () => {
+    const res = await request(app)
+      .post('/api/inventory/consume')
+      .set(members.read_only.auth)
+      .send({ location: common.id, supplies: [{ inventory_id: glovesId, quantity: 1 }] })
+    assert.equal(res.status, 403)
+    assert.match(res.body.error, /role/)
+  })
+
+  it('lets managers run suppliers, categories and locations', async () => {
+    const { auth } = members.manager
+    await request(app).post('/api/suppliers').set(auth).send({ name: 'Patterson' }).expect(200)
+    await request(app).post('/api/categories').set(auth).send({ name: 'Gloves' }).expect(200)
+    await request(app).post('/api/locations').set(auth).send({ name: 'Op 3' }).expect(200)
+  })
+
+  it('reserves billing and member management for owners', async () => {
+    const { auth } = members.manager
+    await request(app).post('/api/stripe/create-portal-session').set(auth).expect(403)
+    await request(app).post('/api/practices/current/members').set(auth).send({ email: 'x@example.com' }).expect(403)
+  })
+
+  it('lets owners change roles but never demote the last owner', async () => {
+    const res = await request(app)
+      .put(`/api/practices/current/members/${members.read_only.user.id}`)
+      .set(owner.auth)
+      .send({ role: 'staff' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.find((m) => m.email === 'read_only@example.com').role, 'staff')
+
+    await request(app)
+      .put(`/api/practices/current/members/${owner.user.id}`)
+      .set(owner.auth)
+      .send({ role: 'manager' })
+      .expect(400)
+    await request(app)
+      .put(`/api/practices/current/members/${members.staff.user.id}`)
+      .set(owner.auth)
+      .send({ role: 'superuser' })
+      .expect(400)
+  })
+})
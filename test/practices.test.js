@@ -0,0 +1,107 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+
+describe('practices', () => {
+  let app, teardown, owner, member, outsider, pasteId
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    owner = await registerAndLogin(app, { email: 'owner@example.com', practice_name: 'Bright Smiles' })
+    member = await registerAndLogin(app, { email: 'hygienist@example.com', practice_name: 'Solo' })
+    outsider = await registerAndLogin(app, { email: 'outsider@example.com', practice_name: 'Elsewhere' })
+  })
+  after(() => teardown())
+
+  it('registers each user as owner of their own practice', async () => {
+    const res = await request(app).get('/api/users/me').set(owner.auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.practice.name, 'Bright Smiles')
+    assert.equal(res.body.practice.role, 'owner')
+  })
+
+  it('lets an owner add an existing user as staff', async () => {
+    const res = await request(app)
+      .post('/api/practices/current/members')
+      .set(owner.auth)
+      .send({ email: 'Hygienist@example.com' })
+    assert.equal(res.status, 201)
+    assert.deepEqual(res.body.map((m) => [m.email, m.role]), [
+      ['owner@example.com', 'owner'],
+      ['hygienist@example.com', 'staff'],
+    ])
+
+    await request(app)
+      .post('/api/practices/current/members')
+      .set(owner.auth)
+      .send({ email: 'hygienist@example.com' })
+      .expect(409)
+  })
+
+  it('shares inventory between members once they switch to the practice', async () => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(owner.auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Prophy Paste', quantity: 12, unit: 'cup' }] })
+      .expect(200)
+    const items = await request(app).get('/api/inventory').set(owner.auth)
+    pasteId = items.body[0].inventory_id
+
+    const practices = await request(app).get('/api/practices').set(member.auth)
+    assert.deepEqual(practices.body.map((p) => [p.name, p.role, p.active]), [
+      ['Solo', 'owner', true],
+      ['Bright Smiles', 'staff', false],
+    ])
+
+    const shared = practices.body.find((p) => p.name === 'Bright Smiles')
+    await request(app)
+      .put('/api/practices/active')
+      .set(member.auth)
+      .send({ practice_id: shared.id })
+      .expect(200)
+
+    const res = await request(app).get('/api/inventory').set(member.auth)
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body.map((row) => [row.name, row.location_name, row.quantity]), [['Prophy Paste', 'Common Area', 12]])
+  })
+
+  it('keeps other practices out', async () => {
+    const res = await request(app).get('/api/inventory').set(outsider.auth)
+    assert.deepEqual(res.body, [])
+    await request(app).get(`/api/inventory/${pasteId}/history`).set(outsider.auth).expect(404)
+
+    const practices = await request(app).get('/api/practices').set(owner.auth)
+    await request(app)
+      .put('/api/practices/active')
+      .set(outsider.auth)
+      .send({ practice_id: practices.body[0].id })
+      .expect(403)
+  })
+
+  it('reserves member management for owners', async () => {
+    await request(app)
+      .post('/api/practices/current/members')
+      .set(member.auth)
+      .send({ email: 'outsider@example.com' })
+      .expect(403)
+    await request(app).put('/api/practices/current').set(member.auth).send({ name: 'Renamed' }).expect(403)
+  })
+
+  it('never removes the last owner', async () => {
+    const res = await request(app)
+      .delete(`/api/practices/current/members/${owner.user.id}`)
+      .set(owner.auth)
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /at least one owner/)
+
+    await request(app)
+      .delete(`/api/practices/current/members/${member.user.id}`)
+      .set(owner.auth)
+      .expect(200)
+
+    // The removed member falls back to their own practice
+    const me = await request(app).get('/api/users/me').set(member.auth)
+    assert.equal(me.body.practice.name, 'Solo')
+  })
+})
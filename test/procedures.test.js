@@ -0,0 +1,99 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('procedures', () => {
+  let app, teardown, auth, common, gloves, bibs, cleaning
+
+  const addItem = async (name, quantity, cost_per_unit) => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name, quantity, cost_per_unit }] })
+      .expect(200)
+    return (await request(app).get('/api/inventory').set(auth).query({ search: name })).body[0].inventory_id
+  }
+
+  const quantityOf = async (inventoryId) => {
+    const res = await request(app).get('/api/inventory').set(auth)
+    return res.body.find((r) => r.inventory_id === inventoryId && r.location_id === common.id).quantity
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    gloves = await addItem('Gloves', 20, 0.5)
+    bibs = await addItem('Patient Bibs', 10, 0.25)
+
+    cleaning = (await request(app).post('/api/procedures').set(auth).send({ name: 'Cleaning' }).expect(200)).body
+    for (const [inventory_id, quantity] of [[gloves, 2], [bibs, 1]]) {
+      await request(app)
+        .post('/api/procedure-supplies')
+        .set(auth)
+        .send({ procedure_id: cleaning.id, inventory_id, quantity })
+        .expect(200)
+    }
+  })
+  after(() => teardown())
+
+  it('prices the bill of materials', async () => {
+    const res = await request(app).get(`/api/procedures/${cleaning.id}/cost`).set(auth)
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body.lines.map((l) => [l.name, l.quantity, l.line_cost]), [['Gloves', 2, 1], ['Patient Bibs', 1, 0.25]])
+    assert.equal(res.body.total_cost, 1.25)
+
+    await request(app).get(`/api/procedures/${cleaning.id}/cost`).set(auth).query({ basis: 'guess' }).expect(400)
+  })
+
+  it('consumes the bill of materials, with overrides, when performed', async () => {
+    const res = await request(app)
+      .post(`/api/procedures/${cleaning.id}/perform`)
+      .set(auth)
+      .send({ location_id: common.id, count: 2, overrides: [{ inventory_id: bibs, quantity: 3 }] })
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body.items.map((i) => [i.name, i.bom_quantity, i.quantity]), [['Gloves', 4, 4], ['Patient Bibs', 2, 3]])
+    assert.equal(res.body.total_cost, 2.75)
+
+    assert.equal(await quantityOf(gloves), 16)
+    assert.equal(await quantityOf(bibs), 7)
+
+    const history = await request(app).get(`/api/inventory/${gloves}/history`).set(auth)
+    const last = history.body.movements.at(-1)
+    assert.deepEqual([last.movement_type, last.quantity_change], ['consume', -4])
+    assert.match(last.reason, /^Procedure: Cleaning ×2/)
+  })
+
+  it('consumes nothing when any item is short', async () => {
+    const res = await request(app)
+      .post(`/api/procedures/${cleaning.id}/perform`)
+      .set(auth)
+      .send({ location_id: common.id, count: 10 })
+    assert.equal(res.status, 400)
+    assert.equal(await quantityOf(gloves), 16)
+    assert.equal(await quantityOf(bibs), 7)
+  })
+
+  it('reports estimated against actual cost', async () => {
+    const res = await request(app).get('/api/procedures/reports/cost-variance').set(auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.procedures.length, 1)
+    const [report] = res.body.procedures
+    assert.equal(report.times_performed, 2)
+    assert.equal(report.estimated_cost, 2.5)
+    assert.equal(report.actual_cost, 2.75)
+    assert.equal(report.variance, 0.25)
+    assert.equal(report.variance_pct, 10)
+  })
+
+  it("refuses another practice's location", async () => {
+    const other = await registerAndLogin(app)
+    const otherCommon = await commonArea(app, other.auth)
+    await request(app)
+      .post(`/api/procedures/${cleaning.id}/perform`)
+      .set(auth)
+      .send({ location_id: otherCommon.id })
+      .expect(403)
+  })
+})
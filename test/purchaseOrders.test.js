@@ -0,0 +1,54 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('purchase orders from low stock', () => {
+  let app, teardown, auth, common, supplier, gloves, masks
+
+  const addItem = async (name, quantity, threshold, supplier_id) => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name, quantity, supplier_id }] })
+      .expect(200)
+    const id = (await request(app).get('/api/inventory').set(auth).query({ search: name })).body[0].inventory_id
+    await request(app)
+      .patch(`/api/low-stock/${id}/location/${common.id}`)
+      .set(auth)
+      .send({ low_stock_threshold: threshold })
+      .expect(200)
+    return id
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    supplier = (await request(app).post('/api/suppliers').set(auth).send({ name: 'Dental Depot' })).body
+    gloves = await addItem('Gloves', 3, 5, supplier.id)
+    masks = await addItem('Masks', 1, 2)
+    await addItem('Bibs', 50, 5, supplier.id)
+  })
+  after(() => teardown())
+
+  it('drafts one order per supplier, refilling to twice the threshold', async () => {
+    const res = await request(app).post('/api/purchase-orders/from-low-stock').set(auth).send({})
+    assert.equal(res.status, 200)
+
+    assert.equal(res.body.purchase_orders.length, 1)
+    const [po] = res.body.purchase_orders
+    assert.equal(po.supplier_id, supplier.id)
+    assert.equal(po.status, 'draft')
+    assert.deepEqual(po.lines.map((l) => [l.inventory_id, l.quantity_ordered]), [[gloves, 7]])
+
+    assert.deepEqual(res.body.skipped, [{ inventory_id: masks, name: 'Masks', reason: 'No supplier assigned' }])
+  })
+
+  it('only drafts for the requested supplier', async () => {
+    const other = (await request(app).post('/api/suppliers').set(auth).send({ name: 'Other Supply' })).body
+    const res = await request(app).post('/api/purchase-orders/from-low-stock').set(auth).send({ supplier_id: other.id })
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { purchase_orders: [], skipped: [] })
+  })
+})
@@ -0,0 +1,93 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('receipts against a purchase order', () => {
+  let app, teardown, auth, common, supplier, po, gloves, masks
+
+  const addItem = async (name) => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name, quantity: 1 }] })
+      .expect(200)
+    const items = await request(app).get('/api/inventory').set(auth).query({ search: name })
+    return items.body[0].inventory_id
+  }
+
+  const receive = (lines) =>
+    request(app)
+      .post('/api/receipts')
+      .set(auth)
+      .send({ supplier_id: supplier.id, location_id: common.id, purchase_order_id: po.id, lines })
+
+  const lineFor = (inventoryId) => po.lines.find((l) => l.inventory_id === inventoryId)
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    supplier = (await request(app).post('/api/suppliers').set(auth).send({ name: 'Dental Depot' })).body
+    gloves = await addItem('Nitrile Gloves')
+    masks = await addItem('Face Masks')
+
+    const created = await request(app)
+      .post('/api/purchase-orders')
+      .set(auth)
+      .send({ supplier_id: supplier.id, lines: [{ inventory_id: gloves, quantity: 5 }, { inventory_id: masks, quantity: 5 }] })
+      .expect(200)
+    po = (await request(app).patch(`/api/purchase-orders/${created.body.id}/status`).set(auth).send({ status: 'sent' })).body
+  })
+  after(() => teardown())
+
+  it("refuses a line that names another item's PO line", async () => {
+    const res = await receive([
+      { inventory_id: gloves, quantity_accepted: 5, purchase_order_line_id: lineFor(masks).id },
+    ])
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /not on this purchase order/)
+  })
+
+  it('refuses an unknown PO line', async () => {
+    await receive([{ inventory_id: gloves, quantity_accepted: 5, purchase_order_line_id: 999999 }]).expect(400)
+  })
+
+  it('credits the named PO line', async () => {
+    await receive([
+      { inventory_id: gloves, quantity_accepted: 5, purchase_order_line_id: lineFor(gloves).id },
+    ]).expect(200)
+
+    const { body } = await request(app).get(`/api/purchase-orders/${po.id}`).set(auth)
+    const received = Object.fromEntries(body.lines.map((l) => [l.inventory_id, Number(l.quantity_received)]))
+    assert.deepEqual(received, { [gloves]: 5, [masks]: 0 })
+    assert.equal(body.status, 'partially_received')
+  })
+
+  it('keeps catalog unit prices below a cent', async () => {
+    const exam = await addItem('Exam Gloves')
+    await request(app)
+      .post('/api/supplier-catalog')
+      .set(auth)
+      .send({ supplier_id: supplier.id, inventory_id: exam, pack_size: 1000, price: 5 })
+      .expect(200)
+
+    // $5.00 per 1000 is half a cent each, not rounded up to a cent
+    const draft = await request(app)
+      .post('/api/purchase-orders')
+      .set(auth)
+      .send({ supplier_id: supplier.id, lines: [{ inventory_id: exam, quantity: 2000 }] })
+      .expect(200)
+    assert.equal(Number(draft.body.lines[0].unit_price), 0.005)
+    assert.equal(Number(draft.body.lines[0].line_total), 10)
+
+    // Paying $0.0045 each on receipt records $4.50 for the pack of 1000
+    await request(app)
+      .post('/api/receipts')
+      .set(auth)
+      .send({ supplier_id: supplier.id, location_id: common.id, lines: [{ inventory_id: exam, quantity_accepted: 1000, unit_price: 0.0045 }] })
+      .expect(200)
+    const catalog = await request(app).get('/api/supplier-catalog').set(auth).query({ inventory_id: exam })
+    assert.equal(Number(catalog.body[0].price), 4.5)
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('reorder suggestions', () => {
+  let app, teardown, auth, common, supplier, gloves
+
+  const suggestionFor = async (query = {}) => {
+    const res = await request(app).get('/api/low-stock/reorder-suggestions').set(auth).query(query)
+    assert.equal(res.status, 200)
+    return res.body.suppliers.flatMap((s) => s.items).find((i) => i.inventory_id === gloves) ?? null
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    supplier = (await request(app).post('/api/suppliers').set(auth).send({ name: 'Dental Depot' })).body
+
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Gloves', quantity: 10, supplier_id: supplier.id, cost_per_unit: 0.5 }] })
+      .expect(200)
+    gloves = (await request(app).get('/api/inventory').set(auth).query({ search: 'Gloves' })).body[0].inventory_id
+    await request(app)
+      .patch(`/api/low-stock/${gloves}/location/${common.id}/par`)
+      .set(auth)
+      .send({ par_min: 5, par_max: 20 })
+      .expect(200)
+  })
+  after(() => teardown())
+
+  it('leaves items above their reorder point alone', async () => {
+    assert.equal(await suggestionFor(), null)
+  })
+
+  it('refills to par_max plus lead-time usage once usage pulls stock down', async () => {
+    await request(app)
+      .post('/api/inventory/consume')
+      .set(auth)
+      .send({ location: common.id, supplies: [{ inventory_id: gloves, quantity: 6 }] })
+      .expect(200)
+
+    // 6 used in 30 days is 0.2 a day, so 2 more go during a 7-day lead time
+    const suggestion = await suggestionFor()
+    assert.equal(suggestion.on_hand, 4)
+    assert.equal(suggestion.reorder_point, 7)
+    assert.equal(suggestion.suggested_quantity, 18)
+    assert.equal(suggestion.estimated_cost, 9)
+  })
+
+  it('counts stock already on a sent purchase order', async () => {
+    const po = await request(app)
+      .post('/api/purchase-orders')
+      .set(auth)
+      .send({ supplier_id: supplier.id, lines: [{ inventory_id: gloves, quantity: 10 }] })
+      .expect(200)
+    await request(app).patch(`/api/purchase-orders/${po.body.id}/status`).set(auth).send({ status: 'sent' }).expect(200)
+
+    assert.equal(await suggestionFor(), null)
+    const all = await suggestionFor({ all: 'true' })
+    assert.equal(all.on_order, 10)
+    assert.equal(all.suggested_quantity, 0)
+  })
+
+  it('validates the windows', async () => {
+    await request(app).get('/api/low-stock/reorder-suggestions').set(auth).query({ usage_days: 0 }).expect(400)
+  })
+})
@@ -0,0 +1,144 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import jwt from 'jsonwebtoken'
+import { setupTestApp, registerAndLogin, authTokenFrom, cookieFrom } from './helpers/testApp.js'
+import { createResetToken } from '../services/passwords.js'
+
+describe('sessions', () => {
+  let app, pool, teardown
+
+  const login = async (email, userAgent = 'test-agent') => {
+    const res = await request(app)
+      .post('/api/users/login')
+      .set('User-Agent', userAgent)
+      .send({ email, password: 'correct horse battery staple' })
+    assert.equal(res.status, 200)
+    const token = authTokenFrom(res)
+    return { res, token, refreshToken: cookieFrom(res, 'refreshToken'), auth: { Authorization: `Bearer ${token}` } }
+  }
+
+  const refresh = (refreshToken) =>
+    request(app).post('/api/users/refresh').set('Cookie', `refreshToken=${encodeURIComponent(refreshToken)}`)
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+  })
+  after(() => teardown())
+
+  it('issues a short-lived access token and a refresh token', async () => {
+    const { user } = await registerAndLogin(app, { email: 'tokens@example.com' })
+    const { res, token, refreshToken } = await login('tokens@example.com')
+
+    const accessCookie = res.headers['set-cookie'].find((c) => c.startsWith('authToken='))
+    assert.match(accessCookie, /Max-Age=900/)
+    assert.match(accessCookie, /HttpOnly/)
+    assert.match(refreshToken, /^\d+\.\S+$/)
+
+    const decoded = jwt.decode(token)
+    assert.equal(decoded.id, user.id)
+    assert.equal(decoded.exp - decoded.iat, 900)
+  })
+
+  it('tells the client when the access token has expired', async () => {
+    const { token } = await login('tokens@example.com')
+    const { id, email, sid } = jwt.decode(token)
+    const expired = jwt.sign({ id, email, sid, exp: Math.floor(Date.now() / 1000) - 10 }, process.env.JWT_SECRET)
+
+    const res = await request(app).get('/api/users/me').set({ Authorization: `Bearer ${expired}` })
+    assert.equal(res.status, 401)
+    assert.equal(res.body.code, 'TOKEN_EXPIRED')
+  })
+
+  it('rotates the refresh token and revokes the session when an old one is replayed', async () => {
+    const first = await login('tokens@example.com')
+
+    const rotated = await refresh(first.refreshToken)
+    assert.equal(rotated.status, 200)
+    const nextRefresh = cookieFrom(rotated, 'refreshToken')
+    const nextAccess = authTokenFrom(rotated)
+    assert.notEqual(nextRefresh, first.refreshToken)
+    await request(app).get('/api/users/me').set({ Authorization: `Bearer ${nextAccess}` }).expect(200)
+
+    const replay = await refresh(first.refreshToken)
+    assert.equal(replay.status, 401)
+    assert.match(replay.body.error, /already used/)
+
+    // The whole session is gone, including the tokens issued by the rotation
+    await refresh(nextRefresh).expect(401)
+    const me = await request(app).get('/api/users/me').set({ Authorization: `Bearer ${nextAccess}` })
+    assert.equal(me.status, 401)
+    assert.equal(me.body.code, 'SESSION_REVOKED')
+  })
+
+  it('lists sessions with device, IP and last seen', async () => {
+    await registerAndLogin(app, { email: 'devices@example.com' })
+    await login('devices@example.com', 'Laptop Browser')
+    const phone = await login('devices@example.com', 'Phone Browser')
+
+    const res = await request(app).get('/api/users/sessions').set(phone.auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.length, 3)
+    const current = res.body.find((s) => s.current)
+    assert.equal(current.user_agent, 'Phone Browser')
+    assert.ok(current.ip)
+    assert.ok(current.last_seen_at)
+    assert.ok(res.body.some((s) => s.user_agent === 'Laptop Browser' && !s.current))
+  })
+
+  it('logs out a single device', async () => {
+    await registerAndLogin(app, { email: 'single@example.com' })
+    const laptop = await login('single@example.com', 'Laptop')
+    const phone = await login('single@example.com', 'Phone')
+
+    const sessions = await request(app).get('/api/users/sessions').set(phone.auth)
+    const laptopSession = sessions.body.find((s) => s.user_agent === 'Laptop')
+    await request(app).delete(`/api/users/sessions/${laptopSession.id}`).set(phone.auth).expect(200)
+
+    await request(app).get('/api/users/me').set(laptop.auth).expect(401)
+    await request(app).get('/api/users/me').set(phone.auth).expect(200)
+
+    // Someone else's session can't be touched
+    const other = await registerAndLogin(app, { email: 'nosy@example.com' })
+    const phoneSession = sessions.body.find((s) => s.current)
+    await request(app).delete(`/api/users/sessions/${phoneSession.id}`).set(other.auth).expect(404)
+  })
+
+  it('ends the session on logout', async () => {
+    await registerAndLogin(app, { email: 'logout@example.com' })
+    const session = await login('logout@example.com')
+
+    await request(app)
+      .post('/api/users/logout')
+      .set('Cookie', `refreshToken=${encodeURIComponent(session.refreshToken)}`)
+      .expect(200)
+    await request(app).get('/api/users/me').set(session.auth).expect(401)
+    await refresh(session.refreshToken).expect(401)
+  })
+
+  it('logs out everywhere', async () => {
+    await registerAndLogin(app, { email: 'everywhere@example.com' })
+    const one = await login('everywhere@example.com')
+    const two = await login('everywhere@example.com')
+
+    const res = await request(app).post('/api/users/logout-all').set(one.auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.revoked, 3)
+    await request(app).get('/api/users/me').set(one.auth).expect(401)
+    await request(app).get('/api/users/me').set(two.auth).expect(401)
+  })
+
+  it('revokes every session when the password is reset', async () => {
+    const { user } = await registerAndLogin(app, { email: 'reset@example.com' })
+    const session = await login('reset@example.com')
+
+    const { token: resetToken } = await createResetToken(pool, user.id)
+    await request(app)
+      .post('/api/password/reset-password')
+      .send({ token: resetToken, newPassword: 'a whole new password' })
+      .expect(200)
+
+    await request(app).get('/api/users/me').set(session.auth).expect(401)
+    await refresh(session.refreshToken).expect(401)
+  })
+})
@@ -0,0 +1,82 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, commonArea } from './helpers/testApp.js'
+
+describe('stock counts', () => {
+  let app, teardown, auth, common, gloves, masks, session
+
+  const addItem = async (name, quantity) => {
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name, quantity, lot_number: `${name}-LOT`, expiration_date: '2031-01-01' }] })
+      .expect(200)
+    return (await request(app).get('/api/inventory').set(auth).query({ search: name })).body[0].inventory_id
+  }
+
+  const stockAt = async (inventoryId) => {
+    const res = await request(app).get('/api/inventory').set(auth)
+    return res.body.find((r) => r.inventory_id === inventoryId && r.location_id === common.id)
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    common = await commonArea(app, auth)
+    gloves = await addItem('Gloves', 10)
+    masks = await addItem('Masks', 5)
+  })
+  after(() => teardown())
+
+  it('previews the variance between counted and expected stock', async () => {
+    session = (await request(app).post('/api/stock-counts').set(auth).send({ name: 'Monthly', location_ids: [common.id] }).expect(200)).body
+
+    await request(app)
+      .post(`/api/stock-counts/${session.id}/counts`)
+      .set(auth)
+      .send({ entries: [{ inventory_id: gloves, location_id: common.id, quantity: 7 }] })
+      .expect(200)
+
+    const res = await request(app).get(`/api/stock-counts/${session.id}/variance`).set(auth)
+    assert.equal(res.status, 200)
+    assert.deepEqual(
+      res.body.lines.map((l) => [l.name, l.expected_quantity, l.counted_quantity, l.variance]),
+      [['Gloves', 10, 7, -3], ['Masks', 5, null, null]]
+    )
+    assert.equal(res.body.summary.items_uncounted, 1)
+  })
+
+  it('posts counted variances as ledger adjustments and trims the lots', async () => {
+    const res = await request(app).post(`/api/stock-counts/${session.id}/post`).set(auth).send({ reason_code: 'damaged' })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.session.status, 'posted')
+    assert.deepEqual(res.body.adjustments.map((a) => [a.name, a.variance]), [['Gloves', -3]])
+
+    const glovesRow = await stockAt(gloves)
+    assert.equal(glovesRow.quantity, 7)
+    assert.equal(glovesRow.lots.reduce((sum, lot) => sum + lot.quantity, 0), 7)
+    assert.equal((await stockAt(masks)).quantity, 5)
+
+    const history = await request(app).get(`/api/inventory/${gloves}/history`).set(auth)
+    const last = history.body.movements.at(-1)
+    assert.deepEqual([last.movement_type, last.quantity_change, last.quantity_after], ['adjust', -3, 7])
+    assert.equal(last.reason, `Stock count #${session.id}: damaged`)
+  })
+
+  it('refuses to change a posted session', async () => {
+    await request(app).post(`/api/stock-counts/${session.id}/post`).set(auth).send({}).expect(400)
+    await request(app)
+      .post(`/api/stock-counts/${session.id}/counts`)
+      .set(auth)
+      .send({ entries: [{ inventory_id: masks, location_id: common.id, quantity: 1 }] })
+      .expect(400)
+    assert.equal((await stockAt(masks)).quantity, 5)
+  })
+
+  it("keeps other practices' sessions private", async () => {
+    const other = await registerAndLogin(app)
+    await request(app).get(`/api/stock-counts/${session.id}/variance`).set(other.auth).expect(404)
+    await request(app).post('/api/stock-counts').set(other.auth).send({ location_ids: [common.id] }).expect(403)
+  })
+})
@@ -0,0 +1,66 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import Stripe from 'stripe'
+import { setupTestApp, registerAndLogin, TEST_ENV } from './helpers/testApp.js'
+
+// Events are signed with the test webhook secret, exactly as Stripe would
+const stripe = new Stripe(TEST_ENV.STRIPE_SECRET_KEY)
+
+const sendEvent = (app, event, secret = TEST_ENV.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event)
+  return request(app)
+    .post('/api/stripe/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', stripe.webhooks.generateTestHeaderString({ payload, secret }))
+    .send(payload)
+}
+
+const event = (type, customer) => ({
+  id: `evt_${type}_${Date.now()}`,
+  object: 'event',
+  type,
+  data: { object: { customer } },
+})
+
+describe('stripe webhook', () => {
+  let app, pool, teardown, user
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+    ;({ user } = await registerAndLogin(app))
+    await pool.query('UPDATE users SET stripe_customer_id = $1 WHERE id = $2', ['cus_test_123', user.id])
+  })
+  after(() => teardown())
+
+  const isPaid = async () =>
+    (await pool.query('SELECT is_paid FROM users WHERE id = $1', [user.id])).rows[0].is_paid
+
+  it('marks the customer paid when checkout completes', async () => {
+    const res = await sendEvent(app, event('checkout.session.completed', 'cus_test_123'))
+    assert.equal(res.status, 200)
+    assert.equal(await isPaid(), true)
+  })
+
+  it('marks the customer unpaid when the subscription is deleted', async () => {
+    const res = await sendEvent(app, event('customer.subscription.deleted', 'cus_test_123'))
+    assert.equal(res.status, 200)
+    assert.equal(await isPaid(), false)
+  })
+
+  it('rejects an event signed with the wrong secret', async () => {
+    const res = await sendEvent(app, event('checkout.session.completed', 'cus_test_123'), 'whsec_wrong')
+    assert.equal(res.status, 400)
+    assert.match(res.text, /Webhook Error/)
+    assert.equal(await isPaid(), false)
+  })
+
+  it('rejects an unsigned event', async () => {
+    const res = await request(app)
+      .post('/api/stripe/webhook')
+      .set('Content-Type', 'application/json')
+      .send(JSON.stringify(event('checkout.session.completed', 'cus_test_123')))
+    assert.equal(res.status, 400)
+    assert.equal(await isPaid(), false)
+  })
+})
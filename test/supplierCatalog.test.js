@@ -0,0 +1,41 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin } from './helpers/testApp.js'
+
+describe('supplier catalog', () => {
+  let app, teardown, auth, gloves
+
+  const addSupplier = async (name) =>
+    (await request(app).post('/api/suppliers').set(auth).send({ name }).expect(200)).body
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+    ;({ auth } = await registerAndLogin(app))
+    await request(app)
+      .post('/api/inventory/add')
+      .set(auth)
+      .send({ destination: 'common_area', supplies: [{ isNew: true, name: 'Exam Gloves', quantity: 1 }] })
+      .expect(200)
+    gloves = (await request(app).get('/api/inventory').set(auth).query({ search: 'Exam Gloves' })).body[0].inventory_id
+  })
+  after(() => teardown())
+
+  it('picks the cheaper supplier even when unit prices differ by less than the displayed precision', async () => {
+    const alpha = await addSupplier('Alpha Dental')
+    const zeta = await addSupplier('Zeta Supply')
+    for (const [supplier, price] of [[alpha, 5], [zeta, 4.99]]) {
+      await request(app)
+        .post('/api/supplier-catalog')
+        .set(auth)
+        .send({ supplier_id: supplier.id, inventory_id: gloves, pack_size: 1000, price })
+        .expect(200)
+    }
+
+    const res = await request(app).get(`/api/supplier-catalog/compare/${gloves}`).set(auth)
+    assert.equal(res.status, 200)
+    // Both show as 0.0050 a glove, but $4.99 a thousand is still cheaper
+    assert.deepEqual(res.body.offers.map((o) => [o.supplier_name, Number(o.unit_price)]), [['Zeta Supply', 0.005], ['Alpha Dental', 0.005]])
+    assert.equal(res.body.cheapest_supplier_id, zeta.id)
+  })
+})
@@ -0,0 +1,166 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, authTokenFrom } from './helpers/testApp.js'
+import { totpCode, totpStep, verifyTotp } from '../auth/totp.js'
+import { setRateLimitStore, MemoryStore } from '../services/rateLimiter.js'
+
+describe('totp', () => {
+  // RFC 6238 appendix B, truncated to six digits
+  const secret = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' // "12345678901234567890"
+
+  it('matches the RFC test vectors', () => {
+    assert.equal(totpCode(secret, totpStep(59 * 1000)), '287082')
+    assert.equal(totpCode(secret, totpStep(1111111109 * 1000)), '081804')
+    assert.equal(totpCode(secret, totpStep(2000000000 * 1000)), '279037')
+  })
+
+  it('allows one step of drift and returns the step that matched', () => {
+    const timeMs = 1111111109 * 1000
+    const step = totpStep(timeMs)
+    assert.equal(verifyTotp(secret, totpCode(secret, step - 1), { timeMs }), step - 1)
+    assert.equal(verifyTotp(secret, totpCode(secret, step + 2), { timeMs }), null)
+    assert.equal(verifyTotp(secret, 'abcdef', { timeMs }), null)
+  })
+})
+
+describe('two-factor authentication', () => {
+  let app, teardown
+  const password = 'correct horse battery staple'
+
+  const login = (email) => request(app).post('/api/users/login').send({ email, password })
+  const loginCode = (challenge_token, proof) =>
+    request(app).post('/api/users/login/2fa').send({ challenge_token, ...proof })
+
+  // Register, turn 2FA on with the current code, and hand back what the user saw
+  const enrolledUser = async (email) => {
+    const { auth } = await registerAndLogin(app, { email, password })
+    const setup = await request(app).post('/api/users/2fa/setup').set(auth).expect(200)
+    const enabled = await request(app)
+      .post('/api/users/2fa/enable')
+      .set(auth)
+      .send({ code: totpCode(setup.body.secret) })
+      .expect(200)
+    return { auth, secret: setup.body.secret, recoveryCodes: enabled.body.recovery_codes }
+  }
+
+  before(async () => {
+    ({ app, teardown } = await setupTestApp())
+  })
+  beforeEach(() => setRateLimitStore(new MemoryStore()))
+  after(async () => {
+    setRateLimitStore(null)
+    await teardown()
+  })
+
+  it('enrolls with a code from the authenticator and returns recovery codes once', async () => {
+    const { auth } = await registerAndLogin(app, { email: 'enroll@example.com', password })
+
+    const setup = await request(app).post('/api/users/2fa/setup').set(auth)
+    assert.equal(setup.status, 200)
+    assert.match(setup.body.otpauth_uri, /^otpauth:\/\/totp\/MolarStock%3Aenroll%40example\.com\?secret=[A-Z2-7]+/)
+
+    let status = await request(app).get('/api/users/2fa').set(auth)
+    assert.deepEqual(status.body, { enabled: false, enrollment_pending: true, recovery_codes_remaining: 0 })
+
+    const stale = totpCode(setup.body.secret, totpStep() - 10)
+    await request(app).post('/api/users/2fa/enable').set(auth).send({ code: stale }).expect(401)
+
+    const enabled = await request(app)
+      .post('/api/users/2fa/enable')
+      .set(auth)
+      .send({ code: totpCode(setup.body.secret) })
+    assert.equal(enabled.status, 200)
+    assert.equal(enabled.body.recovery_codes.length, 10)
+    assert.equal(new Set(enabled.body.recovery_codes).size, 10)
+
+    status = await request(app).get('/api/users/2fa').set(auth)
+    assert.deepEqual(status.body, { enabled: true, enrollment_pending: false, recovery_codes_remaining: 10 })
+
+    await request(app).post('/api/users/2fa/setup').set(auth).expect(409)
+  })
+
+  it('asks for a code after the password and refuses a replayed one', async () => {
+    const { secret } = await enrolledUser('challenge@example.com')
+
+    const first = await login('challenge@example.com')
+    assert.equal(first.status, 200)
+    assert.equal(first.body.two_factor_required, true)
+    assert.equal(authTokenFrom(first), null)
+    assert.equal(first.body.user, undefined)
+
+    // The code that enabled 2FA was already used
+    await loginCode(first.body.challenge_token, { code: totpCode(secret) }).expect(401)
+
+    const second = await loginCode(first.body.challenge_token, { code: totpCode(secret, totpStep() + 1) })
+    assert.equal(second.status, 200)
+    assert.equal(second.body.user.email, 'challenge@example.com')
+    const token = authTokenFrom(second)
+    assert.ok(token)
+    await request(app).get('/api/users/me').set({ Authorization: `Bearer ${token}` }).expect(200)
+  })
+
+  it('accepts each recovery code once', async () => {
+    const { auth, recoveryCodes } = await enrolledUser('recovery@example.com')
+    const { body } = await login('recovery@example.com')
+
+    const used = await loginCode(body.challenge_token, { recovery_code: recoveryCodes[0].toUpperCase() })
+    assert.equal(used.status, 200)
+    assert.ok(authTokenFrom(used))
+
+    await loginCode(body.challenge_token, { recovery_code: recoveryCodes[0] }).expect(401)
+
+    const status = await request(app).get('/api/users/2fa').set(auth)
+    assert.equal(status.body.recovery_codes_remaining, 9)
+  })
+
+  it('rejects a missing or forged challenge', async () => {
+    await loginCode(undefined, { code: '123456' }).expect(401)
+    await loginCode('not-a-token', { code: '123456' }).expect(401)
+  })
+
+  it('rate-limits wrong codes', async () => {
+    const { secret } = await enrolledUser('guesser@example.com')
+    const { body } = await login('guesser@example.com')
+    const wrong = totpCode(secret, totpStep() - 10)
+
+    for (let i = 0; i < 4; i++) {
+      await loginCode(body.challenge_token, { code: wrong }).expect(401)
+    }
+    const res = await loginCode(body.challenge_token, { code: totpCode(secret, totpStep() + 1) })
+    assert.equal(res.status, 429)
+    assert.equal(res.body.code, 'RATE_LIMITED')
+  })
+
+  it('needs a fresh code to replace recovery codes', async () => {
+    const { auth, secret, recoveryCodes } = await enrolledUser('regenerate@example.com')
+
+    await request(app).post('/api/users/2fa/recovery-codes').set(auth).send({}).expect(400)
+    await request(app).post('/api/users/2fa/recovery-codes').set(auth).send({ code: totpCode(secret) }).expect(401)
+
+    const res = await request(app)
+      .post('/api/users/2fa/recovery-codes')
+      .set(auth)
+      .send({ code: totpCode(secret, totpStep() + 1) })
+    assert.equal(res.status, 200)
+    assert.equal(res.body.recovery_codes.length, 10)
+
+    const { body } = await login('regenerate@example.com')
+    await loginCode(body.challenge_token, { recovery_code: recoveryCodes[0] }).expect(401)
+    await loginCode(body.challenge_token, { recovery_code: res.body.recovery_codes[0] }).expect(200)
+  })
+
+  it('turns off with a recovery code, after which login skips the code step', async () => {
+    const { auth, recoveryCodes } = await enrolledUser('disable@example.com')
+
+    await request(app).post('/api/users/2fa/disable').set(auth).send({ recovery_code: 'wrong-code' }).expect(401)
+    const res = await request(app).post('/api/users/2fa/disable').set(auth).send({ recovery_code: recoveryCodes[3] })
+    assert.equal(res.status, 200)
+    assert.deepEqual(res.body, { enabled: false })
+
+    const after = await login('disable@example.com')
+    assert.equal(after.status, 200)
+    assert.ok(authTokenFrom(after))
+    assert.equal(after.body.two_factor_required, undefined)
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import request from 'supertest'
+import { setupTestApp, registerAndLogin, authTokenFrom } from './helpers/testApp.js'
+
+describe('users', () => {
+  let app, pool, teardown
+
+  before(async () => {
+    ({ app, pool, teardown } = await setupTestApp())
+  })
+  after(() => teardown())
+
+  it('registers a user with a protected Common Area location', async () => {
+    const res = await request(app)
+      .post('/api/users/register')
+      .send({ email: 'New.User@Example.com', password: 'secret-password', practice_name: 'Smile Co' })
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.email, 'new.user@example.com')
+    assert.equal(res.body.practice_name, 'Smile Co')
+
+    const { rows } = await pool.query('SELECT name, protected FROM locations WHERE user_id = $1', [res.body.id])
+    assert.deepEqual(rows, [{ name: 'Common Area', protected: true }])
+  })
+
+  it('rejects a duplicate email', async () => {
+    const body = { email: 'dupe@example.com', password: 'secret-password', practice_name: 'Dupe' }
+    await request(app).post('/api/users/register').send(body).expect(200)
+
+    const res = await request(app).post('/api/users/register').send(body)
+    assert.equal(res.status, 400)
+    assert.match(res.body.error, /already exists/)
+  })
+
+  it('logs in with an httpOnly auth cookie', async () => {
+    await request(app)
+      .post('/api/users/register')
+      .send({ email: 'login@example.com', password: 'secret-password', practice_name: 'Login' })
+      .expect(200)
+
+    const res = await request(app)
+      .post('/api/users/login')
+      .send({ email: 'LOGIN@example.com', password: 'secret-password' })
+
+    assert.equal(res.status, 200)
+    assert.equal(res.body.user.email, 'login@example.com')
+    assert.equal(res.body.user.is_paid, false)
+    const cookie = res.headers['set-cookie'].find((c) => c.startsWith('authToken='))
+    assert.match(cookie, /HttpOnly/)
+    assert.ok(authTokenFrom(res))
+  })
+
+  it('rejects a wrong password or unknown email', async () => {
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'login@example.com', password: 'wrong' })
+      .expect(401)
+    await request(app)
+      .post('/api/users/login')
+      .send({ email: 'nobody@example.com', password: 'secret-password' })
+      .expect(401)
+  })
+
+  it('returns the current user from a bearer token', async () => {
+    const { auth, user } = await registerAndLogin(app, { email: 'me@example.com' })
+
+    const res = await request(app).get('/api/users/me').set(auth)
+    assert.equal(res.status, 200)
+    assert.equal(res.body.user.id, user.id)
+    assert.equal(res.body.user.email, 'me@example.com')
+  })
+
+  it('requires a valid token for /me', async () => {
+    await request(app).get('/api/users/me').expect(401)
+    await request(app).get('/api/users/me').set({ Authorization: 'Bearer not-a-token' }).expect(403)
+  })
+})